@@ -3,186 +3,596 @@
  * Handles Untappd data fetching to avoid CORS issues
  */
 
-// Import utilities (service workers don't support ES modules in all contexts)
-// These are inlined for compatibility
+import { CacheManager, RateLimiter, CircuitBreaker, MatchOverrides, TabBeerLists, rankCandidates, buildMatchResult, pickBreweryBeers, normalizeForMatch } from './utils.js';
+import { UntappdService } from './untappdService.js';
+import { CheckinHistory, parseCheckinExport } from './checkinHistory.js';
+import './badgeSettings.js';
+import './config.js';
+
+const cacheManager = new CacheManager();
+const rateLimiter = new RateLimiter();
+const circuitBreaker = new CircuitBreaker();
+const matchOverrides = new MatchOverrides();
+const tabBeerLists = new TabBeerLists();
+const checkinHistory = new CheckinHistory();
+
+// DOMParser isn't available in service workers, so scraping uses the regex parsers below
+const untappdService = new UntappdService({ parseSearchResults, parseSearchCandidates });
+
+// Queue priorities: searches the user is waiting on, then cards on screen,
+// then the rest of the page, then stale refreshes
+const PRIORITY = {
+  background: 0,
+  offscreen: 1,
+  visible: 2,
+  interactive: 3
+};
+
+// Cache key -> { promise, requesters, keepAlive } while queued or in flight,
+// shared by duplicate requests
+const pendingLookups = new Map();
+
+// Requester ("tabId:frameId:requestId") -> { key, cancel } for reprioritising and cancelling
+const requesters = new Map();
+
+// Cache keys with a background refresh in flight -> tab ids to notify of changes
+const refreshing = new Map();
 
-const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
-const RATE_LIMIT_REQUESTS = 10;
-const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
+/**
+ * Fetch a rating from Untappd (rate limited), record stats and cache the result
+ * Errors are returned but never cached
+ * @param {string} beerName
+ * @param {string} brewery
+ * @param {string} key - Cache key, also the rate limiter queue id
+ * @param {number} priority
+ * @param {boolean} [refresh] - Fetch even if the beer was cached while queued
+ * @param {string[]} [breweries] - Every brewery to match against, see breweryNames()
+ */
+async function lookupAndCache(beerName, brewery, key, priority, refresh, breweries = [brewery]) {
+  let result;
+  try {
+    result = await rateLimiter.execute(
+      () => untappdService.getBeerRating(beerName, breweries),
+      {
+        id: key,
+        priority,
+        // Another lookup may have cached this beer while we waited in the queue
+        shortCircuit: refresh ? undefined : async () => {
+          const cached = await cacheManager.peek(brewery, beerName);
+          return cached && !cached.stale ? { ...cached.data, fromCache: true, fetchedAt: cached.timestamp } : null;
+        }
+      }
+    );
+  } catch (error) {
+    // Flushed from the queue when Untappd started throttling us
+    if (error.throttled) return throttledResponse(error.retryAt);
+    throw error;
+  }
+
+  if (result.fromCache) {
+    return result;
+  }
+
+  if (result.throttled) {
+    await cacheManager.recordStats('fetches', 'errors');
+    return handleThrottle(result.retryAfterMs);
+  }
+
+  if (result.error) {
+    await cacheManager.recordStats('fetches', 'errors');
+    return result;
+  }
+
+  // Untappd is answering normally again, so the next backoff starts small
+  await circuitBreaker.reset();
+
+  await cacheManager.recordStats(...(result.found ? ['fetches'] : ['fetches', 'notFound']));
+
+  // Cache the result, including not-found results (with their own shorter TTL)
+  const fetchedAt = await cacheManager.set(brewery, beerName, result);
+
+  return { ...result, fetchedAt };
+}
+
+/**
+ * Result telling the content script to show the throttled badge and retry later
+ * Carries an error so it is never cached or pushed as a refreshed rating
+ */
+function throttledResponse(retryAt) {
+  return { found: false, throttled: true, retryAt, error: 'Throttled by Untappd' };
+}
+
+/**
+ * Trip the circuit breaker, pause the queue and answer everything still
+ * queued as throttled so their badges can count down and retry
+ * @param {number} [retryAfterMs] - Server-requested delay
+ */
+async function handleThrottle(retryAfterMs) {
+  const { until } = await circuitBreaker.trip(retryAfterMs);
+  console.warn(`Untappd is throttling requests, pausing until ${new Date(until).toISOString()}`);
+
+  rateLimiter.pauseUntil(until);
+  rateLimiter.rejectQueued(() => Object.assign(new Error('Throttled by Untappd'), { throttled: true, retryAt: until }));
+
+  return throttledResponse(until);
+}
+
+/**
+ * Highest priority among a pending lookup's requesters
+ */
+function lookupPriority(pending) {
+  return Math.max(pending.basePriority, ...pending.requesters.values());
+}
+
+/**
+ * Look up a beer, attaching to an identical lookup already queued or in flight
+ * so duplicate cards and tabs share one request
+ * @param {string} beerName
+ * @param {string} brewery
+ * @param {Object} [options]
+ * @param {string} [options.requester] - Lets the caller reprioritise or cancel its interest
+ * @param {number} [options.priority]
+ * @param {boolean} [options.refresh] - See lookupAndCache()
+ * @param {string[]} [options.breweries] - See lookupAndCache()
+ */
+function sharedLookup(beerName, brewery, { requester, priority = PRIORITY.offscreen, refresh = false, breweries } = {}) {
+  const key = cacheManager.generateKey(brewery, beerName);
+  let pending = pendingLookups.get(key);
+
+  if (!pending) {
+    pending = {
+      requesters: new Map(),
+      basePriority: requester ? PRIORITY.background : priority,
+      // Lookups nobody asked for directly (stale refreshes) are never cancelled
+      keepAlive: !requester
+    };
+    pending.promise = lookupAndCache(beerName, brewery, key, priority, refresh, breweries)
+      .finally(() => pendingLookups.delete(key));
+    pendingLookups.set(key, pending);
+  }
 
-// Rate limiter state
-let requestTimestamps = [];
-let requestQueue = [];
-let processingQueue = false;
+  if (!requester) {
+    pending.keepAlive = true;
+    // A refresh joining a queued lookup still moves it up the queue
+    pending.basePriority = Math.max(pending.basePriority, priority);
+    rateLimiter.setPriority(key, lookupPriority(pending));
+    return pending.promise;
+  }
+
+  pending.requesters.set(requester, priority);
+  rateLimiter.setPriority(key, lookupPriority(pending));
+
+  // Each requester can drop out without affecting the others
+  return new Promise((resolve, reject) => {
+    requesters.set(requester, { key, cancel: resolve });
+    pending.promise.then(resolve, reject);
+  }).finally(() => requesters.delete(requester));
+}
 
 /**
- * Check if we can make a request
+ * Change a requester's priority, re-ranking its queued lookup
  */
-function canRequest() {
-  const now = Date.now();
-  requestTimestamps = requestTimestamps.filter(time => now - time < RATE_LIMIT_WINDOW_MS);
-  return requestTimestamps.length < RATE_LIMIT_REQUESTS;
+function setRequestPriority(requester, priority) {
+  const entry = requesters.get(requester);
+  const pending = entry && pendingLookups.get(entry.key);
+  if (!pending) return;
+
+  pending.requesters.set(requester, priority);
+  rateLimiter.setPriority(entry.key, lookupPriority(pending));
 }
 
 /**
- * Get wait time until next request allowed
+ * Answer a requester with a cancelled result, and drop its lookup from the
+ * queue if nobody else is waiting on it
  */
-function getWaitTime() {
-  if (canRequest()) return 0;
-  const now = Date.now();
-  const oldestRequest = Math.min(...requestTimestamps);
-  return Math.max(0, RATE_LIMIT_WINDOW_MS - (now - oldestRequest));
+function cancelRequest(requester) {
+  const entry = requesters.get(requester);
+  if (!entry) return;
+
+  entry.cancel({ found: false, cancelled: true });
+
+  const pending = pendingLookups.get(entry.key);
+  if (!pending) return;
+
+  pending.requesters.delete(requester);
+  if (pending.requesters.size === 0 && !pending.keepAlive) {
+    rateLimiter.cancel(entry.key);
+  } else {
+    rateLimiter.setPriority(entry.key, lookupPriority(pending));
+  }
 }
 
 /**
- * Cache management
+ * Build the requester id for a content script request
  */
-async function getCachedRating(brewery, beerName) {
-  const key = generateCacheKey(brewery, beerName);
-  const result = await chrome.storage.local.get('beerRatingsCache');
-  const cache = result.beerRatingsCache || {};
+function requesterId(sender, requestId) {
+  if (!sender.tab || requestId === undefined) return undefined;
+  return `${sender.tab.id}:${sender.frameId || 0}:${requestId}`;
+}
 
-  const entry = cache[key];
-  if (!entry) return null;
+/**
+ * Check whether a refreshed result would change what the badge shows
+ */
+function ratingChanged(previous, next) {
+  return ['found', 'rating', 'ratingCount', 'unrated', 'uncertain', 'beerUrl']
+    .some(field => (previous[field] ?? null) !== (next[field] ?? null));
+}
 
-  if (Date.now() - entry.timestamp > CACHE_TTL_MS) {
-    delete cache[key];
-    await chrome.storage.local.set({ beerRatingsCache: cache });
-    return null;
+/**
+ * Refresh a stale cache entry in the background and tell the requesting
+ * tabs if the rating changed
+ */
+function queueRefresh(beerName, brewery, tabId, previous, breweries) {
+  const key = cacheManager.generateKey(brewery, beerName);
+
+  if (refreshing.has(key)) {
+    if (tabId !== undefined) refreshing.get(key).add(tabId);
+    return;
   }
 
-  return entry.data;
+  const tabIds = new Set(tabId !== undefined ? [tabId] : []);
+  refreshing.set(key, tabIds);
+
+  sharedLookup(beerName, brewery, { priority: PRIORITY.background, breweries })
+    .then(async result => {
+      if (result.error || !ratingChanged(previous, result)) return;
+
+      const ratingData = await withCheckinHistory(result, beerName, brewery);
+      for (const id of tabIds) {
+        chrome.tabs.sendMessage(id, { action: 'ratingUpdated', beerName, brewery, ratingData })
+          .catch(() => {}); // Tab closed or navigated away
+      }
+    })
+    .catch(error => console.error('Background refresh error:', error))
+    .finally(() => refreshing.delete(key));
 }
 
-async function setCachedRating(brewery, beerName, data) {
-  const key = generateCacheKey(brewery, beerName);
-  const result = await chrome.storage.local.get('beerRatingsCache');
-  const cache = result.beerRatingsCache || {};
+/**
+ * Build the badge data for a user's match correction from its saved snapshot
+ * @param {Object} override - From MatchOverrides
+ * @param {Object} [fresh] - Newer lookup result for the same Untappd beer
+ */
+function overrideResult(override, fresh) {
+  if (override.notOnUntappd) {
+    return { found: false, overridden: true };
+  }
 
-  cache[key] = {
-    data,
-    timestamp: Date.now()
+  const match = fresh || override.match;
+  return {
+    found: true,
+    rating: match.rating,
+    ratingCount: match.ratingCount,
+    beerName: match.beerName,
+    breweryName: match.breweryName,
+    beerUrl: match.beerUrl,
+    style: match.style ?? null,
+    abv: match.abv ?? null,
+    unrated: match.rating === null,
+    matchScore: 1,
+    runnerUp: null,
+    overridden: true,
+    source: fresh ? fresh.source : 'override',
+    fromCache: fresh ? fresh.fromCache : undefined,
+    fetchedAt: fresh ? fresh.fetchedAt : override.createdAt
   };
+}
 
-  await chrome.storage.local.set({ beerRatingsCache: cache });
+/**
+ * Answer a lookup from a user's match correction, refreshing the rating by
+ * searching for the chosen beer and falling back to the saved snapshot
+ */
+async function resolveOverride(override, { requester, priority, refresh }) {
+  if (override.notOnUntappd) {
+    return overrideResult(override);
+  }
+
+  const { match } = override;
+  const fresh = await fetchBeerRating(match.beerName, match.breweryName || override.brewery, { requester, priority, refresh });
+  if (fresh.cancelled) return fresh;
+
+  const sameBeer = fresh.found && !fresh.uncertain && fresh.beerUrl === match.beerUrl;
+  return overrideResult(override, sameBeer ? fresh : null);
 }
 
-function generateCacheKey(brewery, beerName) {
-  const normalizedName = beerName.toLowerCase().trim().replace(/\s+/g, '_');
-  const normalizedBrewery = brewery.toLowerCase().trim().replace(/\s+/g, '_');
-  return `${normalizedBrewery}_${normalizedName}`;
+/**
+ * Add the user's own check-ins of a beer ("had": rating, count, last check-in)
+ * Done per response rather than cached, so an import shows up straight away.
+ */
+async function withCheckinHistory(result, beerName, brewery) {
+  if (result.error || result.cancelled) return result;
+
+  const had = await checkinHistory.find(result, beerName, brewery);
+  return had ? { ...result, had } : result;
+}
+
+/**
+ * Search Untappd for candidates a user can pick from (rate limited, not cached)
+ * @param {string} query
+ * @param {string|string[]} brewery - See breweryNames()
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Results to keep
+ * @param {number} [options.priority] - Queue priority; a user's own search by default
+ */
+async function searchCandidates(query, brewery, { limit, priority = PRIORITY.interactive } = {}) {
+  const { until } = await circuitBreaker.getState();
+  if (until > Date.now()) {
+    return throttledResponse(until);
+  }
+
+  let result;
+  try {
+    result = await rateLimiter.execute(
+      () => untappdService.searchCandidates(query, brewery, limit),
+      { priority }
+    );
+  } catch (error) {
+    if (error.throttled) return throttledResponse(error.retryAt);
+    throw error;
+  }
+
+  if (result.throttled) {
+    return handleThrottle(result.retryAfterMs);
+  }
+  return result;
+}
+
+// A brewery's other beers for product page panels, kept while the worker
+// runs so browsing one brewery's product pages costs a single search
+const BREWERY_BEERS_TTL = 6 * 60 * 60 * 1000;
+const BREWERY_SEARCH_RESULTS = 25;
+const breweryBeers = new Map();
+
+/**
+ * Get a brewery's best-rated beers from an Untappd search for its name
+ * @param {string} breweryName - Untappd brewery name
+ * @param {string} [exclude] - Beer URL to leave out
+ * @returns {Promise<Object>} { beers }, or a throttled/error result
+ */
+async function getBreweryBeers(breweryName, exclude) {
+  const key = normalizeForMatch(breweryName);
+  let cached = breweryBeers.get(key);
+
+  if (!cached || Date.now() - cached.fetchedAt > BREWERY_BEERS_TTL) {
+    // Behind every card lookup: the list is only extra detail
+    const result = await searchCandidates(breweryName, '', { limit: BREWERY_SEARCH_RESULTS, priority: PRIORITY.background });
+    if (!result.candidates) return result;
+
+    cached = { candidates: result.candidates, fetchedAt: Date.now() };
+    breweryBeers.set(key, cached);
+  }
+
+  return { beers: pickBreweryBeers(cached.candidates, breweryName, { exclude }) };
 }
 
 /**
  * Fetch beer rating from Untappd
+ * Cache hits are answered immediately; stale hits are also refreshed in the
+ * background. Only network lookups are rate limited.
+ * @param {string} beerName
+ * @param {string} brewery
+ * @param {Object} [options]
+ * @param {number} [options.tabId] - Tab to notify if a stale rating changes
+ * @param {string} [options.requester] - See sharedLookup()
+ * @param {number} [options.priority] - See sharedLookup()
+ * @param {string} [options.site] - Page hostname, for the user's match corrections
+ * @param {boolean} [options.refresh] - Skip the cache and fetch a new rating
+ * @param {string[]} [options.breweries] - Every brewery the beer may be from,
+ *   for collaborations and bottle shops; `brewery` is searched with
  */
-async function fetchBeerRating(beerName, brewery) {
+async function fetchBeerRating(beerName, brewery, { tabId, requester, priority, site, refresh = false, breweries } = {}) {
+  // A user's correction wins over any lookup
+  const override = site && await matchOverrides.get(site, beerName);
+  if (override) {
+    return resolveOverride(override, { requester, priority, refresh });
+  }
+
   // Check cache first
-  const cached = await getCachedRating(brewery, beerName);
+  const cached = !refresh && await cacheManager.get(brewery, beerName);
   if (cached) {
-    return { ...cached, fromCache: true };
+    if (cached.stale) {
+      queueRefresh(beerName, brewery, tabId, cached.data, breweries);
+    }
+    return { ...cached.data, fromCache: true, stale: cached.stale, fetchedAt: cached.timestamp };
   }
 
-  const result = await fetchViaScrape(beerName, brewery);
-
-  // Cache the result
-  if (result && !result.error) {
-    await setCachedRating(brewery, beerName, result);
+  // Don't queue new lookups while paused; the badge retries once the pause ends
+  const { until } = await circuitBreaker.getState();
+  if (until > Date.now()) {
+    return throttledResponse(until);
   }
 
-  return result;
+  return sharedLookup(beerName, brewery, { requester, priority, refresh, breweries });
 }
 
+// Storage key and dynamic content script id for sites added on the options page
+const CUSTOM_BREWERIES_KEY = 'customBreweries';
+const CUSTOM_SCRIPT_ID = 'custom-breweries';
+
 /**
- * Fetch via scraping Untappd search
+ * Get user-added brewery configs
+ * @returns {Promise<Object>} Configs by domain
  */
-async function fetchViaScrape(beerName, brewery) {
-  try {
-    const query = encodeURIComponent(`${beerName} ${brewery}`);
-    const url = `https://untappd.com/search?q=${query}&type=beer`;
-
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5'
-      }
-    });
+async function getCustomBreweries() {
+  const result = await chrome.storage.sync.get(CUSTOM_BREWERIES_KEY);
+  return result[CUSTOM_BREWERIES_KEY] || {};
+}
 
-    if (!response.ok) {
-      throw new Error(`Scrape error: ${response.status}`);
+/**
+ * Register the content script on every user-added site we have permission
+ * for, replacing any previous registration
+ */
+async function syncCustomContentScripts() {
+  const custom = await getCustomBreweries();
+  // Built-in sites already get the content script from the manifest
+  const builtIn = new Set(chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches));
+
+  const matches = [];
+  for (const domain of Object.keys(custom)) {
+    const origins = globalThis.originsForDomain(domain).filter(origin => !builtIn.has(origin));
+    if (origins.length > 0 && await chrome.permissions.contains({ origins })) {
+      matches.push(...origins);
     }
+  }
 
-    const html = await response.text();
-    return parseSearchResults(html, beerName);
-  } catch (error) {
-    console.error('Scrape fetch error:', error);
-    return { found: false, error: error.message, source: 'scrape' };
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_SCRIPT_ID] });
   }
+
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([{
+    id: CUSTOM_SCRIPT_ID,
+    matches,
+    js: ['beerNames.js', 'nameRules.js', 'config.js', 'badgeSettings.js', 'pricing.js', 'gridToolbar.js', 'debugOverlay.js', 'structuredData.js', 'content-script.js'],
+    css: ['styles.css'],
+    runAt: 'document_idle'
+  }]);
+}
+
+/**
+ * Save a user-added brewery config (host permission must already be granted)
+ * @param {string} domain
+ * @param {Object} config
+ */
+async function saveCustomBrewery(domain, config) {
+  const custom = await getCustomBreweries();
+  custom[domain] = config;
+  await chrome.storage.sync.set({ [CUSTOM_BREWERIES_KEY]: custom });
+  await syncCustomContentScripts();
+}
+
+/**
+ * Remove a user-added brewery config
+ * @param {string} domain
+ */
+async function removeCustomBrewery(domain) {
+  const custom = await getCustomBreweries();
+  delete custom[domain];
+  await chrome.storage.sync.set({ [CUSTOM_BREWERIES_KEY]: custom });
+  await syncCustomContentScripts();
+}
+
+/**
+ * Get the badge appearance settings, with defaults filled in
+ * @returns {Promise<Object>}
+ */
+async function getBadgeSettings() {
+  const { STORAGE_KEY, normalize } = globalThis.BadgeSettings;
+  const result = await chrome.storage.sync.get(STORAGE_KEY);
+  return normalize(result[STORAGE_KEY]);
+}
+
+/**
+ * Save badge appearance settings
+ * Open tabs pick the change up from chrome.storage.onChanged.
+ * @param {Object} settings
+ * @returns {Promise<Object>} The settings as saved
+ */
+async function saveBadgeSettings(settings) {
+  const { STORAGE_KEY, normalize } = globalThis.BadgeSettings;
+  const normalized = normalize(settings);
+  await chrome.storage.sync.set({ [STORAGE_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Split Untappd search results HTML into one chunk per beer-item block
+ */
+function splitBeerItems(html) {
+  const itemRegex = /<div[^>]*class="[^"]*beer-item[^"]*"[^>]*>/gi;
+  const starts = [...html.matchAll(itemRegex)].map(match => match.index + match[0].length);
+
+  return starts.map((start, i) => {
+    const end = i + 1 < starts.length ? html.lastIndexOf('<div', starts[i + 1] - 1) : html.length;
+    return html.slice(start, end);
+  });
+}
+
+/**
+ * Parse a single beer-item block into a search candidate
+ * @returns {Object|null} Candidate or null if no rating information was found
+ */
+function parseBeerItem(itemHtml) {
+  // Extract rating (usually in format like "4.12" or in a span with class containing "rating")
+  const ratingMatch = itemHtml.match(/data-rating="([0-9.]+)"/i) ||
+                      itemHtml.match(/class="[^"]*num[^"]*"[^>]*>\(?([0-9.]+)/i) ||
+                      itemHtml.match(/rating[^>]*>([0-9.]+)/i) ||
+                      itemHtml.match(/>([0-4]\.\d{1,2})</);
+
+  // Extract rating count (handle both comma and dot as thousands separators,
+  // without mistaking a bracketed rating like "(3.92)" for a count)
+  const countMatch = itemHtml.match(/class="[^"]*raters[^"]*"[^>]*>\(?([\d.,]+)/i) ||
+                     itemHtml.match(/\((\d{1,3}(?:[.,]\d{3})*)\)/) ||
+                     itemHtml.match(/([\d.,]+)\s*Ratings?/i);
+
+  // Extract beer URL
+  const urlMatch = itemHtml.match(/href="(\/b\/[^"]+)"/i);
+
+  // Extract beer name
+  // (skipping the label link, which wraps an image rather than text)
+  const nameMatch = itemHtml.match(/class="[^"]*name[^"]*"[^>]*>\s*([^<\s][^<]*)/i) ||
+                    itemHtml.match(/<a[^>]*href="\/b\/[^"]*"[^>]*>\s*([^<\s][^<]*)/i);
+
+  // Extract brewery name (usually a link inside p.brewery)
+  const breweryMatch = itemHtml.match(/class="[^"]*brewery[^"]*"[^>]*>\s*(?:<a[^>]*>)?\s*([^<\s][^<]*)/i);
+
+  // Extract style ("IPA - Imperial / Double") and ABV ("8.4% ABV", or "N/A ABV")
+  const styleMatch = itemHtml.match(/class="[^"]*\bstyle\b[^"]*"[^>]*>\s*([^<\s][^<]*)/i);
+  const abvMatch = itemHtml.match(/([\d.]+)\s*%\s*ABV/i);
+
+  // Parse rating count (remove both comma and dot thousands separators)
+  const ratingCount = countMatch ? parseInt(countMatch[1].replace(/[.,]/g, ''), 10) : null;
+
+  const candidate = {
+    beerName: nameMatch ? nameMatch[1].trim() : null,
+    breweryName: breweryMatch ? breweryMatch[1].trim() : null,
+    beerUrl: urlMatch ? `https://untappd.com${urlMatch[1]}` : null,
+    style: styleMatch ? styleMatch[1].trim() : null,
+    abv: abvMatch ? parseFloat(abvMatch[1]) : null,
+    rating: null,
+    ratingCount
+  };
+
+  // Only treat as unrated if we explicitly found "(0)" - i.e., countMatch exists but parsed to 0
+  if (countMatch && ratingCount === 0) {
+    return { ...candidate, ratingCount: 0, unrated: true };
+  }
+
+  if (ratingMatch) {
+    return { ...candidate, rating: parseFloat(ratingMatch[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse every beer-item block on an Untappd search page
+ * @param {string} html
+ * @returns {Object[]} Unranked search candidates
+ */
+export function parseSearchCandidates(html) {
+  return splitBeerItems(html)
+    .map(parseBeerItem)
+    .filter(Boolean);
 }
 
 /**
  * Parse Untappd search results HTML
+ * Every beer-item block is parsed and ranked against the page name and brewery
  */
-function parseSearchResults(html, originalBeerName) {
+export function parseSearchResults(html, originalBeerName, brewery) {
   try {
-    // Look for rating patterns in the HTML
-    // Untappd typically shows ratings like "4.12" or "(4.12)"
-
-    // Try to find beer-item blocks first
-    const beerItemMatch = html.match(/<div[^>]*class="[^"]*beer-item[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<\/div>/i);
-
-    if (beerItemMatch) {
-      const itemHtml = beerItemMatch[1];
-
-      // Extract rating (usually in format like "4.12" or in a span with class containing "rating")
-      const ratingMatch = itemHtml.match(/class="[^"]*num[^"]*"[^>]*>([0-9.]+)/i) ||
-                          itemHtml.match(/rating[^>]*>([0-9.]+)/i) ||
-                          itemHtml.match(/>([0-4]\.\d{1,2})</);
-
-      // Extract rating count (handle both comma and dot as thousands separators)
-      const countMatch = itemHtml.match(/class="[^"]*raters[^"]*"[^>]*>\(?([\d.,]+)/i) ||
-                         itemHtml.match(/\(([\d.,]+)\)/) ||
-                         itemHtml.match(/([\d.,]+)\s*Ratings?/i);
-
-      // Extract beer URL
-      const urlMatch = itemHtml.match(/href="(\/b\/[^"]+)"/i);
-
-      // Extract beer name
-      const nameMatch = itemHtml.match(/class="[^"]*name[^"]*"[^>]*>([^<]+)/i) ||
-                        itemHtml.match(/<a[^>]*href="\/b\/[^"]*"[^>]*>([^<]+)/i);
-
-      // Parse rating count (remove both comma and dot thousands separators)
-      const ratingCount = countMatch ? parseInt(countMatch[1].replace(/[.,]/g, ''), 10) : null;
-
-      // Only treat as unrated if we explicitly found "(0)" - i.e., countMatch exists but parsed to 0
-      if (countMatch && ratingCount === 0) {
-        return {
-          found: true,
-          rating: null,
-          ratingCount: 0,
-          beerName: nameMatch ? nameMatch[1].trim() : originalBeerName,
-          beerUrl: urlMatch ? `https://untappd.com${urlMatch[1]}` : null,
-          source: 'scrape',
-          unrated: true
-        };
-      }
+    const candidates = parseSearchCandidates(html);
 
-      if (ratingMatch) {
-        return {
-          found: true,
-          rating: parseFloat(ratingMatch[1]),
-          ratingCount: ratingCount,
-          beerName: nameMatch ? nameMatch[1].trim() : originalBeerName,
-          beerUrl: urlMatch ? `https://untappd.com${urlMatch[1]}` : null,
-          source: 'scrape'
-        };
-      }
+    if (candidates.length > 0) {
+      const ranked = rankCandidates(candidates, originalBeerName, brewery);
+      return buildMatchResult(ranked, originalBeerName, 'scrape');
     }
 
     // Fallback: search the full HTML for rating patterns
     // First check if this is an unrated beer - look for "(0)" pattern
-    const fallbackCountMatch = html.match(/\((\d[\d.,]*)\)/);
+    const fallbackCountMatch = html.match(/\((\d{1,3}(?:[.,]\d{3})*)\)/);
     const fallbackCount = fallbackCountMatch ? parseInt(fallbackCountMatch[1].replace(/[.,]/g, ''), 10) : null;
 
     // Extract beer URL from full HTML
@@ -224,74 +634,251 @@ function parseSearchResults(html, originalBeerName) {
 }
 
 /**
- * Process queued requests with rate limiting
+ * Message handler for content script communication
  */
-async function processQueue() {
-  if (processingQueue || requestQueue.length === 0) return;
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getBeerRating') {
+    fetchBeerRating(request.beerName, request.brewery, {
+      tabId: sender.tab && sender.tab.id,
+      requester: requesterId(sender, request.requestId),
+      priority: PRIORITY[request.priority] ?? PRIORITY.offscreen,
+      site: request.site,
+      breweries: request.breweries
+    })
+      .then(result => withCheckinHistory(result, request.beerName, request.brewery))
+      .then(sendResponse)
+      .catch(async error => {
+        if (error.cancelled) {
+          sendResponse({ found: false, cancelled: true });
+          return;
+        }
+        await cacheManager.recordStats('errors');
+        sendResponse({ found: false, error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  }
 
-  processingQueue = true;
+  if (request.action === 'refreshBeerRating') {
+    fetchBeerRating(request.beerName, request.brewery, {
+      priority: PRIORITY.interactive,
+      site: request.site,
+      refresh: true,
+      breweries: request.breweries
+    })
+      .then(result => withCheckinHistory(result, request.beerName, request.brewery))
+      .then(sendResponse)
+      .catch(error => sendResponse({ found: false, error: error.message }));
+    return true;
+  }
 
-  while (requestQueue.length > 0) {
-    const waitTime = getWaitTime();
+  if (request.action === 'reportBeerResult') {
+    if (!sender.tab) return false;
+    tabBeerLists.record(sender.tab.id, request.pageUrl, request.beerName, request.ratingData)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Error recording beer result:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 
-    if (waitTime > 0) {
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+  if (request.action === 'reportSiteHealth') {
+    if (!sender.tab) return false;
+    tabBeerLists.recordHealth(sender.tab.id, request.pageUrl, request.health)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Error recording site health:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 
-    const { beerName, brewery, sendResponse } = requestQueue.shift();
-    requestTimestamps.push(Date.now());
+  if (request.action === 'getTabBeers') {
+    tabBeerLists.get(request.tabId).then(sendResponse);
+    return true;
+  }
 
-    try {
-      const result = await fetchBeerRating(beerName, brewery);
-      sendResponse(result);
-    } catch (error) {
-      sendResponse({ found: false, error: error.message });
-    }
+  if (request.action === 'importCheckins') {
+    Promise.resolve()
+      .then(() => checkinHistory.import(parseCheckinExport(request.text)))
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   }
 
-  processingQueue = false;
-}
+  if (request.action === 'getCheckinStats') {
+    checkinHistory.getStats().then(sendResponse);
+    return true;
+  }
 
-/**
- * Message handler for content script communication
- */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'getBeerRating') {
-    // Add to queue with rate limiting
-    requestQueue.push({
-      beerName: request.beerName,
-      brewery: request.brewery,
-      sendResponse
+  if (request.action === 'clearCheckins') {
+    checkinHistory.clear().then(() => {
+      sendResponse({ success: true });
     });
-    processQueue();
-    return true; // Keep message channel open for async response
+    return true;
+  }
+
+  if (request.action === 'searchBeerCandidates') {
+    searchCandidates(request.query, request.breweries || request.brewery)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getBreweryBeers') {
+    getBreweryBeers(request.brewery, request.exclude)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'setMatchOverride') {
+    matchOverrides.set(request.site, request.beerName, request)
+      .then(override => withCheckinHistory(overrideResult(override), request.beerName, request.brewery))
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getMatchOverrides') {
+    matchOverrides.list().then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'removeMatchOverride') {
+    matchOverrides.remove(request.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'setBeerRatingPriority') {
+    setRequestPriority(requesterId(sender, request.requestId), PRIORITY[request.priority] ?? PRIORITY.offscreen);
+    return false;
+  }
+
+  if (request.action === 'cancelBeerRating') {
+    cancelRequest(requesterId(sender, request.requestId));
+    return false;
   }
 
   if (request.action === 'clearCache') {
-    chrome.storage.local.remove('beerRatingsCache').then(() => {
-      chrome.storage.local.remove('cacheStats').then(() => {
-        sendResponse({ success: true });
-      });
+    cacheManager.clear().then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  if (request.action === 'getCacheTtls') {
+    cacheManager.getTtls().then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'setCacheTtls') {
+    cacheManager.setTtls(request.ttls).then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  if (request.action === 'setCacheMaxEntries') {
+    cacheManager.setMaxEntries(request.maxEntries).then(() => {
+      sendResponse({ success: true });
     });
     return true;
   }
 
   if (request.action === 'getCacheStats') {
-    chrome.storage.local.get(['beerRatingsCache', 'cacheStats']).then(result => {
-      const cache = result.beerRatingsCache || {};
-      const stats = result.cacheStats || { hits: 0, misses: 0 };
+    cacheManager.getStats().then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'getApiStatus') {
+    Promise.all([untappdService.getDataSource(), untappdService.getApiUsage()]).then(([dataSource, usage]) => {
       sendResponse({
-        cachedBeers: Object.keys(cache).length,
-        hits: stats.hits,
-        misses: stats.misses,
-        hitRate: stats.hits + stats.misses > 0
-          ? Math.round((stats.hits / (stats.hits + stats.misses)) * 100)
-          : 0
+        dataSource,
+        usage,
+        // API key is stored but the hourly budget is spent, so lookups fall back to scraping
+        fallingBack: dataSource === 'api' && usage.remaining <= 0
       });
     });
     return true;
   }
 
+  if (request.action === 'getThrottleStatus') {
+    circuitBreaker.getState().then(({ until }) => {
+      sendResponse({ throttled: until > Date.now(), retryAt: until });
+    });
+    return true;
+  }
+
+  if (request.action === 'testApiKey') {
+    untappdService.testApiKey(request.apiKey).then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'saveApiKey') {
+    untappdService.testApiKey(request.apiKey).then(async test => {
+      if (test.valid) {
+        await untappdService.saveApiKey(request.apiKey);
+      }
+      sendResponse(test);
+    });
+    return true;
+  }
+
+  if (request.action === 'clearApiKey') {
+    untappdService.clearApiKey().then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  if (request.action === 'getCustomBreweries') {
+    getCustomBreweries().then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'saveCustomBrewery') {
+    saveCustomBrewery(request.domain, request.config)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'removeCustomBrewery') {
+    removeCustomBrewery(request.domain)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getBadgeSettings') {
+    getBadgeSettings().then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'setBadgeSettings') {
+    saveBadgeSettings(request.settings).then(settings => {
+      sendResponse({ success: true, settings });
+    });
+    return true;
+  }
+
+  if (request.action === 'getDebugMode') {
+    chrome.storage.local.get('debugMode').then(result => {
+      sendResponse({ enabled: result.debugMode === true });
+    });
+    return true;
+  }
+
+  if (request.action === 'setDebugMode') {
+    chrome.storage.local.set({ debugMode: request.enabled }).then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
   if (request.action === 'getExtensionEnabled') {
     chrome.storage.sync.get('extensionEnabled').then(result => {
       sendResponse({ enabled: result.extensionEnabled !== false }); // Default to true
@@ -308,5 +895,39 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 });
 
+// Dynamic content scripts are dropped on update, and permissions can be
+// revoked from Chrome's own settings, so re-register whenever either happens
+chrome.runtime.onInstalled.addListener(() => {
+  syncCustomContentScripts().catch(error => console.error('Content script registration error:', error));
+});
+chrome.permissions.onRemoved.addListener(() => {
+  syncCustomContentScripts().catch(error => console.error('Content script registration error:', error));
+});
+
+// Resume a pause that was in force when the worker last stopped
+circuitBreaker.getState().then(({ until }) => rateLimiter.pauseUntil(until));
+
+// Drop queued lookups for tabs that have closed
+chrome.tabs.onRemoved.addListener(tabId => {
+  for (const requester of [...requesters.keys()]) {
+    if (requester.startsWith(`${tabId}:`)) cancelRequest(requester);
+  }
+  tabBeerLists.clear(tabId);
+});
+
+// Periodically delete cache entries that are too old to serve even as stale
+const CACHE_SWEEP_ALARM = 'cacheSweep';
+chrome.alarms.get(CACHE_SWEEP_ALARM).then(alarm => {
+  // Recreating on every worker start would keep pushing the first sweep back
+  if (!alarm) chrome.alarms.create(CACHE_SWEEP_ALARM, { periodInMinutes: 60 });
+});
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === CACHE_SWEEP_ALARM) {
+    cacheManager.sweepExpired().then(removed => {
+      if (removed > 0) console.log(`Cache sweep removed ${removed} expired entries`);
+    });
+  }
+});
+
 // Log when service worker starts
 console.log('Beer Rating Injector background service worker started');
@@ -0,0 +1,146 @@
+/**
+ * Badge settings - rating tiers and their colours, compact mode, which parts
+ * of the badge to show, and light/dark styling.
+ *
+ * A classic script so it can run as a content script and on the options
+ * page, and be imported for its side effect by the background worker.
+ * Settings live in chrome.storage.sync under STORAGE_KEY. Everything is
+ * exposed as globalThis.BadgeSettings.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'badgeSettings';
+
+  const MAX_TIERS = 6;
+  const THEMES = ['auto', 'light', 'dark'];
+
+  const DEFAULT_SETTINGS = {
+    // Each tier runs from its min rating up to the next tier's min
+    tiers: [
+      { min: 0, color: '#e6d5a1' },
+      { min: 3.5, color: '#ffcc00' },
+      { min: 3.8, color: '#9ccc65' },
+      { min: 4, color: '#4caf50' }
+    ],
+    // Only the rating number
+    compact: false,
+    showLabel: true,
+    showCount: true,
+    // 'auto' follows the background behind each badge
+    theme: 'auto'
+  };
+
+  /**
+   * Check a tier from storage or the options page
+   */
+  function isValidTier(tier) {
+    return Boolean(tier) &&
+      typeof tier.min === 'number' && tier.min >= 0 && tier.min <= 5 &&
+      typeof tier.color === 'string' && /^#[0-9a-f]{6}$/i.test(tier.color);
+  }
+
+  /**
+   * Fill in defaults and drop anything invalid
+   * Tiers are sorted, de-duplicated by min rating and capped at MAX_TIERS;
+   * the lowest tier always starts at 0 so every rating has a colour.
+   * @param {Object} [settings] - Stored or submitted settings
+   * @returns {Object} Complete settings
+   */
+  function normalize(settings = {}) {
+    const merged = { ...DEFAULT_SETTINGS, ...settings };
+
+    let tiers = (Array.isArray(merged.tiers) ? merged.tiers : [])
+      .filter(isValidTier)
+      .map(tier => ({ min: Math.round(tier.min * 100) / 100, color: tier.color.toLowerCase() }))
+      .sort((a, b) => a.min - b.min)
+      .filter((tier, i, all) => i === 0 || tier.min !== all[i - 1].min)
+      .slice(0, MAX_TIERS);
+    if (tiers.length === 0) tiers = DEFAULT_SETTINGS.tiers.map(tier => ({ ...tier }));
+    tiers[0] = { ...tiers[0], min: 0 };
+
+    return {
+      tiers,
+      compact: Boolean(merged.compact),
+      showLabel: merged.showLabel !== false,
+      showCount: merged.showCount !== false,
+      theme: THEMES.includes(merged.theme) ? merged.theme : DEFAULT_SETTINGS.theme
+    };
+  }
+
+  /**
+   * Index of the tier a rating falls in
+   * @param {number} rating
+   * @param {Object[]} tiers - Sorted, as from normalize()
+   */
+  function tierIndex(rating, tiers) {
+    let index = 0;
+    tiers.forEach((tier, i) => {
+      if (rating >= tier.min) index = i;
+    });
+    return index;
+  }
+
+  /**
+   * Parse "#rrggbb", "rgb(r, g, b)" or "rgba(r, g, b, a)"
+   * @returns {number[]|null} [r, g, b, alpha]
+   */
+  function parseColor(color) {
+    const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    if (hex) return [...hex.slice(1).map(value => parseInt(value, 16)), 1];
+
+    const rgb = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i.exec(color || '');
+    if (!rgb) return null;
+
+    let alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    if (rgb[4] && rgb[4].endsWith('%')) alpha /= 100;
+    return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), alpha];
+  }
+
+  /**
+   * Check whether white text reads better than black on a colour
+   * (WCAG relative luminance)
+   */
+  function isDarkColor(color) {
+    const parsed = parseColor(color);
+    if (!parsed) return false;
+
+    const [r, g, b] = parsed.slice(0, 3).map(value => {
+      const channel = value / 255;
+      return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.179;
+  }
+
+  /**
+   * Readable text colour for a tier colour
+   */
+  function textColorFor(color) {
+    return isDarkColor(color) ? '#ffffff' : '#1a1a1a';
+  }
+
+  /**
+   * Check whether the nearest opaque background behind an element is dark
+   * Pages with no background colour anywhere are treated as light.
+   * @param {Element} element
+   */
+  function hasDarkBackground(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const color = parseColor(getComputedStyle(node).backgroundColor);
+      if (color && color[3] > 0.5) return isDarkColor(`rgb(${color.slice(0, 3).join(', ')})`);
+    }
+    return false;
+  }
+
+  globalThis.BadgeSettings = {
+    STORAGE_KEY,
+    MAX_TIERS,
+    DEFAULT_SETTINGS,
+    normalize,
+    tierIndex,
+    isDarkColor,
+    textColorFor,
+    hasDarkBackground
+  };
+})();
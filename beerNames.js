@@ -0,0 +1,182 @@
+/**
+ * Beer name normalisation - a shared vocabulary of styles, modifiers and
+ * flavours, plus ABV, container size and pack count formats (which are also
+ * read back as volumes for pricing).
+ *
+ * A classic script so it can run as a content script (before nameRules.js)
+ * and be imported for its side effect by the background worker. Everything
+ * is exposed as globalThis.BeerNames.
+ */
+
+(function() {
+  'use strict';
+
+  const VOCABULARY = {
+    // Beer styles, as they appear in shop titles
+    styles: [
+      'IPA', 'NEIPA', 'NEPA', 'DIPA', 'TIPA', 'APA', 'Pale Ale', 'Pale',
+      'Lager', 'Helles', 'Pilsner', 'Pilsener', 'Pils', 'Kellerbier', 'Dunkel', 'Bock', 'Doppelbock',
+      'Märzen', 'Marzen', 'Schwarzbier', 'Stout', 'Porter', 'Sour', 'Soured', 'Gose', 'Berliner Weisse',
+      'Saison', 'Farmhouse Ale', 'Grisette', 'Lambic', 'Gueuze', 'Kriek', 'Flanders Red',
+      'Barley Wine', 'Barleywine', 'Wheat Beer', 'Witbier', 'Hefeweizen', 'Weissbier',
+      'Bitter', 'ESB', 'Mild', 'Brown Ale', 'Red Ale', 'Amber Ale', 'Scotch Ale', 'Old Ale', 'Golden Ale',
+      'Kölsch', 'Kolsch', 'Altbier', 'Rauchbier', 'Tripel', 'Dubbel', 'Quadrupel', 'Graf', 'Cider',
+      'Radler', 'Table Beer', 'Ale', 'Beer'
+    ],
+
+    // Words that qualify a style rather than name the beer
+    modifiers: [
+      'Hazy', 'Imperial', 'Double', 'Triple', 'Session', 'Barrel Aged', 'Barrel-Aged', 'Oak Aged', 'BA', 'Aged', 'Barrel',
+      'Double Dry Hopped', 'Dry Hopped', 'DDH', 'TDH', 'AF', 'Alcohol Free', 'Low Alcohol', 'Non Alcoholic',
+      'Gluten Free', 'GF', 'Nitro', 'NE', 'New England', 'West Coast', 'East Coast', 'American', 'Belgian',
+      'Czech', 'Kveik', 'Fruited', 'Smoothie', 'Milkshake', 'Foeder', 'Mixed Fermentation', 'Table'
+    ],
+
+    // Adjuncts and fruit listed before the style ("Raspberry & Blackcurrant Gose")
+    flavours: [
+      'Raspberry', 'Blackberry', 'Blackcurrant', 'Blueberry', 'Elderberry', 'Elderflower', 'Strawberry',
+      'Mango', 'Papaya', 'Pineapple', 'Guava', 'Rhubarb', 'Passionfruit', 'Passion Fruit', 'Cherry',
+      'Peach', 'Apricot', 'Plum', 'Berry', 'Currant', 'Grapefruit', 'Blood Orange', 'Yuzu', 'Lime',
+      'Coconut', 'Banana', 'Vanilla', 'Coffee', 'Chocolate', 'Cacao', 'Cinnamon', 'Maple', 'Honey',
+      'Ginger', 'Salted Caramel', 'Caramel', 'Hazelnut'
+    ]
+  };
+
+  // Everything after the beer name: ABV, sizes and pack counts
+  const ABV_PATTERN = '\\(?\\s*(?:abv\\s*:?\\s*)?\\d+(?:[.,]\\d+)?\\s*%(?:\\s*abv)?(?:\\s*\\))?';
+  const SIZE_PATTERN = '(?:\\d+\\s*x\\s*)?\\d+(?:[.,]\\d+)?\\s*(?:ml|cl|ltr|litre|liter|l|oz)\\b(?:\\s+(?:can|bottle|keg|cask)s?\\b)?';
+  const PACK_PATTERN = '\\(?\\s*(?:\\d+\\s*(?:x\\s*)?(?:pack|pk)s?|(?:pack|case)\\s+of\\s+\\d+)\\b(?:\\s*\\))?';
+
+  // Millilitres per unit, for parseVolume()
+  const UNIT_ML = { ml: 1, cl: 10, l: 1000, ltr: 1000, litre: 1000, liter: 1000, oz: 29.5735 };
+
+  // A token's own separator goes with it ("Small Victories - 440ml")
+  const LEADING_SEPARATOR = '(?:\\s*[-–—|/,:]\\s*|\\s+|^)';
+
+  /**
+   * Build a regex alternation for vocabulary words, longest first so
+   * "Pale Ale" wins over "Pale"
+   * @param {string[]} [groups] - Any of 'styles', 'modifiers', 'flavours'
+   * @param {string[]} [extra] - Site-specific words (RegExp source)
+   * @returns {string}
+   */
+  function vocabularyPattern(groups = Object.keys(VOCABULARY), extra = []) {
+    const words = groups.flatMap(group => {
+      if (!VOCABULARY[group]) throw new Error(`Unknown vocabulary "${group}"`);
+      return VOCABULARY[group].map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[\s-]+/g, '[\\s-]+'));
+    });
+
+    return [...words, ...extra].sort((a, b) => b.length - a.length).join('|');
+  }
+
+  /**
+   * Remove every match of a token pattern along with its separator
+   */
+  function stripToken(name, pattern, rest) {
+    const source = `${LEADING_SEPARATOR}${pattern}${rest ? '.*$' : ''}`;
+    return name.replace(new RegExp(source, rest ? 'i' : 'gi'), '');
+  }
+
+  /**
+   * Remove the ABV, by default with everything after it
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.rest=true] - Also drop whatever follows the ABV
+   */
+  function stripAbv(name, { rest = true } = {}) {
+    return stripToken(name, ABV_PATTERN, rest);
+  }
+
+  /**
+   * Remove container sizes ("440ml", "500ML CAN", "12 x 330ml")
+   */
+  function stripSize(name) {
+    return stripToken(name, SIZE_PATTERN, false);
+  }
+
+  /**
+   * Remove pack counts ("6 PACK", "(12 pack)", "Case of 24")
+   */
+  function stripPack(name) {
+    return stripToken(name, PACK_PATTERN, false);
+  }
+
+  /**
+   * Read the container size and count from a title ("4 x 440ml",
+   * "500ML CAN 6 PACK", "Case of 24 330ml", "0,5l")
+   * @param {string} text
+   * @returns {Object|null} { ml, count } per container, or null without a size
+   */
+  function parseVolume(text) {
+    const unit = '(ml|cl|ltr|litres?|liters?|l|oz)\\b';
+    const toNumber = value => parseFloat(value.replace(',', '.'));
+
+    const multi = text.match(new RegExp(`(\\d+)\\s*x\\s*(\\d+(?:[.,]\\d+)?)\\s*${unit}`, 'i'));
+    const size = multi ? multi.slice(2) : (text.match(new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*${unit}`, 'i')) || []).slice(1);
+    if (size.length === 0) return null;
+
+    const unitName = size[1].toLowerCase().replace(/s$/, '');
+    const ml = Math.round(toNumber(size[0]) * UNIT_ML[unitName]);
+    if (!(ml > 0)) return null;
+
+    let count = multi ? parseInt(multi[1], 10) : 1;
+    if (!multi) {
+      const pack = text.match(/(\d+)\s*(?:x\s*)?(?:pack|pk)s?\b/i) || text.match(/(?:pack|case)\s+of\s+(\d+)/i);
+      if (pack) count = parseInt(pack[1], 10);
+    }
+
+    return { ml, count: count > 0 ? count : 1 };
+  }
+
+  // Regex for each stripDescriptors mode, given the vocabulary alternation.
+  // Words must follow whitespace, so the first word of a name is never removed.
+  const DESCRIPTOR_PATTERNS = {
+    // A trailing run of words, allowing "&", "," and "and" between them
+    suffix: words => new RegExp(`(?:\\s*[,&]?\\s+(?:and\\s+)?(?:${words})\\b)+\\s*$`, 'i'),
+    // The first word and everything after it
+    fromFirst: words => new RegExp(`\\s+(?:${words})\\b.*`, 'i'),
+    // Every occurrence
+    all: words => new RegExp(`\\s+(?:${words})\\b`, 'gi')
+  };
+
+  /**
+   * Remove style, modifier and flavour words
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {string} [options.mode='suffix'] - 'suffix', 'fromFirst' or 'all'
+   * @param {string[]} [options.vocabulary] - Groups to use, default all
+   * @param {string[]} [options.extra] - Site-specific words (RegExp source)
+   */
+  function stripDescriptors(name, { mode = 'suffix', vocabulary, extra = [] } = {}) {
+    const build = DESCRIPTOR_PATTERNS[mode];
+    if (!build) throw new Error(`Unknown stripStyles mode "${mode}"`);
+
+    const words = vocabularyPattern(vocabulary, extra);
+    return words ? name.replace(build(words), '') : name;
+  }
+
+  /**
+   * Reduce a beer name to the words that identify it, for comparing a shop
+   * title with an Untappd result name ("Kinetic IPA 440ml" -> "Kinetic")
+   * @param {string} name
+   * @returns {string} Original name if nothing would be left
+   */
+  function comparableName(name) {
+    let result = stripPack(name);
+    result = stripSize(result);
+    result = stripAbv(result, { rest: false });
+    result = stripDescriptors(result, { mode: 'all', vocabulary: ['styles', 'modifiers'] }).trim();
+    return result || name.trim();
+  }
+
+  globalThis.BeerNames = {
+    VOCABULARY,
+    vocabularyPattern,
+    stripAbv,
+    stripSize,
+    stripPack,
+    stripDescriptors,
+    comparableName,
+    parseVolume
+  };
+})();
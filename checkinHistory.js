@@ -0,0 +1,275 @@
+/**
+ * Check-in history - the user's own Untappd check-ins, imported from the
+ * CSV or JSON export Untappd supporters can download, so badges can say
+ * "Had it" with the user's rating.
+ */
+
+import { normalizeForMatch } from './utils.js';
+
+/**
+ * Get an Untappd beer id from a beer page URL
+ * Handles search result links ("/b/pipeline-brewing-company-wolf-moon/5890112")
+ * and export links ("/beer/5890112").
+ * @param {string} [url]
+ * @returns {string|null}
+ */
+function beerIdFromUrl(url) {
+  const match = url && url.match(/untappd\.com\/(?:b\/[^/?#]+|beer)\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may hold
+ * commas, doubled quotes and newlines)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Parse an Untappd check-in export (CSV or JSON) into check-ins
+ * @param {string} text - File contents
+ * @returns {Object[]} { checkinId, bid, beerName, breweryName, rating, createdAt }
+ * @throws {Error} If the file isn't an Untappd check-in export
+ */
+function parseCheckinExport(text) {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  let records;
+
+  if (content.startsWith('[') || content.startsWith('{')) {
+    const data = JSON.parse(content);
+    records = Array.isArray(data) ? data : (data.checkins || []);
+  } else {
+    const [header, ...rows] = parseCsv(content);
+    const columns = (header || []).map(name => name.trim());
+    records = rows.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i]])));
+  }
+
+  const checkins = records
+    .map(record => {
+      const rating = parseFloat(record.rating_score);
+      return {
+        checkinId: record.checkin_id ? String(record.checkin_id) : null,
+        bid: record.bid ? String(record.bid) : beerIdFromUrl(record.beer_url),
+        beerName: (record.beer_name || '').trim(),
+        breweryName: (record.brewery_name || '').trim(),
+        rating: rating > 0 ? rating : null,
+        createdAt: record.created_at ? Date.parse(record.created_at) || null : null
+      };
+    })
+    .filter(checkin => checkin.beerName && (checkin.bid || checkin.breweryName));
+
+  if (checkins.length === 0) {
+    throw new Error('No Untappd check-ins found in this file');
+  }
+  return checkins;
+}
+
+/**
+ * Beers the user has checked in, stored locally by Untappd beer id
+ */
+class CheckinHistory {
+  constructor() {
+    this.storageKey = 'checkinHistory';
+    // { byId, byName, beers } for lookups, rebuilt after each import
+    this.index = null;
+  }
+
+  /**
+   * Get stored history
+   * @returns {Promise<Object>} { beers, importedAt } with beers keyed by id
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || { beers: {}, importedAt: null };
+  }
+
+  /**
+   * Merge check-ins into the stored history
+   * Check-ins already imported (by check-in id) are skipped, so importing an
+   * overlapping export again doesn't double-count anything.
+   * @param {Object[]} checkins - From parseCheckinExport()
+   * @returns {Promise<Object>} { added, beers, checkins } - New check-ins and totals
+   */
+  async import(checkins) {
+    const history = await this.getAll();
+    let added = 0;
+    // Rows with neither an id nor a time, counted per beer and rating
+    const repeats = new Map();
+
+    for (const checkin of checkins) {
+      const id = checkin.bid || `name:${nameKey(checkin.breweryName, checkin.beerName)}`;
+      const beer = history.beers[id] || (history.beers[id] = {
+        bid: checkin.bid,
+        beerName: checkin.beerName,
+        breweryName: checkin.breweryName,
+        rating: null,
+        ratedAt: null,
+        lastCheckin: null,
+        checkinIds: []
+      });
+
+      // Exports without ids can't be de-duplicated by id, so use the time, or
+      // failing that the row's place among identical rows in this file, so
+      // every one counts once and a re-import adds none of them again
+      let checkinId = checkin.checkinId || (checkin.createdAt && `${checkin.createdAt}`);
+      if (!checkinId) {
+        const row = `${id}|${checkin.rating}`;
+        repeats.set(row, (repeats.get(row) || 0) + 1);
+        checkinId = `row:${checkin.rating}#${repeats.get(row)}`;
+      }
+      if (beer.checkinIds.includes(checkinId)) continue;
+      beer.checkinIds.push(checkinId);
+      added++;
+
+      if (checkin.createdAt && checkin.createdAt > (beer.lastCheckin || 0)) {
+        beer.lastCheckin = checkin.createdAt;
+      }
+      // The most recent rating is the user's current opinion
+      if (checkin.rating !== null && (checkin.createdAt || 0) >= (beer.ratedAt || 0)) {
+        beer.rating = checkin.rating;
+        beer.ratedAt = checkin.createdAt;
+      }
+    }
+
+    history.importedAt = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: history });
+    this.index = null;
+
+    return { added, ...summarize(history) };
+  }
+
+  /**
+   * Counts for the popup
+   * @returns {Promise<Object>} { beers, checkins, importedAt }
+   */
+  async getStats() {
+    return summarize(await this.getAll());
+  }
+
+  /**
+   * Delete the imported history
+   */
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+    this.index = null;
+  }
+
+  /**
+   * Build (once) the id and name lookup maps
+   */
+  async getIndex() {
+    if (!this.index) {
+      const { beers } = await this.getAll();
+      const index = { byId: new Map(), byName: new Map(), beers: Object.values(beers) };
+      for (const beer of index.beers) {
+        if (beer.bid) index.byId.set(beer.bid, beer);
+        index.byName.set(nameKey(beer.breweryName, beer.beerName), beer);
+      }
+      this.index = index;
+    }
+    return this.index;
+  }
+
+  /**
+   * Find the user's history for a lookup result
+   * Matches by Untappd beer id, then by the matched Untappd names, then (for
+   * beers Untappd search didn't confidently find) by the page name within
+   * the brewery, when there is one.
+   * @param {Object} ratingData - Lookup result
+   * @param {string} beerName - Name from the page
+   * @param {string} brewery - Brewery name used for searching
+   * @returns {Promise<Object|null>} { rating, checkins, lastCheckin } or null
+   */
+  async find(ratingData, beerName, brewery) {
+    const index = await this.getIndex();
+    if (index.beers.length === 0) return null;
+
+    // An uncertain match's URL may well be a different beer
+    let beer = null;
+    if (ratingData.found && !ratingData.uncertain) {
+      const bid = beerIdFromUrl(ratingData.beerUrl);
+      beer = (bid && index.byId.get(bid)) ||
+        (ratingData.breweryName && index.byName.get(nameKey(ratingData.breweryName, ratingData.beerName))) ||
+        null;
+    } else {
+      // Without a brewery any same-named beer would match
+      const name = normalizeForMatch(beerName);
+      const breweryName = normalizeForMatch(brewery || '');
+      beer = (breweryName && index.beers.find(entry =>
+        normalizeForMatch(entry.beerName) === name && normalizeForMatch(entry.breweryName).includes(breweryName)
+      )) || null;
+    }
+
+    return beer && {
+      rating: beer.rating,
+      checkins: beer.checkinIds.length,
+      lastCheckin: beer.lastCheckin
+    };
+  }
+}
+
+/**
+ * Key for matching by name when there's no beer id
+ */
+function nameKey(breweryName, beerName) {
+  return `${normalizeForMatch(breweryName || '')}|${normalizeForMatch(beerName || '')}`;
+}
+
+/**
+ * Count beers and check-ins in a stored history
+ */
+function summarize(history) {
+  const beers = Object.values(history.beers);
+  return {
+    beers: beers.length,
+    checkins: beers.reduce((total, beer) => total + beer.checkinIds.length, 0),
+    importedAt: history.importedAt
+  };
+}
+
+export {
+  CheckinHistory,
+  parseCheckinExport,
+  parseCsv,
+  beerIdFromUrl
+};
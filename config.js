@@ -1,7 +1,41 @@
 /**
  * Brewery-specific configurations for DOM selectors and search parameters.
  * Add new breweries here to extend the extension.
+ *
+ * Optional price fields (see pricing.js):
+ *   volumeSelector   - Element holding the can size, when the title doesn't
+ *   currency         - ISO code, when prices have no symbol
+ *   decimalSeparator - '.' or ',', when "1.250" would be ambiguous
+ *
+ * Optional brewery fields, for collaborations and shops selling other
+ * breweries' beers:
+ *   brewerySelector  - Element in the card naming its brewery (the vendor);
+ *                      searched for instead of breweryNameForSearch
+ *   breweryPatterns  - RegExp sources whose first group captures other
+ *                      breweries in the title (see extractBreweries in nameRules.js)
+ *
+ * Optional productPage, for a rating panel on individual product pages:
+ *   pathPattern       - Regular expression the page path must match
+ *                       (default '/products?/')
+ *   titleSelector     - The product's title, read for the beer name
+ *   injectionTarget   - Where the panel goes (default: the title)
+ *   injectionPosition - As for cards (default 'afterend')
  */
+
+// Product page titles on the Shopify themes the built-in sites use
+const SHOPIFY_PRODUCT_PAGE = {
+  pathPattern: '/products/',
+  titleSelector: '.product__title h1, h1.product__title, h1.product-single__title, h1.product-meta__title, main h1',
+  injectionTarget: '.product__title, h1.product-single__title, h1.product-meta__title, main h1',
+  injectionPosition: 'afterend'
+};
+
+const WOOCOMMERCE_PRODUCT_PAGE = {
+  pathPattern: '/product/',
+  titleSelector: 'h1.product_title, .elementor-widget-woocommerce-product-title h1, main h1',
+  injectionPosition: 'afterend'
+};
+
 const BREWERY_CONFIGS = {
   'cloudwaterbrew.co': {
     name: 'Cloudwater',
@@ -17,23 +51,20 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.card-information, .card__text, .product-item__info',
     injectionPosition: 'afterbegin', // 'beforeend', 'afterbegin', 'beforebegin', 'afterend'
 
-    // Optional: transform beer name before searching
-    transformBeerName: (name) => {
-      // Extract beer name before the pipe (style descriptor)
-      // e.g., "SOCAL | BRIGHT PALE" -> "SoCal"
-      // e.g., "PICCADILLY PILSNER | LAGER" -> "Piccadilly Pilsner"
-      let beerName = name.split('|')[0].trim();
-
-      // Remove common suffixes/prefixes that might interfere with search
-      beerName = beerName
-        .replace(/\s*\([^)]*x[^)]*\)/gi, '') // Remove bracketed collaborations (e.g., "(Collab x Brewery)")
-        .replace(/\s+x\s+/gi, ' ')            // Remove collaboration "x" (e.g., "Beer x Brewery" -> "Beer Brewery")
-        .replace(/\s*-\s*\d+ml$/i, '')        // Remove size indicators
-        .replace(/\s*\(\d+ pack\)$/i, '')     // Remove pack info
-        .trim();
-
-      return beerName;
-    }
+    // Optional: clean the beer name before searching (see nameRules.js)
+    // Beer name before the pipe (style descriptor)
+    // e.g., "SOCAL | BRIGHT PALE" -> "SOCAL"
+    // e.g., "PICCADILLY PILSNER | LAGER" -> "PICCADILLY PILSNER"
+    nameRules: [
+      { type: 'split', separator: '|', trim: true },
+      { type: 'collab', mode: 'bracketed' }, // "(Collab x Brewery)"
+      { type: 'collab', mode: 'join' }, // "Beer x Brewery" -> "Beer Brewery"
+      { type: 'stripSize' },
+      { type: 'stripPack' }
+    ],
+    breweryPatterns: ['\\(collab(?:oration)?\\s+(?:x|with)\\s+([^)]+)\\)'],
+
+    productPage: SHOPIFY_PRODUCT_PAGE
   },
 
   'azvexbrewing.com': {
@@ -50,20 +81,14 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.t-entry-title, .product-title, .t-entry-text-tc',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Azvex format: "BROWNIAN MOTION – 6.5% IPA – 440ML CAN"
-      // Extract just the beer name before the first em-dash with ABV
-      let beerName = name
-        .split('–')[0]                        // Take text before first em-dash
-        .split('-')[0]                        // Also handle regular dashes
-        .replace(/\s*\d+(\.\d+)?%.*$/i, '')   // Remove ABV and everything after
-        .trim();
-
-      // Convert from ALL CAPS to Title Case for better Untappd matching
-      beerName = beerName.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
-
-      return beerName;
-    }
+    // Azvex format: "BROWNIAN MOTION – 6.5% IPA – 440ML CAN"
+    // Just the beer name before the first dash, in Title Case for better Untappd matching
+    nameRules: [
+      { type: 'split', separator: '–' },
+      { type: 'split', separator: '-' },
+      { type: 'stripAbv' },
+      { type: 'titleCase' }
+    ]
   },
 
   'pipelinebrewing.co.uk': {
@@ -80,27 +105,16 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.product-card__title, .product-card__info',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Pipeline format: "Wolf Moon - DIPA - 8.4% - 440ml"
-      // Collab format: "RIVINGTON COLAB - MIZZLE IPA - 6.5% - 440ML"
-      const parts = name.split('-').map(p => p.trim());
-
-      let beerName;
-      // If first part contains COLAB/COLLAB, beer name is in second part
-      if (parts[0] && /colab|collab/i.test(parts[0])) {
-        beerName = parts[1] || parts[0];
-      } else {
-        beerName = parts[0];
-      }
-
-      // Remove style suffixes and ABV
-      beerName = beerName
-        .replace(/\s*\d+(\.\d+)?%.*$/i, '')   // Remove ABV if present
-        .replace(/\s+(IPA|PALE|LAGER|STOUT|PORTER|PILSNER|SOUR|DIPA|TIPA|ALE)$/i, '') // Remove style
-        .trim();
-
-      return beerName;
-    }
+    // Pipeline format: "Wolf Moon - DIPA - 8.4% - 440ml"
+    // Collab format: "RIVINGTON COLAB - MIZZLE IPA - 6.5% - 440ML"
+    nameRules: [
+      { type: 'collab', mode: 'leadingSegment', separator: '-', marker: 'colab|collab' },
+      { type: 'stripAbv' },
+      { type: 'stripStyles' }
+    ],
+    breweryPatterns: ['^([^-]+?)\\s+col?lab\\s*-'],
+
+    productPage: SHOPIFY_PRODUCT_PAGE
   },
 
   'beakbrewery.com': {
@@ -117,17 +131,13 @@ const BREWERY_CONFIGS = {
     injectionTarget: 'p.title, .title',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Beak format: "HUM 4.8% PALE" or "LEAP 4.5% SESSION IPA"
-      // Collab format: "FLIGHT MECHANICS - BEAK X EQUILIBRIUM - 8.2% DIPA"
-      let beerName = name
-        .replace(/\s*\d+(\.\d+)?%.*$/i, '')   // Remove ABV and everything after
-        .replace(/\s*-\s*beak\s*x\s*.*/i, '') // Remove collab suffix "- BEAK X ..."
-        .replace(/\s*-\s*[^-]+\s*x\s*.*/i, '') // Remove other collab patterns
-        .trim();
-
-      return beerName;
-    }
+    // Beak format: "HUM 4.8% PALE" or "LEAP 4.5% SESSION IPA"
+    // Collab format: "FLIGHT MECHANICS - BEAK X EQUILIBRIUM - 8.2% DIPA"
+    nameRules: [
+      { type: 'stripAbv' },
+      { type: 'collab', mode: 'segment' } // "- BEAK X EQUILIBRIUM"
+    ],
+    breweryPatterns: ['-\\s*([^-]+?\\s+x\\s+[^-]+?)\\s*(?:-|$)']
   },
 
   'deyabrewing.com': {
@@ -144,13 +154,9 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.indiv-product-vendor-text, .hp-title',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Deya format: "PLENTY SATURATED MOTUEKA, NELSON SAUVIN, NECTARON"
-      // Beer names are usually already clean, just trim
-      let beerName = name.trim();
-
-      return beerName;
-    }
+    // Deya format: "PLENTY SATURATED MOTUEKA, NELSON SAUVIN, NECTARON"
+    // Beer names are usually already clean, just trim
+    nameRules: []
   },
 
   'pollys.co': {
@@ -167,17 +173,14 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.elementor-widget-woocommerce-product-title',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Polly's format: "Rosebud – IPA 5.6%" or "Pilsner – Lager Beer 4.7%"
-      // Extract beer name before em-dash
-      let beerName = name
-        .split('–')[0]                        // Take text before em-dash
-        .split('-')[0]                        // Also handle regular dash
-        .replace(/\s*\d+(\.\d+)?%.*$/i, '')   // Remove ABV if present
-        .trim();
-
-      return beerName;
-    }
+    // Polly's format: "Rosebud – IPA 5.6%" or "Pilsner – Lager Beer 4.7%"
+    nameRules: [
+      { type: 'split', separator: '–' },
+      { type: 'split', separator: '-' },
+      { type: 'stripAbv' }
+    ],
+
+    productPage: WOOCOMMERCE_PRODUCT_PAGE
   },
 
   'verdantbrewing.co': {
@@ -194,18 +197,16 @@ const BREWERY_CONFIGS = {
     injectionTarget: 'h2.product__title, .product__title',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Verdant names - handle collabs like "Disco Italiano x Birificio Italiano"
-      // Keep year for versioned beers like "Burnthouse Coffee Porter 2025 x Origin"
-      let beerName = name
-        .replace(/\s*\d+(\.\d+)?%.*$/i, '')   // Remove ABV if present
-        .replace(/\s*-\s*\d+ml$/i, '')        // Remove size
-        .replace(/\s+x\s+.*/i, '')            // Remove collab suffix " x ..."
-        .replace(/\s+(PORTER|IPA|PALE|LAGER|STOUT|PILSNER|SOUR|DIPA|TIPA|ALE|GOSE)\b/gi, '') // Remove style words
-        .trim();
-
-      return beerName;
-    }
+    // Verdant names - handle collabs like "Disco Italiano x Birificio Italiano"
+    // Keep year for versioned beers like "Burnthouse Coffee Porter 2025 x Origin"
+    nameRules: [
+      { type: 'stripAbv' },
+      { type: 'stripSize' },
+      { type: 'collab', mode: 'dropSuffix' },
+      // Style words only, so flavours like "Coffee" stay part of the name
+      { type: 'stripStyles', mode: 'all', vocabulary: ['styles'] }
+    ],
+    breweryPatterns: ['\\s+x\\s+(.+)$']
   },
 
   'trackbrewing.co': {
@@ -222,16 +223,11 @@ const BREWERY_CONFIGS = {
     injectionTarget: 'a.product-card-title, .product-card-title',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Track format: "Made In The Shade | Porter | 5.6%"
-      // Extract beer name before the first pipe
-      let beerName = name
-        .split('|')[0]                        // Take text before pipe
-        .replace(/\s*\d+(\.\d+)?%.*$/i, '')   // Remove ABV if present
-        .trim();
-
-      return beerName;
-    }
+    // Track format: "Made In The Shade | Porter | 5.6%"
+    nameRules: [
+      { type: 'split', separator: '|' },
+      { type: 'stripAbv' }
+    ]
   },
 
   'overtonebrewing.com': {
@@ -248,17 +244,14 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.card__inner, .card',
     injectionPosition: 'afterbegin',
 
-    transformBeerName: (name) => {
-      // Overtone format: "LITTLE DREAMER 6 PACK" or "STOVIES IPA" or "BRASSNECK IMPERIAL STOUT"
-      // Remove pack info, ABV, and beer style suffixes
-      let beerName = name
-        .replace(/\s*\d+\s*pack$/i, '')       // Remove "6 PACK" etc
-        .replace(/\s*\d+(\.\d+)?%/i, '')      // Remove ABV anywhere (4.5%)
-        .replace(/\s+(STRAWBERRY\s*&?\s*MANGO\s+)?(HONEY\s+)?(NE\s+)?(NITRO\s+)?(IMPERIAL\s+)?(IPA|PALE|LAGER|STOUT|PORTER|PILSNER|SOUR|DIPA|TIPA|ALE|GOSE|PALE\s+ALE|SESSION\s+IPA)$/i, '') // Remove style suffix
-        .trim();
-
-      return beerName;
-    }
+    // Overtone format: "LITTLE DREAMER 6 PACK" or "STOVIES IPA" or "BRASSNECK IMPERIAL STOUT"
+    nameRules: [
+      { type: 'stripPack' },
+      { type: 'stripAbv', rest: false },
+      { type: 'stripStyles' } // "STRAWBERRY & MANGO SOUR", "IMPERIAL STOUT"
+    ],
+
+    productPage: SHOPIFY_PRODUCT_PAGE
   },
 
   'gravitywellbrewing.co.uk': {
@@ -275,17 +268,14 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.product-card__title, h3',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Gravity Well format: "Hawking Radiation - Hazy Pale Ale (5%)"
-      // Extract beer name before the dash and style
-      let beerName = name
-        .split('-')[0]                        // Take text before dash
-        .replace(/\s*\([^)]*\)/g, '')         // Remove anything in parentheses
-        .replace(/\s*\d+(\.\d+)?%/i, '')      // Remove ABV
-        .trim();
-
-      return beerName;
-    }
+    // Gravity Well format: "Hawking Radiation - Hazy Pale Ale (5%)"
+    nameRules: [
+      { type: 'split', separator: '-' },
+      { type: 'remove', pattern: '\\s*\\([^)]*\\)', flags: 'g' }, // Anything in parentheses
+      { type: 'stripAbv', rest: false }
+    ],
+
+    productPage: SHOPIFY_PRODUCT_PAGE
   },
 
   'pomonaislandbrew.co.uk': {
@@ -304,22 +294,16 @@ const BREWERY_CONFIGS = {
 
     // Note: Wix may cause badge flicker due to re-renders
 
-    transformBeerName: (name) => {
-      // Pomona uses verbose names like:
-      // "IF I COULD ONLY REACH YOU BA Imperial Stout | Ledaig 2025"
-      // "VOLTUMNA Blackberry Graf"
-      // "THE MOON IS IN THE SEVENTH HOUSE Raspberry, Blackberry & Blackcurrant Gose 5%"
-      let beerName = name
-        .split('|')[0]                        // Remove variant info after pipe
-        .replace(/\s+BA\s+.*/i, '')           // Remove "BA ..." (Barrel Aged + style)
-        .replace(/\s+\d+(\.\d+)?%.*$/i, '')   // Remove ABV and everything after
-        .replace(/\s+(Raspberry|Blackberry|Blackcurrant|Blueberry|Elderberry|Elderflower|Strawberry|Mango|Papaya|Pineapple|Guava|Rhubarb|Passionfruit|Cherry|Peach|Apricot|Berry|Currant|Vanilla|Coffee|Chocolate|Cinnamon|Maple|Honey|Wild|Fruited|Sour(ed)?|Hazy|Imperial|Double|Triple|Session|Aged|Barrel|Manhattan|Smoothie|West|Traditional|Gluten|Helles|Multi).*/i, '') // Remove from first flavor/descriptor word
-        .replace(/\s+(Stout|IPA|Pale|Lager|Porter|Pilsner|Sour|DIPA|TIPA|Ale|Gose|Graf|Saison|Barley\s*Wine).*$/i, '') // Remove style and everything after
-        .replace(/\s+AF\s*$/i, '')            // Remove "AF" (Alcohol Free)
-        .trim();
-
-      return beerName;
-    }
+    // Pomona uses verbose names like:
+    // "IF I COULD ONLY REACH YOU BA Imperial Stout | Ledaig 2025"
+    // "VOLTUMNA Blackberry Graf"
+    // "THE MOON IS IN THE SEVENTH HOUSE Raspberry, Blackberry & Blackcurrant Gose 5%"
+    nameRules: [
+      { type: 'split', separator: '|' }, // Variant info after pipe
+      { type: 'stripAbv' },
+      // From the first descriptor ("BA", "AF", fruit, style), plus a few Pomona-only words
+      { type: 'stripStyles', mode: 'fromFirst', styles: ['Wild', 'Traditional', 'Manhattan', 'Multi', 'Gluten'] }
+    ]
   },
 
   'missinglinkbrewing.com': {
@@ -336,32 +320,50 @@ const BREWERY_CONFIGS = {
     injectionTarget: '.product-card__title, .card__heading, h2',
     injectionPosition: 'afterend',
 
-    transformBeerName: (name) => {
-      // Missing Link format: "BONOBO NEPA 440ml 4.6%" or "MACAQUE WEST COAST IPA 440ml 5.8%"
-      // Extract beer name, remove size, ABV, and style descriptors
-      let beerName = name
-        .replace(/\s*\d+ml\b/gi, '')          // Remove size (440ml, 330ml, etc.)
-        .replace(/\s*\d+(\.\d+)?%.*$/i, '')   // Remove ABV and everything after
-        .replace(/\s+(Hazy|Table|Kveik|American|Grapefruit|West|Coast|Session|Imperial|Double).*/i, '') // Remove style descriptors
-        .replace(/\s+(IPA|NEPA|NEIPA|PALE|LAGER|STOUT|PORTER|PILSNER|SOUR|DIPA|TIPA|ALE|GOSE|SAISON|BEER)$/i, '') // Remove style suffix
-        .trim();
-
-      return beerName;
-    }
+    // Missing Link format: "BONOBO NEPA 440ml 4.6%" or "MACAQUE WEST COAST IPA 440ml 5.8%"
+    nameRules: [
+      { type: 'stripSize' },
+      { type: 'stripAbv' },
+      // Only Missing Link's own words: the shared flavours are often part of the name
+      { type: 'stripStyles', mode: 'fromFirst', vocabulary: [], styles: ['Hazy', 'Table', 'Kveik', 'American', 'Grapefruit', 'West', 'Coast', 'Session', 'Imperial', 'Double'] },
+      { type: 'stripStyles', vocabulary: [], styles: ['IPA', 'NEPA', 'NEIPA', 'PALE', 'LAGER', 'STOUT', 'PORTER', 'PILSNER', 'SOUR', 'DIPA', 'TIPA', 'ALE', 'GOSE', 'SAISON', 'BEER'] }
+    ],
+
+    productPage: SHOPIFY_PRODUCT_PAGE
   }
 };
 
+/**
+ * Host patterns for a brewery domain, matching the manifest's own entries
+ * @param {string} domain - e.g. "example-brewing.com"
+ * @returns {string[]}
+ */
+function originsForDomain(domain) {
+  return [`https://${domain}/*`, `https://*.${domain}/*`];
+}
+
 /**
  * Get config for current hostname
+ * Sites are registered for their subdomains too (see originsForDomain), so
+ * "shop.example.com" gets the config for "example.com".
+ * @param {Object} [customConfigs] - User-added sites from the options page, by domain.
+ *   These take precedence so a user can fix a built-in site whose theme changed.
  * @returns {Object|null} Brewery config or null if not supported
  */
-function getBreweryConfig() {
+function getBreweryConfig(customConfigs = {}) {
   const hostname = window.location.hostname.replace(/^www\./, '');
-  return BREWERY_CONFIGS[hostname] || null;
+  const configs = { ...BREWERY_CONFIGS, ...customConfigs };
+  if (configs[hostname]) return configs[hostname];
+
+  // The most specific domain wins: "beer.shop.example.com" prefers a
+  // "shop.example.com" site over "example.com"
+  const domain = Object.keys(configs)
+    .filter(candidate => hostname.endsWith(`.${candidate}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return domain ? configs[domain] : null;
 }
 
-// Export for use in content script
-if (typeof window !== 'undefined') {
-  window.BREWERY_CONFIGS = BREWERY_CONFIGS;
-  window.getBreweryConfig = getBreweryConfig;
-}
+// Shared by the content script, the options page and the background worker
+globalThis.BREWERY_CONFIGS = BREWERY_CONFIGS;
+globalThis.getBreweryConfig = getBreweryConfig;
+globalThis.originsForDomain = originsForDomain;
@@ -13,8 +13,9 @@
     return;
   }
 
-  // Get brewery config for current site
-  const config = window.getBreweryConfig();
+  // Get brewery config for current site, including sites added on the options page
+  const customBreweries = await chrome.runtime.sendMessage({ action: 'getCustomBreweries' });
+  const config = window.getBreweryConfig(customBreweries);
   if (!config) {
     console.log('Beer Rating Injector: No config for this site');
     return;
@@ -22,67 +23,736 @@
 
   console.log(`Beer Rating Injector: Running on ${config.name}`);
 
-  // Track processed elements to avoid duplicates
-  const processedElements = new WeakSet();
+  // Shops added without selectors: work the selectors out from the product
+  // grid, and read names, breweries and prices from the page's structured data
+  let platform = null;
+  let products = null;
+  if (config.structuredData) {
+    platform = window.StructuredData.detectPlatform(document);
+    config.productPage = config.productPage || { titleSelector: 'h1.product_title, .product__title h1, main h1, h1' };
+
+    // Grids rendered by script may not be there yet; product pages may have
+    // no grid at all
+    const onProductPage = Boolean(findProductTitle());
+    let inferred = null;
+    for (let attempt = 0; attempt < (onProductPage ? 1 : 5) && !inferred; attempt++) {
+      if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 2000));
+      inferred = window.StructuredData.inferConfig(document, platform);
+    }
+    if (!inferred && !onProductPage) {
+      console.log('Beer Rating Injector: No product grid found on this page');
+      return;
+    }
+
+    // Selectors the user did fill in win
+    for (const [key, value] of Object.entries(inferred || {})) {
+      if (!config[key]) config[key] = value;
+    }
+    products = window.StructuredData.readProducts(document, platform);
+    console.log(`Beer Rating Injector: Found a ${platform || 'shop'} product ${inferred ? `grid (${config.beerCardSelector})` : 'page'}, ${products.size} products in structured data`);
+  }
+
+  // Site key for the user's match corrections, as in getBreweryConfig()
+  const site = window.location.hostname.replace(/^www\./, '');
+
+  // Tiers, colours and layout from the options page; updated live below
+  let badgeSettings = await chrome.runtime.sendMessage({ action: 'getBadgeSettings' });
+
+  // One entry per beer card, keyed by beer name and which card with that
+  // name it is ("Wolf Moon#0"), so a card the site re-renders as a new node
+  // gets its badge back without another lookup:
+  // { key, beerName, brewery, breweries, card, host, current, ratingData, price, reattached, error, failures }
+  // Prices belong to cards, not beers: the same beer may be sold as a
+  // single can and a 4-pack.
+  const cardEntries = new Map();
+
+  // Card element -> its entry
+  const entriesByCard = new WeakMap();
+
+  // A site that keeps wiping the badge straight back out is left alone
+  const MAX_REATTACHMENTS = 5;
+  const REATTACH_WINDOW = 10000;
+
+  // A failed lookup (the worker restarting, say) is tried again after each
+  // of these delays in turn, then left alone
+  const LOOKUP_RETRY_DELAYS = [5000, 30000, 120000];
+
+  // Selector debug overlay, toggled from the popup
+  let debugMode = (await chrome.runtime.sendMessage({ action: 'getDebugMode' })).enabled;
+  const debugOverlay = window.DebugOverlay.create({ siteName: config.name });
+  let lastHealthReport = null;
+
+  // The product page's panel: { title, beerName, brewery, breweries, host, element,
+  // ratingData, retryAt, similar, reattached }
+  let productPanel = null;
+
+  let toolbarElement = null;
+  const gridToolbar = window.GridToolbar.create({
+    cardSelector: config.beerCardSelector,
+    getRatingData: card => {
+      const entry = entriesByCard.get(card);
+      if (!entry || !entry.ratingData) return undefined;
+      return entry.price ? { ...entry.ratingData, pricePerLitre: entry.price.perLitre } : entry.ratingData;
+    },
+    onAttach: toolbar => {
+      toolbarElement = toolbar;
+      applyTheme(toolbar);
+    }
+  });
+
+  // Card entries waiting on a rating -> { requestId, priority }, for reprioritising and cancelling
+  const pendingCards = new Map();
+  let requestCounter = 0;
+
+  // Lookups for cards on (or just off) screen jump the background queue
+  const visibilityObserver = new IntersectionObserver((observed) => {
+    for (const { target, isIntersecting } of observed) {
+      const pending = pendingCards.get(entriesByCard.get(target));
+      if (!pending) continue;
+
+      const priority = isIntersecting ? 'visible' : 'offscreen';
+      if (priority === pending.priority) continue;
+
+      pending.priority = priority;
+      chrome.runtime.sendMessage({ action: 'setBeerRatingPriority', requestId: pending.requestId, priority });
+    }
+  }, { rootMargin: '200px 0px' });
+
+  // Matches scoring below this (or with a close runner-up) are flagged as shaky
+  const SHAKY_MATCH_SCORE = 0.8;
+  const SHAKY_RUNNER_UP_MARGIN = 0.05;
 
   /**
-   * Create rating badge element
+   * Describe how a search result was matched, for the hover card
    */
-  function createRatingBadge(ratingData) {
+  function describeMatch(ratingData) {
+    if (typeof ratingData.matchScore !== 'number') return '';
+
+    const matched = [ratingData.beerName, ratingData.breweryName].filter(Boolean).join(' – ');
+    if (ratingData.overridden) return `Your correction: "${matched}"`;
+
+    let description = `Matched "${matched}" (${Math.round(ratingData.matchScore * 100)}% confidence)`;
+
+    if (ratingData.runnerUp) {
+      const runnerUp = [ratingData.runnerUp.beerName, ratingData.runnerUp.breweryName].filter(Boolean).join(' – ');
+      description += `\nRunner-up: "${runnerUp}" (${Math.round(ratingData.runnerUp.matchScore * 100)}%)`;
+    }
+
+    return description;
+  }
+
+  /**
+   * Check whether a match is close enough to the runner-up or threshold to doubt
+   */
+  function isShakyMatch(ratingData) {
+    if (typeof ratingData.matchScore !== 'number') return false;
+    if (ratingData.matchScore < SHAKY_MATCH_SCORE) return true;
+    return Boolean(ratingData.runnerUp) &&
+      ratingData.matchScore - ratingData.runnerUp.matchScore < SHAKY_RUNNER_UP_MARGIN;
+  }
+
+  /**
+   * Check whether our UI near an element should use dark styling: the user's
+   * choice, or in auto mode whatever the page's background behind it is
+   */
+  function isDarkTheme(element) {
+    if (badgeSettings.theme !== 'auto') return badgeSettings.theme === 'dark';
+    return window.BadgeSettings.hasDarkBackground(element);
+  }
+
+  /**
+   * Style an element we've put on the page for the background it sits on
+   * @param {Element} element - Already in the page
+   * @param {Element} [reference] - Element whose background to go by; for a
+   *   badge, whatever its shadow host sits in
+   */
+  function applyTheme(element, reference = (element.getRootNode().host || element).parentElement) {
+    element.classList.toggle('untappd-dark', Boolean(reference) && isDarkTheme(reference));
+  }
+
+  /**
+   * Apply the compact and show/hide layout options to a badge
+   */
+  function applyLayout(badge) {
+    badge.classList.toggle('untappd-compact', badgeSettings.compact);
+    badge.classList.toggle('untappd-hide-label', !badgeSettings.showLabel);
+    badge.classList.toggle('untappd-hide-count', !badgeSettings.showCount);
+  }
+
+  /**
+   * Create rating badge element, with a "wrong beer?" button
+   * @param {Object} ratingData
+   * @param {Object} beer - The card entry or product panel it's for:
+   *   { beerName, brewery, breweries }, for corrections and refreshes
+   * @param {Object} [price] - From extractPrice()
+   */
+  function createRatingBadge(ratingData, beer, price) {
+    const badge = createBadgeForState(ratingData);
+
+    if (ratingData.overridden) {
+      badge.classList.add('untappd-rating-overridden');
+    }
+
+    // From the user's imported check-in history
+    if (ratingData.had) {
+      badge.classList.add('untappd-rating-had');
+      const had = document.createElement('span');
+      had.className = 'untappd-had';
+      had.textContent = typeof ratingData.had.rating === 'number'
+        ? `Had it — you rated ${ratingData.had.rating}`
+        : 'Had it';
+      badge.appendChild(had);
+    }
+
+    if (price && price.perLitre) {
+      const perLitre = document.createElement('span');
+      perLitre.className = 'untappd-price';
+      perLitre.textContent = `${window.Pricing.formatPrice(price.perLitre, price.currency)}/L`;
+      badge.appendChild(perLitre);
+    }
+    applyLayout(badge);
+
+    badge.appendChild(createCorrectionButton(badge, beer));
+    attachHoverCard(badge, ratingData, beer, price);
+
+    return badge;
+  }
+
+  // Decorative beer icon; badges carry their meaning in text and labels
+  const ICON_HTML = '<span class="untappd-icon" aria-hidden="true">🍺</span>';
+
+  /**
+   * Create the link to Untappd that fills a found beer's badge
+   * @param {Object} ratingData
+   * @param {string} label - Accessible name; the visible parts are shorthand
+   * @param {string} html - Visible content
+   */
+  function createBadgeLink(ratingData, label, html) {
+    const link = document.createElement('a');
+    link.className = 'untappd-rating-link';
+    link.href = ratingData.beerUrl || 'https://untappd.com';
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.setAttribute('aria-label', `${label}, opens in new tab`);
+    link.innerHTML = html;
+    return link;
+  }
+
+  /**
+   * Create the badge for a lookup result
+   */
+  function createBadgeForState(ratingData) {
     const badge = document.createElement('div');
     badge.className = 'untappd-rating-badge';
 
     if (!ratingData.found) {
       badge.classList.add('untappd-rating-not-found');
       badge.innerHTML = `
-        <span class="untappd-icon">🍺</span>
-        <span class="untappd-text">No rating</span>
+        ${ICON_HTML}
+        <span class="untappd-text"><span class="untappd-sr-only">Untappd: </span>${ratingData.overridden ? 'Not on Untappd' : 'No rating'}</span>
       `;
       return badge;
     }
 
+    // Best search result scored below the confidence threshold
+    if (ratingData.uncertain) {
+      badge.classList.add('untappd-rating-uncertain');
+      badge.appendChild(createBadgeLink(ratingData, 'Untappd: uncertain match, no rating shown', `
+        ${ICON_HTML}
+        <span class="untappd-text">Uncertain match</span>
+        <span class="untappd-logo">Untappd</span>
+      `));
+      return badge;
+    }
+
     // Handle beers found on Untappd but with 0 ratings
     if (ratingData.unrated || ratingData.rating === null) {
       badge.classList.add('untappd-rating-unrated');
-      const badgeLink = document.createElement('a');
-      badgeLink.className = 'untappd-rating-link';
-      badgeLink.href = ratingData.beerUrl || 'https://untappd.com';
-      badgeLink.target = '_blank';
-      badgeLink.rel = 'noopener noreferrer';
-      badgeLink.innerHTML = `
-        <span class="untappd-icon">🍺</span>
+      badge.appendChild(createBadgeLink(ratingData, 'Untappd: no ratings yet', `
+        ${ICON_HTML}
         <span class="untappd-text">Unrated</span>
         <span class="untappd-logo">Untappd</span>
-      `;
-      badge.appendChild(badgeLink);
+      `));
       return badge;
     }
 
     const rating = ratingData.rating.toFixed(2);
-    const isHighRated = ratingData.rating >= 4.0;
 
-    if (isHighRated) {
-      badge.classList.add('untappd-rating-high');
+    // Colour for the rating's tier from the user's settings
+    const { tierIndex, textColorFor } = window.BadgeSettings;
+    const tier = tierIndex(ratingData.rating, badgeSettings.tiers);
+    const { color } = badgeSettings.tiers[tier];
+    badge.classList.add('untappd-rating-tiered');
+    badge.dataset.tier = tier;
+    badge.style.setProperty('--untappd-tier-color', color);
+    badge.style.setProperty('--untappd-tier-text', textColorFor(color));
+
+    const isShaky = isShakyMatch(ratingData);
+    if (isShaky) {
+      badge.classList.add('untappd-rating-shaky');
     }
 
     const ratingCountText = ratingData.ratingCount
       ? `(${ratingData.ratingCount.toLocaleString()})`
       : '';
 
-    const badgeContent = document.createElement('a');
-    badgeContent.className = 'untappd-rating-link';
-    badgeContent.href = ratingData.beerUrl || 'https://untappd.com';
-    badgeContent.target = '_blank';
-    badgeContent.rel = 'noopener noreferrer';
-    badgeContent.innerHTML = `
-      <span class="untappd-icon">🍺</span>
+    let label = `Untappd rating ${rating}`;
+    if (ratingData.ratingCount) label += ` from ${ratingData.ratingCount.toLocaleString()} ratings`;
+    if (isShaky) label += ', match may be wrong';
+
+    // One ★ per tier above the lowest, so tiers don't rely on colour alone
+    badge.appendChild(createBadgeLink(ratingData, label, `
+      ${ICON_HTML}
       <span class="untappd-rating">${rating}</span>
+      ${tier > 0 ? `<span class="untappd-tier-marker" aria-hidden="true">${'★'.repeat(tier)}</span>` : ''}
       <span class="untappd-count">${ratingCountText}</span>
+      ${isShaky ? '<span class="untappd-shaky-marker" aria-hidden="true">?</span>' : ''}
       <span class="untappd-logo">Untappd</span>
+    `));
+    return badge;
+  }
+
+  /**
+   * Create the button that opens the correction panel
+   */
+  function createCorrectionButton(badge, beer) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'untappd-correct-button';
+    button.textContent = '✎';
+    button.title = 'Wrong beer?';
+    button.setAttribute('aria-label', `Wrong beer? Fix the Untappd match for ${beer.beerName}`);
+    button.setAttribute('aria-haspopup', 'dialog');
+
+    button.addEventListener('click', (event) => {
+      // Cards are often links themselves
+      event.preventDefault();
+      event.stopPropagation();
+      openCorrectionPanel(badge, beer);
+    });
+
+    return button;
+  }
+
+  // The open correction panel, if any, and what had focus before it opened
+  let correctionPanel = null;
+  let correctionOpener = null;
+
+  /**
+   * Close the correction panel, handing keyboard focus back if it was inside
+   */
+  function closeCorrectionPanel() {
+    if (!correctionPanel) return;
+    const hadFocus = correctionPanel.contains(document.activeElement);
+    correctionPanel.remove();
+    correctionPanel = null;
+    if (hadFocus && correctionOpener && correctionOpener.isConnected) correctionOpener.focus();
+    correctionOpener = null;
+    document.removeEventListener('mousedown', onOutsideClick, true);
+    document.removeEventListener('keydown', onPanelKeydown, true);
+  }
+
+  function onOutsideClick(event) {
+    if (correctionPanel && !correctionPanel.contains(event.target)) closeCorrectionPanel();
+  }
+
+  function onPanelKeydown(event) {
+    if (event.key === 'Escape') closeCorrectionPanel();
+  }
+
+  /**
+   * The focused element, looking inside badges' shadow roots
+   */
+  function deepActiveElement() {
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    return active;
+  }
+
+  /**
+   * Show Untappd search candidates for a beer so the user can pick the right one,
+   * search for something else, or mark it as not on Untappd
+   */
+  function openCorrectionPanel(badge, beer) {
+    const { beerName, brewery, breweries } = beer;
+    closeCorrectionPanel();
+    hideHoverCard();
+
+    const panel = document.createElement('div');
+    panel.className = 'untappd-correction-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', `Fix the Untappd match for ${beerName}`);
+    panel.innerHTML = `
+      <div class="untappd-correction-title">Wrong beer? Pick the right one</div>
+      <form class="untappd-correction-search">
+        <input type="search" aria-label="Search Untappd">
+        <button type="submit">Search</button>
+      </form>
+      <ul class="untappd-correction-results" aria-live="polite"></ul>
+      <div class="untappd-correction-actions">
+        <button type="button" data-action="not-found">Not on Untappd</button>
+        <button type="button" data-action="close">Cancel</button>
+      </div>
     `;
 
-    badge.appendChild(badgeContent);
-    return badge;
+    const input = panel.querySelector('input');
+    const results = panel.querySelector('.untappd-correction-results');
+    input.value = beerName;
+
+    // Position under the badge; the panel lives on <body> so cards can't clip it
+    const rect = badge.getBoundingClientRect();
+    panel.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    panel.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+
+    const showMessage = (message) => {
+      const item = document.createElement('li');
+      item.className = 'untappd-correction-message';
+      item.textContent = message;
+      results.replaceChildren(item);
+    };
+
+    const save = async (override) => {
+      let ratingData;
+      try {
+        ratingData = await chrome.runtime.sendMessage({
+          action: 'setMatchOverride',
+          site,
+          beerName,
+          brewery,
+          ...override
+        });
+      } catch (error) {
+        ratingData = { error: error.message };
+      }
+      if (ratingData.error) {
+        showMessage('Could not save the correction');
+        return;
+      }
+      closeCorrectionPanel();
+      updateBadges(beerName, ratingData);
+    };
+
+    const search = async (query) => {
+      showMessage('Searching Untappd...');
+      let response;
+      try {
+        response = await chrome.runtime.sendMessage({
+          action: 'searchBeerCandidates',
+          query,
+          brewery,
+          breweries
+        });
+      } catch (error) {
+        response = { error: error.message };
+      }
+
+      if (response.throttled) {
+        const seconds = Math.ceil((response.retryAt - Date.now()) / 1000);
+        showMessage(`Untappd is rate-limiting us — try again in ${seconds}s`);
+        return;
+      }
+      if (response.error || !response.candidates) {
+        showMessage('Search failed');
+        return;
+      }
+      if (response.candidates.length === 0) {
+        showMessage('No results');
+        return;
+      }
+
+      results.replaceChildren(...response.candidates.map(candidate => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'untappd-correction-candidate';
+        button.innerHTML = `
+          <span class="untappd-correction-name"></span>
+          <span class="untappd-correction-brewery"></span>
+          <span class="untappd-correction-rating"></span>
+        `;
+        button.querySelector('.untappd-correction-name').textContent = candidate.beerName || 'Unknown beer';
+        button.querySelector('.untappd-correction-brewery').textContent = candidate.breweryName || '';
+        button.querySelector('.untappd-correction-rating').textContent =
+          typeof candidate.rating === 'number' ? candidate.rating.toFixed(2) : 'Unrated';
+
+        button.addEventListener('click', () => save({
+          match: {
+            beerName: candidate.beerName,
+            breweryName: candidate.breweryName,
+            rating: candidate.rating ?? null,
+            ratingCount: candidate.ratingCount ?? null,
+            beerUrl: candidate.beerUrl,
+            style: candidate.style ?? null,
+            abv: candidate.abv ?? null
+          }
+        }));
+
+        item.appendChild(button);
+        return item;
+      }));
+    };
+
+    panel.querySelector('form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (input.value.trim()) search(input.value.trim());
+    });
+    panel.querySelector('[data-action="not-found"]').addEventListener('click', () => save({ notOnUntappd: true }));
+    panel.querySelector('[data-action="close"]').addEventListener('click', closeCorrectionPanel);
+
+    correctionOpener = deepActiveElement();
+    document.body.appendChild(panel);
+    applyTheme(panel, badge.parentElement);
+    correctionPanel = panel;
+    input.focus();
+    input.select();
+    document.addEventListener('mousedown', onOutsideClick, true);
+    document.addEventListener('keydown', onPanelKeydown, true);
+
+    search(beerName);
+  }
+
+  // Delays so the pointer can cross the gap between badge and hover card
+  const HOVER_CARD_SHOW_DELAY = 250;
+  const HOVER_CARD_HIDE_DELAY = 200;
+
+  const SOURCE_LABELS = {
+    api: 'Untappd API',
+    scrape: 'Untappd search page',
+    override: 'Your saved match'
+  };
+
+  // The hover card, rendered in a shadow root so the site's CSS can't reach it
+  let hoverCard = null;
+  let hoverCardTimer = null;
+
+  /**
+   * Show the hover card for a badge on hover or keyboard focus
+   */
+  function attachHoverCard(badge, ratingData, beer, price) {
+    const show = () => {
+      clearTimeout(hoverCardTimer);
+      hoverCardTimer = setTimeout(() => showHoverCard(badge, ratingData, beer, price), HOVER_CARD_SHOW_DELAY);
+    };
+
+    badge.addEventListener('mouseenter', show);
+    badge.addEventListener('focusin', show);
+    badge.addEventListener('mouseleave', scheduleHideHoverCard);
+    badge.addEventListener('focusout', scheduleHideHoverCard);
+  }
+
+  function scheduleHideHoverCard() {
+    clearTimeout(hoverCardTimer);
+    hoverCardTimer = setTimeout(hideHoverCard, HOVER_CARD_HIDE_DELAY);
+  }
+
+  function hideHoverCard() {
+    clearTimeout(hoverCardTimer);
+    if (hoverCard) hoverCard.host.hidden = true;
+  }
+
+  /**
+   * Create the hover card's host element and shadow root (once per page)
+   */
+  function getHoverCard() {
+    if (hoverCard) return hoverCard;
+
+    // A custom element name, so no site selector matches the host
+    const host = document.createElement('untappd-hover-card');
+    host.hidden = true;
+    host.style.cssText = 'position: absolute; z-index: 2147483647;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <link rel="stylesheet" href="${chrome.runtime.getURL('hovercard.css')}">
+      <div class="card" role="tooltip"></div>
+    `;
+
+    // Moving into the card keeps it open, so the refresh button can be reached
+    host.addEventListener('mouseenter', () => clearTimeout(hoverCardTimer));
+    host.addEventListener('mouseleave', scheduleHideHoverCard);
+    host.addEventListener('focusin', () => clearTimeout(hoverCardTimer));
+    host.addEventListener('focusout', scheduleHideHoverCard);
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') hideHoverCard();
+    });
+
+    document.body.appendChild(host);
+    hoverCard = { host, card: shadow.querySelector('.card') };
+    return hoverCard;
+  }
+
+  /**
+   * Position the hover card under a badge and fill it in
+   */
+  function showHoverCard(badge, ratingData, beer, price) {
+    if (!badge.isConnected || correctionPanel) return;
+
+    const { host, card } = getHoverCard();
+    renderHoverCard(card, ratingData, beer, price);
+    applyTheme(host, badge.parentElement);
+
+    const rect = badge.getBoundingClientRect();
+    host.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    host.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 288) + window.scrollX)}px`;
+    host.hidden = false;
+  }
+
+  /**
+   * Fill in the hover card: the matched beer, its details, how it was
+   * matched and where the rating came from
+   */
+  function renderHoverCard(card, ratingData, beer, price) {
+    const { beerName, brewery, breweries } = beer;
+    card.innerHTML = `
+      <div class="title"><a target="_blank" rel="noopener noreferrer"></a></div>
+      <div class="brewery"></div>
+      <div class="details"></div>
+      <dl>
+        <dt>Rating</dt><dd data-field="rating"></dd>
+        <dt data-field="had-label">You</dt><dd data-field="had"></dd>
+        <dt data-field="price-label">Price</dt><dd data-field="price"></dd>
+        <dt>Searched for</dt><dd data-field="searched"></dd>
+        <dt>Match</dt><dd data-field="match"></dd>
+        <dt>Source</dt><dd data-field="source"></dd>
+      </dl>
+      <div class="footer">
+        <span class="status" role="status"></span>
+        <button type="button">Refresh now</button>
+      </div>
+    `;
+
+    const field = name => card.querySelector(`[data-field="${name}"]`);
+    const link = card.querySelector('.title a');
+
+    if (ratingData.found) {
+      link.textContent = ratingData.beerName || beerName;
+      link.href = ratingData.beerUrl || 'https://untappd.com';
+      card.querySelector('.brewery').textContent = ratingData.breweryName || '';
+      card.querySelector('.details').textContent = [
+        ratingData.style,
+        typeof ratingData.abv === 'number' ? `${ratingData.abv}% ABV` : null
+      ].filter(Boolean).join(' · ');
+    } else {
+      link.replaceWith(ratingData.overridden ? 'Marked as not on Untappd' : 'Not found on Untappd');
+    }
+
+    field('rating').textContent = describeRating(ratingData);
+    field('searched').textContent = beerName;
+    field('match').textContent = describeMatch(ratingData) || '–';
+    field('source').textContent = describeSource(ratingData);
+    field('had').textContent = describeHad(ratingData.had);
+    field('price').textContent = describePrice(price);
+
+    for (const element of [field('had-label'), field('had')]) {
+      element.hidden = !ratingData.had;
+    }
+    for (const element of [field('price-label'), field('price')]) {
+      element.hidden = !price;
+    }
+
+    for (const element of card.querySelectorAll('.brewery, .details')) {
+      element.hidden = !element.textContent;
+    }
+
+    const button = card.querySelector('button');
+    const status = card.querySelector('.status');
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      status.textContent = 'Refreshing...';
+
+      let refreshed;
+      try {
+        refreshed = await chrome.runtime.sendMessage({
+          action: 'refreshBeerRating',
+          beerName,
+          brewery,
+          breweries,
+          site
+        });
+      } catch (error) {
+        refreshed = { found: false, error: error.message };
+      }
+
+      if (refreshed.throttled) {
+        const seconds = Math.ceil((refreshed.retryAt - Date.now()) / 1000);
+        status.textContent = `Rate-limited — try again in ${seconds}s`;
+        button.disabled = false;
+        return;
+      }
+      if (refreshed.error) {
+        status.textContent = 'Refresh failed';
+        button.disabled = false;
+        return;
+      }
+
+      updateBadges(beerName, refreshed);
+      renderHoverCard(card, refreshed, beer, price);
+    });
+  }
+
+  /**
+   * Describe the rating and how many people gave it
+   */
+  function describeRating(ratingData) {
+    if (!ratingData.found) return '–';
+    if (ratingData.uncertain) return 'Not shown (uncertain match)';
+    if (ratingData.unrated || ratingData.rating === null) return 'No ratings yet';
+
+    const count = ratingData.ratingCount ? ` from ${ratingData.ratingCount.toLocaleString()} ratings` : '';
+    return `${ratingData.rating.toFixed(2)}${count}`;
+  }
+
+  /**
+   * Describe the user's own check-ins of a beer
+   */
+  function describeHad(had) {
+    if (!had) return '';
+
+    const times = had.checkins === 1 ? 'once' : `${had.checkins} times`;
+    const rated = typeof had.rating === 'number' ? `, rated ${had.rating}` : '';
+    const last = had.lastCheckin ? ` (last ${new Date(had.lastCheckin).toLocaleDateString()})` : '';
+    return `Had it ${times}${rated}${last}`;
+  }
+
+  /**
+   * "£4.50 for 4 × 440ml · £2.56/L"
+   */
+  function describePrice(price) {
+    if (!price) return '';
+
+    const { formatPrice } = window.Pricing;
+    let description = formatPrice(price.amount, price.currency);
+    if (price.ml) {
+      description += ` for ${price.count > 1 ? `${price.count} × ` : ''}${price.ml}ml`;
+      description += ` · ${formatPrice(price.perLitre, price.currency)}/L`;
+    }
+    return description;
+  }
+
+  /**
+   * Describe where a rating came from and how old it is
+   */
+  function describeSource(ratingData) {
+    const source = SOURCE_LABELS[ratingData.source] || 'Untappd';
+    if (!ratingData.fetchedAt) return source;
+
+    const age = formatAge(Date.now() - ratingData.fetchedAt);
+    if (!ratingData.fromCache) return `${source}, fetched ${age}`;
+    return `Cache (${source}), fetched ${age}${ratingData.stale ? ' — updating' : ''}`;
+  }
+
+  /**
+   * "just now", "5 minutes ago", "3 days ago"
+   */
+  function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+
+    const [value, unit] = minutes < 60 ? [minutes, 'minute']
+      : minutes < 24 * 60 ? [Math.floor(minutes / 60), 'hour']
+        : [Math.floor(minutes / (24 * 60)), 'day'];
+    return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
   }
 
   /**
@@ -92,13 +762,44 @@
     const loader = document.createElement('div');
     loader.className = 'untappd-rating-badge untappd-rating-loading';
     loader.innerHTML = `
-      <span class="untappd-icon">🍺</span>
-      <span class="untappd-spinner"></span>
-      <span class="untappd-text">Loading...</span>
+      ${ICON_HTML}
+      <span class="untappd-spinner" aria-hidden="true"></span>
+      <span class="untappd-text"><span class="untappd-sr-only">Untappd rating </span>Loading...</span>
     `;
     return loader;
   }
 
+  /**
+   * Create the badge shown while Untappd is throttling us, counting down to the retry
+   * @param {number} retryAt - Epoch ms
+   */
+  function createThrottledBadge(retryAt) {
+    const badge = document.createElement('div');
+    badge.className = 'untappd-rating-badge untappd-rating-throttled';
+    badge.innerHTML = `
+      ${ICON_HTML}
+      <span class="untappd-text"></span>
+    `;
+
+    const text = badge.querySelector('.untappd-text');
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      text.textContent = `Rate-limited · retrying in ${seconds}s`;
+      badge.title = `Untappd is rate-limiting us — retrying in ${seconds}s`;
+    };
+    render();
+
+    const timer = setInterval(() => {
+      if (!badge.isConnected || Date.now() >= retryAt) {
+        clearInterval(timer);
+        return;
+      }
+      render();
+    }, 1000);
+
+    return badge;
+  }
+
   /**
    * Find first matching element from comma-separated selectors
    */
@@ -118,121 +819,808 @@
    * Extract beer name from a card element
    */
   function extractBeerName(card) {
+    const product = productForCard(card);
     const nameElement = queryFirst(card, config.beerNameSelector);
-    if (!nameElement) {
+    if (!nameElement && !product) {
       console.log('Beer Rating Injector: No name element found. Card HTML:', card.innerHTML.substring(0, 200));
       return null;
     }
 
-    let beerName = nameElement.textContent.trim();
+    let beerName = product ? product.name : nameElement.textContent.trim();
 
-    // Apply transformation if configured
-    if (config.transformBeerName) {
-      beerName = config.transformBeerName(beerName);
-    }
+    // Apply the site's name cleaning rules, or the shared defaults
+    beerName = window.applyNameRules(config.nameRules || window.DEFAULT_NAME_RULES, beerName);
 
     return beerName;
   }
 
   /**
-   * Inject rating into a beer card
+   * The structured data product a card links to, on structured data sites
+   */
+  function productForCard(card) {
+    return products && window.StructuredData.productForCard(card, products, platform);
+  }
+
+  /**
+   * Breweries a card's beer may be from, the one to search Untappd with
+   * first: the card's vendor on shops selling several breweries' beers
+   * (otherwise the site's brewery), then any collaborators its title names
+   * @returns {string[]}
+   */
+  function extractBreweries(card) {
+    const product = productForCard(card);
+    const vendorElement = config.brewerySelector && queryFirst(card, config.brewerySelector);
+    const vendor = (vendorElement && vendorElement.textContent.trim()) ||
+      (product && product.vendor) ||
+      (config.structuredData && window.StructuredData.vendorForCard(card));
+
+    const nameElement = queryFirst(card, config.beerNameSelector);
+    const title = product ? product.name : (nameElement ? nameElement.textContent.trim() : '');
+    return mergeBreweries(vendor || config.breweryNameForSearch, title);
+  }
+
+  /**
+   * Put a searched brewery and the collaborators a title names together,
+   * dropping repeats like "BEAK" alongside "Beak Brewery"
+   * @param {string} brewery - Brewery to search with
+   * @param {string} title - Product title, for config.breweryPatterns
+   * @returns {string[]}
+   */
+  function mergeBreweries(brewery, title) {
+    const breweries = [brewery];
+    for (const collaborator of window.extractBreweries(config.breweryPatterns, title)) {
+      const lower = collaborator.toLowerCase();
+      const known = breweries.some(name => name.toLowerCase().includes(lower) || lower.includes(name.toLowerCase()));
+      if (!known) breweries.push(collaborator);
+    }
+    return breweries;
+  }
+
+  /**
+   * Extract a card's price and container size
+   * The size comes from the site's volumeSelector, the raw title ("440ML",
+   * "6 PACK") or the card's text, in that order.
+   * @returns {Object|null} { amount, currency, ml, count, perLitre }; the
+   *   size fields are null when no size was found
+   */
+  function extractPrice(card) {
+    const priceElement = config.priceSelector && queryFirst(card, config.priceSelector);
+    let price = priceElement && window.Pricing.parsePrice(priceElement.textContent, {
+      decimalSeparator: config.decimalSeparator,
+      currency: config.currency
+    });
+
+    // Structured data prices only count with a currency to show them in
+    const product = !price && productForCard(card);
+    if (product && product.price && (product.price.currency || config.currency)) {
+      price = { amount: product.price.amount, currency: product.price.currency || config.currency };
+    }
+    if (!price) return null;
+
+    const sources = [config.volumeSelector, config.beerNameSelector, config.cardTextSelector];
+    let volume = null;
+    for (const selectors of sources) {
+      const element = selectors && queryFirst(card, selectors);
+      volume = element && window.BeerNames.parseVolume(element.textContent);
+      if (volume) break;
+    }
+
+    return {
+      ...price,
+      ml: volume ? volume.ml : null,
+      count: volume ? volume.count : null,
+      perLitre: window.Pricing.pricePerLitre(price.amount, volume)
+    };
+  }
+
+  // Polite live region for screen readers, created on first use
+  let announcer = null;
+  let loadedSinceAnnounced = 0;
+  let announceTimer = null;
+  let throttleAnnouncedUntil = 0;
+
+  /**
+   * Get the page's live region, creating it before anything is announced
+   * (screen readers ignore regions that appear with their text)
+   */
+  function getAnnouncer() {
+    if (!announcer || !announcer.isConnected) {
+      announcer = document.createElement('div');
+      announcer.className = 'untappd-sr-only';
+      announcer.setAttribute('role', 'status');
+      announcer.setAttribute('aria-live', 'polite');
+      document.body.appendChild(announcer);
+    }
+    return announcer;
+  }
+
+  /**
+   * Announce loaded ratings once they stop arriving, rather than per card
+   */
+  function announceRatingLoaded() {
+    getAnnouncer();
+    loadedSinceAnnounced++;
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+      const count = loadedSinceAnnounced;
+      loadedSinceAnnounced = 0;
+      getAnnouncer().textContent = `Untappd ratings loaded for ${count} ${count === 1 ? 'beer' : 'beers'}`;
+    }, 1000);
+  }
+
+  /**
+   * Announce a throttling pause once, however many cards it holds up
+   */
+  function announceThrottled(retryAt) {
+    if (Date.now() < throttleAnnouncedUntil) return;
+    throttleAnnouncedUntil = retryAt;
+
+    const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+    getAnnouncer().textContent = `Untappd is rate-limiting lookups, retrying in ${seconds} seconds`;
+  }
+
+  /**
+   * Check whether a card is on screen (with the same margin as visibilityObserver)
    */
-  async function injectRating(card) {
-    if (processedElements.has(card)) return;
-    processedElements.add(card);
+  function isNearViewport(card) {
+    const rect = card.getBoundingClientRect();
+    return rect.bottom >= -200 && rect.top <= window.innerHeight + 200;
+  }
+
+  /**
+   * Request a card's rating from the background script, prioritised by
+   * visibility and cancellable while queued
+   */
+  async function requestRating(entry) {
+    const requestId = ++requestCounter;
+    const priority = isNearViewport(entry.card) ? 'visible' : 'offscreen';
+
+    pendingCards.set(entry, { requestId, priority });
+    visibilityObserver.observe(entry.card);
+
+    try {
+      return await chrome.runtime.sendMessage({
+        action: 'getBeerRating',
+        beerName: entry.beerName,
+        brewery: entry.brewery,
+        breweries: entry.breweries,
+        site,
+        requestId,
+        priority
+      });
+    } finally {
+      pendingCards.delete(entry);
+      visibilityObserver.unobserve(entry.card);
+    }
+  }
+
+  /**
+   * Request a card's rating, showing a countdown badge and retrying while
+   * Untappd is throttling us
+   */
+  async function requestRatingWithRetry(entry) {
+    let ratingData = await requestRating(entry);
+
+    while (ratingData.throttled) {
+      showInCard(entry, createThrottledBadge(ratingData.retryAt));
+      announceThrottled(ratingData.retryAt);
+      // Spread retries a little so every card doesn't re-request at once
+      const delay = Math.max(0, ratingData.retryAt - Date.now()) + Math.random() * 2000;
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (!entry.card.isConnected) return { found: false, cancelled: true };
+      ratingData = await requestRating(entry);
+    }
+
+    return ratingData;
+  }
+
+  /**
+   * Cancel queued lookups for cards removed by SPA navigation or filtering
+   * Cards the site replaced with a new node keep their lookup.
+   */
+  function cancelDetachedRequests() {
+    for (const [entry, pending] of pendingCards) {
+      if (entry.card.isConnected) continue;
+
+      pendingCards.delete(entry);
+      visibilityObserver.unobserve(entry.card);
+      chrome.runtime.sendMessage({ action: 'cancelBeerRating', requestId: pending.requestId });
+    }
+  }
+
+  /**
+   * Create the element a card's badge lives in: a custom element, so no
+   * site selector matches it, with a shadow root, so no site style reaches
+   * the badge
+   */
+  function createBadgeHost() {
+    return createShadowHost('untappd-badge', ['badge.css']);
+  }
+
+  /**
+   * Create a custom element with an open shadow root holding our stylesheets
+   * @param {string} tagName
+   * @param {string[]} stylesheets - Extension files, in cascade order
+   */
+  function createShadowHost(tagName, stylesheets) {
+    const host = document.createElement(tagName);
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    // Hidden until the last stylesheet has loaded, rather than flashing unstyled
+    host.style.visibility = 'hidden';
+    const reveal = () => host.style.removeProperty('visibility');
+
+    stylesheets.forEach((file, i) => {
+      const stylesheet = document.createElement('link');
+      stylesheet.rel = 'stylesheet';
+      stylesheet.href = chrome.runtime.getURL(file);
+      if (i === stylesheets.length - 1) {
+        stylesheet.addEventListener('load', reveal);
+        stylesheet.addEventListener('error', reveal);
+      }
+      shadow.appendChild(stylesheet);
+    });
+
+    return host;
+  }
+
+  /**
+   * Put a badge (or loader) in a card's host in place of the current one
+   */
+  function showInCard(entry, element) {
+    if (entry.current) entry.current.remove();
+    entry.host.shadowRoot.appendChild(element);
+    entry.current = element;
+    if (entry.host.isConnected) applyTheme(element);
+  }
+
+  /**
+   * Find or create the entry for a card
+   * A card the site has replaced takes over the entry of the detached card
+   * with the same beer name, keeping its result and any lookup in flight.
+   * @returns {Object|null} { entry, isNew }, or null without a beer name
+   */
+  function claimEntry(card) {
+    const known = entriesByCard.get(card);
+    if (known) return { entry: known, isNew: false };
 
     const beerName = extractBeerName(card);
     if (!beerName) {
       console.log('Beer Rating Injector: Could not extract beer name from card');
-      return;
+      return null;
     }
 
-    // Find injection target (try each selector)
+    for (let n = 0; ; n++) {
+      const key = `${beerName}#${n}`;
+      let entry = cardEntries.get(key);
+
+      if (!entry) {
+        const breweries = extractBreweries(card);
+        entry = { key, beerName, brewery: breweries[0], breweries, card, host: createBadgeHost(), current: null, ratingData: null, price: null, reattached: [], error: null, failures: 0 };
+        entry.price = extractPrice(card);
+        cardEntries.set(key, entry);
+        entriesByCard.set(card, entry);
+        return { entry, isNew: true };
+      }
+
+      if (!entry.card.isConnected) {
+        if (pendingCards.has(entry)) {
+          visibilityObserver.unobserve(entry.card);
+          visibilityObserver.observe(card);
+        }
+        entry.card = card;
+        entry.price = extractPrice(card) || entry.price;
+        entriesByCard.set(card, entry);
+        return { entry, isNew: false };
+      }
+    }
+  }
+
+  /**
+   * Note a re-attachment, unless the site has removed the element too often
+   * within REATTACH_WINDOW
+   * @param {Object} item - Card entry or product panel, with its reattached times
+   * @returns {boolean} Whether to put it back
+   */
+  function allowReattach(item) {
+    const now = Date.now();
+    item.reattached = item.reattached.filter(time => now - time < REATTACH_WINDOW);
+    if (item.reattached.length >= MAX_REATTACHMENTS) return false;
+    item.reattached.push(now);
+    return true;
+  }
+
+  /**
+   * Put a card's badge host into the card, unless it's already there
+   * @returns {boolean} Whether the host is in the card
+   */
+  function attachBadge(entry) {
+    const { card, host } = entry;
+    if (host.isConnected && card.contains(host)) return true;
+
     const target = queryFirst(card, config.injectionTarget);
     if (!target) {
       console.log('Beer Rating Injector: Could not find injection target in card');
-      return;
+      return false;
     }
 
-    // For Wix sites: skip loader, fetch first then inject (avoids re-render issues)
-    if (config.skipLoader) {
-      try {
-        const ratingData = await chrome.runtime.sendMessage({
-          action: 'getBeerRating',
-          beerName: beerName,
-          brewery: config.breweryNameForSearch
-        });
-        const badge = createRatingBadge(ratingData);
-        target.insertAdjacentElement(config.injectionPosition, badge);
-        console.log(`Beer Rating Injector: ${beerName} -> ${ratingData.found ? ratingData.rating : 'not found'}`);
-      } catch (error) {
-        console.error('Beer Rating Injector: Error fetching rating', error);
-      }
-      return;
+    // Re-attaching: give up on sites that remove the badge as fast as we add it
+    if (entry.current && !allowReattach(entry)) return false;
+
+    // Copies of the host made by the site's re-render have no shadow root
+    for (const stray of card.querySelectorAll('untappd-badge')) {
+      if (stray !== host) stray.remove();
     }
 
-    // Standard flow: Add loading indicator
-    const loader = createLoadingIndicator();
-    target.insertAdjacentElement(config.injectionPosition, loader);
+    target.insertAdjacentElement(config.injectionPosition, host);
+    if (entry.current) applyTheme(entry.current);
+    return true;
+  }
+
+  /**
+   * Look up a new card's rating and show it in the card's badge
+   */
+  async function loadRating(entry) {
+    const { beerName } = entry;
+
+    // For Wix sites: skip loader, fetch first then inject (avoids re-render issues)
+    if (!config.skipLoader) {
+      showInCard(entry, createLoadingIndicator());
+    }
 
     try {
       // Request rating from background script
-      const ratingData = await chrome.runtime.sendMessage({
-        action: 'getBeerRating',
-        beerName: beerName,
-        brewery: config.breweryNameForSearch
-      });
+      const ratingData = await requestRatingWithRetry(entry);
+      if (ratingData.cancelled) {
+        // Forget the card, so it's looked up again if it comes back
+        entry.host.remove();
+        cardEntries.delete(entry.key);
+        entriesByCard.delete(entry.card);
+        return;
+      }
 
       // Replace loader with rating badge
-      const badge = createRatingBadge(ratingData);
-      loader.replaceWith(badge);
+      entry.ratingData = ratingData;
+      showInCard(entry, createRatingBadge(ratingData, entry, entry.price));
+      gridToolbar.scheduleUpdate();
+      reportResult(beerName, ratingData);
+      announceRatingLoaded();
 
       console.log(`Beer Rating Injector: ${beerName} -> ${ratingData.found ? ratingData.rating : 'not found'}`);
     } catch (error) {
       console.error('Beer Rating Injector: Error fetching rating', error);
-      loader.remove();
+      // Kept, so processAllCards() neither puts the loader back nor looks the
+      // beer up again straight away
+      entry.error = error.message;
+      entry.host.remove();
+      checkHealth();
+
+      const delay = LOOKUP_RETRY_DELAYS[entry.failures++];
+      if (delay !== undefined) setTimeout(() => retryLookup(entry), delay);
     }
   }
 
   /**
-   * Process all beer cards on the page
+   * Look a card's beer up again after a failed lookup, if the card is still
+   * on the page
+   */
+  function retryLookup(entry) {
+    if (cardEntries.get(entry.key) !== entry || !entry.card.isConnected) return;
+    if (!attachBadge(entry)) return;
+
+    entry.error = null;
+    loadRating(entry);
+  }
+
+  /**
+   * Tell the background worker about a beer's result, for the popup's list
+   */
+  function reportResult(beerName, ratingData) {
+    chrome.runtime.sendMessage({
+      action: 'reportBeerResult',
+      beerName,
+      ratingData,
+      // SPA navigation starts a new list, but in-page anchors don't
+      pageUrl: location.href.split('#')[0]
+    }).catch(() => {}); // Only feeds the popup's list
+  }
+
+  /**
+   * Replace every badge for a beer after its cached rating was refreshed
+   * Cards that are off the page right now get the new rating when they're
+   * re-attached.
+   * @param {string} [brewery] - Only cards searched with this brewery
+   */
+  function updateBadges(beerName, ratingData, brewery) {
+    let replaced = false;
+    for (const entry of cardEntries.values()) {
+      if (entry.beerName !== beerName || !entry.ratingData) continue;
+      if (brewery !== undefined && entry.brewery !== brewery) continue;
+      // A background refresh never replaces the user's correction
+      if (!ratingData.overridden && entry.ratingData.overridden) continue;
+
+      entry.ratingData = ratingData;
+      showInCard(entry, createRatingBadge(ratingData, entry, entry.price));
+      replaced = true;
+    }
+
+    if (productPanel && productPanel.beerName === beerName && productPanel.ratingData &&
+      (brewery === undefined || productPanel.brewery === brewery) &&
+      (ratingData.overridden || !productPanel.ratingData.overridden)) {
+      const breweryChanged = productPanel.ratingData.breweryName !== ratingData.breweryName;
+      productPanel.ratingData = ratingData;
+      renderProductPanel();
+      if (breweryChanged) loadSimilarBeers(productPanel);
+      replaced = true;
+    }
+    if (!replaced) return;
+
+    gridToolbar.scheduleUpdate();
+    reportResult(beerName, ratingData);
+
+    console.log(`Beer Rating Injector: ${beerName} refreshed -> ${ratingData.found ? ratingData.rating : 'not found'}`);
+  }
+
+  /**
+   * Redraw every badge, the toolbar and any open panel after the appearance
+   * settings change
+   */
+  function redrawBadges() {
+    for (const entry of cardEntries.values()) {
+      if (entry.ratingData) {
+        showInCard(entry, createRatingBadge(entry.ratingData, entry, entry.price));
+      } else if (entry.current && entry.host.isConnected) {
+        applyTheme(entry.current);
+      }
+    }
+
+    if (productPanel) renderProductPanel();
+    if (toolbarElement && toolbarElement.isConnected) applyTheme(toolbarElement);
+    closeCorrectionPanel();
+    hideHoverCard();
+  }
+
+  /**
+   * The page's beer cards; none on product pages of sites whose grid
+   * couldn't be worked out
+   */
+  function findCards() {
+    return config.beerCardSelector ? Array.from(document.querySelectorAll(config.beerCardSelector)) : [];
+  }
+
+  /**
+   * Find the product title, when this is a product page the config describes
+   */
+  function findProductTitle() {
+    const productPage = config.productPage;
+    if (!productPage || !productPage.titleSelector) return null;
+    if (!new RegExp(productPage.pathPattern || '/products?/').test(location.pathname)) return null;
+    return queryFirst(document, productPage.titleSelector);
+  }
+
+  /**
+   * Show a rating panel for a product page's beer, with its details and the
+   * brewery's other well-rated beers
+   */
+  async function showProductPanel() {
+    const title = findProductTitle();
+    if (!title) return;
+
+    const product = products && window.StructuredData.productForPage(products, platform);
+    const titleText = product ? product.name : title.textContent.trim();
+    const beerName = window.applyNameRules(config.nameRules || window.DEFAULT_NAME_RULES, titleText);
+    if (!beerName) return;
+
+    const breweries = mergeBreweries((product && product.vendor) || config.breweryNameForSearch, titleText);
+    const panel = {
+      title,
+      beerName,
+      brewery: breweries[0],
+      breweries,
+      host: createShadowHost('untappd-product-panel', ['badge.css', 'productPanel.css']),
+      element: null,
+      ratingData: null,
+      retryAt: null,
+      similar: null,
+      reattached: []
+    };
+    productPanel = panel;
+    attachProductPanel();
+    renderProductPanel();
+
+    const request = () => chrome.runtime.sendMessage({
+      action: 'getBeerRating',
+      beerName,
+      brewery: panel.brewery,
+      breweries,
+      site,
+      priority: 'visible'
+    });
+
+    let ratingData;
+    try {
+      ratingData = await request();
+      while (ratingData.throttled && productPanel === panel) {
+        panel.retryAt = ratingData.retryAt;
+        renderProductPanel();
+        const delay = Math.max(0, ratingData.retryAt - Date.now()) + Math.random() * 2000;
+        await new Promise(resolve => setTimeout(resolve, delay));
+        ratingData = await request();
+      }
+    } catch (error) {
+      console.error('Beer Rating Injector: Error fetching rating', error);
+      ratingData = { found: false, error: error.message };
+    }
+    // SPA navigation to another product
+    if (productPanel !== panel) return;
+
+    panel.ratingData = ratingData;
+    renderProductPanel();
+    reportResult(beerName, ratingData);
+    loadSimilarBeers(panel);
+
+    console.log(`Beer Rating Injector: ${beerName} (product page) -> ${ratingData.found ? ratingData.rating : 'not found'}`);
+  }
+
+  /**
+   * Put the product panel on the page, or back after a re-render
+   */
+  function attachProductPanel() {
+    const { host, title } = productPanel;
+    if (host.isConnected) return;
+
+    const productPage = config.productPage;
+    const target = (productPage.injectionTarget && queryFirst(document, productPage.injectionTarget)) ||
+      (title.isConnected ? title : findProductTitle());
+    if (!target) return;
+
+    // Same limit as card badges, for frameworks that keep re-rendering the title
+    if (productPanel.element && !allowReattach(productPanel)) return;
+
+    target.insertAdjacentElement(productPage.injectionPosition || 'afterend', host);
+    if (productPanel.element) renderProductPanel();
+  }
+
+  /**
+   * Draw the product panel for its current state
+   */
+  function renderProductPanel() {
+    const { host, beerName, ratingData, retryAt, similar } = productPanel;
+
+    const panel = document.createElement('section');
+    panel.className = 'untappd-product-panel';
+    panel.setAttribute('aria-label', `Untappd rating for ${beerName}`);
+    panel.innerHTML = `
+      <div class="untappd-panel-heading">Untappd</div>
+      <div class="untappd-panel-summary"></div>
+      <div class="untappd-panel-beer"><a target="_blank" rel="noopener noreferrer"></a><span class="untappd-panel-brewery"></span></div>
+      <dl class="untappd-panel-details"></dl>
+      <p class="untappd-panel-had"></p>
+      <a class="untappd-panel-link" target="_blank" rel="noopener noreferrer">View on Untappd</a>
+      <div class="untappd-panel-similar" hidden>
+        <div class="untappd-panel-subheading"></div>
+        <ul></ul>
+      </div>
+    `;
+
+    let summary;
+    if (!ratingData) {
+      summary = retryAt ? createThrottledBadge(retryAt) : createLoadingIndicator();
+    } else {
+      summary = createRatingBadge(ratingData, productPanel);
+    }
+    panel.querySelector('.untappd-panel-summary').appendChild(summary);
+
+    const found = ratingData && ratingData.found;
+    if (found) {
+      const beerLink = panel.querySelector('.untappd-panel-beer a');
+      beerLink.href = ratingData.beerUrl;
+      beerLink.textContent = ratingData.beerName;
+      panel.querySelector('.untappd-panel-brewery').textContent = ratingData.breweryName ? ` – ${ratingData.breweryName}` : '';
+      panel.querySelector('.untappd-panel-link').href = ratingData.beerUrl;
+
+      const details = [
+        ['Rating', describeRating(ratingData)],
+        ['Style', ratingData.style],
+        ['ABV', typeof ratingData.abv === 'number' ? `${ratingData.abv}%` : null]
+      ];
+      const list = panel.querySelector('.untappd-panel-details');
+      for (const [term, value] of details) {
+        if (!value) continue;
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = term;
+        dd.textContent = value;
+        list.append(dt, dd);
+      }
+
+      panel.querySelector('.untappd-panel-had').textContent = describeHad(ratingData.had);
+    }
+
+    if (found && similar && similar.length > 0) {
+      const section = panel.querySelector('.untappd-panel-similar');
+      section.hidden = false;
+      section.querySelector('.untappd-panel-subheading').textContent = `More from ${ratingData.breweryName}`;
+      section.querySelector('ul').replaceChildren(...similar.map(beer => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+          <span>
+            <a target="_blank" rel="noopener noreferrer"></a>
+            <span class="untappd-panel-similar-style"></span>
+          </span>
+          <span class="untappd-panel-similar-rating"></span>
+        `;
+        const link = item.querySelector('a');
+        link.href = beer.beerUrl;
+        link.textContent = beer.beerName;
+        item.querySelector('.untappd-panel-similar-style').textContent = beer.style ? ` ${beer.style}` : '';
+        item.querySelector('.untappd-panel-similar-rating').textContent = beer.rating.toFixed(2);
+        item.querySelector('.untappd-panel-similar-rating').setAttribute('aria-label', `rated ${beer.rating.toFixed(2)}`);
+        return item;
+      }));
+    }
+
+    // Drop whatever this state has nothing for
+    for (const element of panel.querySelectorAll('.untappd-panel-beer, .untappd-panel-details, .untappd-panel-had, .untappd-panel-link')) {
+      if (!found || !element.textContent.trim()) element.remove();
+    }
+
+    if (productPanel.element) productPanel.element.remove();
+    host.shadowRoot.appendChild(panel);
+    productPanel.element = panel;
+
+    if (host.isConnected) {
+      applyTheme(panel);
+      applyTheme(summary);
+    }
+  }
+
+  /**
+   * Fetch the matched brewery's best-rated other beers for the panel
+   */
+  async function loadSimilarBeers(panel) {
+    const { ratingData } = panel;
+    if (!ratingData.found || ratingData.uncertain || !ratingData.breweryName) return;
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'getBreweryBeers',
+      brewery: ratingData.breweryName,
+      exclude: ratingData.beerUrl
+    });
+    // Nothing to add when throttled or the search failed
+    if (productPanel !== panel || panel.ratingData !== ratingData || !response.beers) return;
+
+    panel.similar = response.beers;
+    renderProductPanel();
+  }
+
+  /**
+   * Process all beer cards on the page: look up new ones, and put back
+   * badges the site has removed or re-rendered away
    */
   function processAllCards() {
-    const cards = document.querySelectorAll(config.beerCardSelector);
+    if (productPanel) attachProductPanel();
+
+    const cards = findCards();
     console.log(`Beer Rating Injector: Found ${cards.length} beer cards`);
 
     cards.forEach(card => {
-      if (!processedElements.has(card)) {
-        injectRating(card);
+      // The product page's own beer has the panel
+      if (productPanel && card.contains(productPanel.title)) return;
+
+      const claimed = claimEntry(card);
+      if (!claimed) return;
+
+      const { entry, isNew } = claimed;
+      if (entry.error) return;
+      if (!attachBadge(entry) && isNew) {
+        cardEntries.delete(entry.key);
+        entriesByCard.delete(card);
+        return;
       }
+      if (isNew) loadRating(entry);
     });
+
+    // Lookups for cards that really are gone (not just re-rendered)
+    cancelDetachedRequests();
+
+    // New or re-rendered cards get the current sort and filters
+    gridToolbar.scheduleUpdate();
+
+    checkHealth();
+  }
+
+  /**
+   * Work out what a card's selectors matched and, if it has no badge, why
+   * @returns {Object} { card, nameElement, target, rawName, beerName, injected, reason }
+   */
+  function diagnoseCard(card) {
+    const entry = entriesByCard.get(card);
+    const nameElement = queryFirst(card, config.beerNameSelector);
+    const rawName = nameElement ? nameElement.textContent.trim() : '';
+    const beerName = entry
+      ? entry.beerName
+      : (rawName && window.applyNameRules(config.nameRules || window.DEFAULT_NAME_RULES, rawName)) || null;
+    const target = queryFirst(card, config.injectionTarget);
+    const injected = Boolean(entry && entry.host.isConnected && card.contains(entry.host));
+
+    let reason = null;
+    if (!injected) {
+      if (!nameElement) reason = 'No element matches beerNameSelector';
+      else if (!rawName) reason = 'Name element is empty';
+      else if (!beerName) reason = 'Name rules removed the whole name';
+      else if (!target) reason = 'No element matches injectionTarget';
+      else if (entry && entry.error) reason = `Lookup failed: ${entry.error}`;
+      else if (entry && entry.reattached.length >= MAX_REATTACHMENTS) reason = 'The site keeps removing the badge';
+    }
+
+    return { card, nameElement, target, rawName, beerName, injected, reason };
+  }
+
+  /**
+   * Report how many cards got a badge, for the popup, and redraw the debug
+   * overlay when it's on
+   */
+  function checkHealth() {
+    const diagnoses = findCards().map(diagnoseCard);
+    if (debugMode) debugOverlay.render(diagnoses);
+
+    const health = window.DebugOverlay.summarize(diagnoses);
+    const pageUrl = location.href.split('#')[0];
+    const report = JSON.stringify({ pageUrl, health });
+    if (report === lastHealthReport) return;
+    lastHealthReport = report;
+
+    if (health.failed > 0) {
+      console.log(`Beer Rating Injector: ${window.DebugOverlay.describeHealth(health)}`);
+    }
+    chrome.runtime.sendMessage({ action: 'reportSiteHealth', site, pageUrl, health }).catch(() => {});
+  }
+
+  /**
+   * Turn the selector debug overlay on or off
+   */
+  function setDebugMode(enabled) {
+    debugMode = enabled;
+    if (!enabled) {
+      debugOverlay.hide();
+      return;
+    }
+    debugOverlay.show();
+    debugOverlay.render(findCards().map(diagnoseCard));
+  }
+
+  /**
+   * Drop entries for cards no longer on the page (after SPA navigation)
+   */
+  function forgetDetachedCards() {
+    for (const [key, entry] of cardEntries) {
+      if (!entry.card.isConnected) cardEntries.delete(key);
+    }
+  }
+
+  /**
+   * Check whether a node is, or holds, an element matching a selector
+   */
+  function holds(node, selector) {
+    if (!selector) return false;
+    return node.nodeType === Node.ELEMENT_NODE && (node.matches(selector) || Boolean(node.querySelector(selector)));
   }
 
   /**
    * Set up mutation observer for dynamically loaded content
+   * It also watches for badges being removed, whether on their own or with
+   * a card the site re-renders, so they can be put back.
    */
   function setupObserver() {
     const observer = new MutationObserver((mutations) => {
-      let shouldProcess = false;
-
-      for (const mutation of mutations) {
-        if (mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Check if the added node is a beer card or contains beer cards
-              if (node.matches && node.matches(config.beerCardSelector)) {
-                shouldProcess = true;
-                break;
-              }
-              if (node.querySelector && node.querySelector(config.beerCardSelector)) {
-                shouldProcess = true;
-                break;
-              }
-            }
-          }
-        }
-        if (shouldProcess) break;
-      }
+      const shouldProcess = mutations.some(mutation =>
+        Array.from(mutation.addedNodes).some(node => holds(node, config.beerCardSelector)) ||
+        Array.from(mutation.removedNodes).some(node =>
+          holds(node, 'untappd-badge, untappd-product-panel') || (pendingCards.size > 0 && holds(node, config.beerCardSelector))
+        )
+      );
 
       if (shouldProcess) {
         // Debounce processing
@@ -249,7 +1637,30 @@
     return observer;
   }
 
+  // Stale cached ratings are refreshed in the background and pushed here if they change
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'ratingUpdated') {
+      updateBadges(request.beerName, request.ratingData, request.brewery);
+    }
+  });
+
+  // Appearance changes from the options page apply without a reload
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const change = changes[window.BadgeSettings.STORAGE_KEY];
+    if (area !== 'sync' || !change) return;
+
+    badgeSettings = window.BadgeSettings.normalize(change.newValue);
+    redrawBadges();
+  });
+
+  // So does the popup's debug toggle
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.debugMode) setDebugMode(changes.debugMode.newValue === true);
+  });
+
   // Initial processing
+  if (debugMode) setDebugMode(true);
+  showProductPanel();
   processAllCards();
 
   // Watch for dynamic content
@@ -260,7 +1671,15 @@
   new MutationObserver(() => {
     if (location.href !== lastUrl) {
       lastUrl = location.href;
-      setTimeout(processAllCards, 500);
+      cancelDetachedRequests();
+      setTimeout(() => {
+        if (products) products = window.StructuredData.readProducts(document, platform);
+        if (productPanel) productPanel.host.remove();
+        productPanel = null;
+        showProductPanel();
+        processAllCards();
+        forgetDetachedCards();
+      }, 500);
     }
   }).observe(document, { subtree: true, childList: true });
 
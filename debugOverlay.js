@@ -0,0 +1,180 @@
+/**
+ * Debug overlay - outline what a site's selectors match, so a theme change
+ * that stops badges appearing is easy to see and fix.
+ *
+ * A classic script loaded before content-script.js, which works out what
+ * each card matched (a "diagnosis") and hands the list here. Everything is
+ * exposed as globalThis.DebugOverlay.
+ */
+
+(function() {
+  'use strict';
+
+  // The popup lists this many failed cards; the overlay lists them all
+  const MAX_REPORTED_FAILURES = 20;
+
+  /**
+   * Count a page's cards for the popup's health report
+   * @param {Object[]} diagnoses - One per card:
+   *   { card, nameElement, target, rawName, beerName, injected, reason }
+   * @returns {Object} { cards, names, injected, failed, failures: [{ name, reason }] }
+   */
+  function summarize(diagnoses) {
+    const failed = diagnoses.filter(diagnosis => !diagnosis.injected);
+
+    return {
+      cards: diagnoses.length,
+      names: diagnoses.filter(diagnosis => diagnosis.beerName).length,
+      injected: diagnoses.length - failed.length,
+      failed: failed.length,
+      failures: failed.slice(0, MAX_REPORTED_FAILURES).map(diagnosis => ({
+        name: diagnosis.beerName || diagnosis.rawName || `Card ${diagnoses.indexOf(diagnosis) + 1}`,
+        reason: diagnosis.reason || 'Waiting to be processed'
+      }))
+    };
+  }
+
+  /**
+   * One-line health summary, e.g. "12 cards, 11 names, 11 injected, 1 failed"
+   */
+  function describeHealth(health) {
+    return `${health.cards} cards, ${health.names} names, ${health.injected} injected, ${health.failed} failed`;
+  }
+
+  /**
+   * Create an outline box over an element, in page coordinates
+   */
+  function createBox(element, className) {
+    const rect = element.getBoundingClientRect();
+    const box = document.createElement('div');
+    box.className = `box ${className}`;
+    box.style.top = `${rect.top + window.scrollY}px`;
+    box.style.left = `${rect.left + window.scrollX}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    return box;
+  }
+
+  /**
+   * Create the overlay for a page
+   * Cards are outlined in blue (red when they have no badge), name elements
+   * in green and injection targets in orange; each card is labelled with
+   * its raw and cleaned names. A panel lists the cards that failed and why.
+   * @param {Object} options
+   * @param {string} options.siteName - Config name shown in the panel
+   * @returns {Object} { show, hide, render }
+   */
+  function create({ siteName }) {
+    const host = document.createElement('untappd-debug-overlay');
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL('debugOverlay.css');
+
+    const layer = document.createElement('div');
+    layer.className = 'layer';
+
+    const panel = document.createElement('section');
+    panel.className = 'panel';
+    panel.setAttribute('aria-label', 'Untappd selector debug');
+    panel.innerHTML = `
+      <div class="panel-title"></div>
+      <div class="panel-summary" role="status"></div>
+      <ul class="panel-failures"></ul>
+      <div class="legend">
+        <span class="key card">card</span>
+        <span class="key name">name</span>
+        <span class="key target">injection target</span>
+      </div>
+    `;
+    panel.querySelector('.panel-title').textContent = `🍺 Selector debug · ${siteName}`;
+
+    shadow.append(stylesheet, layer, panel);
+
+    let diagnoses = [];
+    let frame = null;
+
+    /**
+     * Redraw the outlines and failure list for the last diagnoses
+     */
+    function draw() {
+      frame = null;
+      if (!host.isConnected) return;
+
+      const boxes = [];
+      for (const diagnosis of diagnoses) {
+        if (!diagnosis.card.isConnected) continue;
+
+        const cardBox = createBox(diagnosis.card, diagnosis.injected ? 'card' : 'card failed');
+        const label = document.createElement('span');
+        label.className = 'label';
+        label.textContent = diagnosis.rawName
+          ? `${diagnosis.rawName} → ${diagnosis.beerName || '(nothing)'}`
+          : diagnosis.reason || '';
+        if (diagnosis.reason && diagnosis.rawName) label.textContent += ` · ${diagnosis.reason}`;
+        cardBox.appendChild(label);
+        boxes.push(cardBox);
+
+        if (diagnosis.nameElement) boxes.push(createBox(diagnosis.nameElement, 'name'));
+        if (diagnosis.target) boxes.push(createBox(diagnosis.target, 'target'));
+      }
+      layer.replaceChildren(...boxes);
+
+      const health = summarize(diagnoses);
+      panel.querySelector('.panel-summary').textContent = describeHealth(health);
+      panel.querySelector('.panel-failures').replaceChildren(...diagnoses
+        .filter(diagnosis => !diagnosis.injected)
+        .map(diagnosis => {
+          const item = document.createElement('li');
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.textContent = `${diagnosis.beerName || diagnosis.rawName || 'Unnamed card'}: ${diagnosis.reason || 'Waiting to be processed'}`;
+          button.addEventListener('click', () => {
+            diagnosis.card.scrollIntoView({ block: 'center' });
+          });
+          item.appendChild(button);
+          return item;
+        }));
+    }
+
+    /**
+     * Redraw on the next frame, batching layout reads
+     */
+    function scheduleDraw() {
+      if (frame === null) frame = requestAnimationFrame(draw);
+    }
+
+    /**
+     * Show the overlay with the latest diagnoses
+     * @param {Object[]} latest - From the content script, one per card
+     */
+    function render(latest) {
+      diagnoses = latest;
+      if (host.isConnected) scheduleDraw();
+    }
+
+    function show() {
+      if (host.isConnected) return;
+      // On <html>, not <body>, so it's out of the way of the page's own observers
+      document.documentElement.appendChild(host);
+      window.addEventListener('resize', scheduleDraw);
+      draw();
+    }
+
+    function hide() {
+      host.remove();
+      window.removeEventListener('resize', scheduleDraw);
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+    }
+
+    return { show, hide, render };
+  }
+
+  globalThis.DebugOverlay = {
+    create,
+    summarize,
+    describeHealth
+  };
+})();
@@ -0,0 +1,271 @@
+/**
+ * Grid toolbar - sort and filter a shop's beer cards by Untappd rating.
+ *
+ * A classic script loaded after pricing.js and before content-script.js.
+ * Cards are moved as whole grid items (the card's ancestor that sits
+ * directly in the grid), so the site's layout is kept; the page order is
+ * remembered so it can be restored. Everything is exposed as
+ * globalThis.GridToolbar.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_STATE = { sort: 'page', minRating: 0, hideUnrated: false };
+
+  const SORT_OPTIONS = [
+    ['page', 'Page order'],
+    ['rating', 'Highest rated'],
+    ['count', 'Most ratings'],
+    ['value', 'Best value']
+  ];
+
+  const MIN_RATING_OPTIONS = [
+    [0, 'Any rating'],
+    [3.5, '3.5+'],
+    [3.75, '3.75+'],
+    [4, '4.0+'],
+    [4.25, '4.25+']
+  ];
+
+  const HIDDEN_CLASS = 'untappd-filter-hidden';
+
+  // Grid item -> position in the page order, assigned when first seen
+  const pageOrder = new WeakMap();
+  let nextPosition = 0;
+
+  /**
+   * Rating shown on a card's badge, or null for unrated, uncertain and not found
+   */
+  function ratingOf(ratingData) {
+    if (!ratingData || !ratingData.found || ratingData.uncertain) return null;
+    return typeof ratingData.rating === 'number' ? ratingData.rating : null;
+  }
+
+  /**
+   * Value a card sorts on, highest first; null sorts last
+   */
+  function sortValue(sort, ratingData) {
+    if (sort === 'rating') return ratingOf(ratingData);
+    if (sort === 'count') {
+      return ratingData && ratingData.found && !ratingData.uncertain ? (ratingData.ratingCount ?? 0) : null;
+    }
+    if (sort === 'value') {
+      // Rating against price per litre; cards without a price sort last
+      return ratingData ? globalThis.Pricing.valueScore(ratingOf(ratingData), ratingData.pricePerLitre) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether the current filters hide a card
+   * Cards still waiting on a rating are never hidden.
+   * @param {Object} [ratingData]
+   * @param {Object} state - { minRating, hideUnrated }
+   */
+  function isFilteredOut(ratingData, state) {
+    if (!ratingData) return false;
+
+    const rating = ratingOf(ratingData);
+    if (rating === null) return state.hideUnrated;
+    return rating < state.minRating;
+  }
+
+  // Card -> grid item, so the tree is only walked once per card
+  const gridItems = new WeakMap();
+
+  /**
+   * Find the element to move for a card: its ancestor sitting directly in
+   * the element that holds the other cards
+   */
+  function gridItem(card, cardSelector) {
+    const known = gridItems.get(card);
+    if (known && known.parentElement && known.contains(card)) return known;
+
+    let item = card;
+    while (item.parentElement && item.parentElement !== card.ownerDocument.body) {
+      if (item.parentElement.querySelectorAll(cardSelector).length > 1) break;
+      item = item.parentElement;
+    }
+
+    gridItems.set(card, item);
+    return item;
+  }
+
+  /**
+   * Sort and filter cards in place
+   * Items are only moved when their order changes, so the page's
+   * MutationObserver isn't kept busy by our own moves.
+   * @param {Element[]} cards - In document order
+   * @param {Object} options
+   * @param {string} options.cardSelector
+   * @param {Function} options.getRatingData - card -> rating data (with pricePerLitre
+   *   when the card has a price), or undefined while loading
+   * @param {Object} options.state - { sort, minRating, hideUnrated }
+   * @returns {Object} { total, shown, loading }
+   */
+  function arrangeCards(cards, { cardSelector, getRatingData, state }) {
+    const grids = new Map();
+    const counts = { total: 0, shown: 0, loading: 0 };
+
+    for (const card of cards) {
+      const item = gridItem(card, cardSelector);
+      if (!pageOrder.has(item)) pageOrder.set(item, nextPosition++);
+
+      const ratingData = getRatingData(card);
+      const hidden = isFilteredOut(ratingData, state);
+      item.classList.toggle(HIDDEN_CLASS, hidden);
+
+      counts.total++;
+      if (!hidden) counts.shown++;
+      if (!ratingData) counts.loading++;
+
+      const container = item.parentElement;
+      if (!container) continue;
+      if (!grids.has(container)) grids.set(container, []);
+      // One item may hold several cards
+      const items = grids.get(container);
+      if (!items.some(entry => entry.item === item)) {
+        items.push({ item, value: sortValue(state.sort, ratingData) });
+      }
+    }
+
+    for (const [container, items] of grids) {
+      const sorted = [...items].sort((a, b) => {
+        if (a.value !== b.value) {
+          if (a.value === null) return 1;
+          if (b.value === null) return -1;
+          return b.value - a.value;
+        }
+        return pageOrder.get(a.item) - pageOrder.get(b.item);
+      });
+
+      if (sorted.every((entry, i) => entry === items[i])) continue;
+
+      const anchor = items[items.length - 1].item.nextSibling;
+      for (const { item } of sorted) {
+        container.insertBefore(item, anchor);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Create a select element from [value, label] pairs
+   */
+  function createSelect(options, label) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+    for (const [value, text] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    return select;
+  }
+
+  /**
+   * Create the toolbar for a listing page
+   * It appears above the first grid once there are at least two cards, and
+   * re-attaches itself if the site re-renders the grid.
+   * @param {Object} options
+   * @param {string} options.cardSelector - The site's beerCardSelector
+   * @param {Function} options.getRatingData - card -> rating data, or undefined while loading
+   * @param {Function} [options.onAttach] - Called with the toolbar element each
+   *   time it's put on the page, e.g. to match the page's theme
+   * @returns {Object} { update, scheduleUpdate }
+   */
+  function create({ cardSelector, getRatingData, onAttach }) {
+    const state = { ...DEFAULT_STATE };
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'untappd-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Sort and filter by Untappd rating');
+
+    const title = document.createElement('span');
+    title.className = 'untappd-toolbar-title';
+    title.textContent = '🍺 Untappd';
+
+    const sortSelect = createSelect(SORT_OPTIONS, 'Sort by');
+    const minRatingSelect = createSelect(MIN_RATING_OPTIONS, 'Minimum rating');
+
+    const hideUnratedLabel = document.createElement('label');
+    const hideUnratedInput = document.createElement('input');
+    hideUnratedInput.type = 'checkbox';
+    hideUnratedLabel.append(hideUnratedInput, ' Hide unrated & not found');
+
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.textContent = 'Reset';
+
+    const status = document.createElement('span');
+    status.className = 'untappd-toolbar-status';
+    status.setAttribute('aria-live', 'polite');
+
+    toolbar.append(title, sortSelect, minRatingSelect, hideUnratedLabel, resetButton, status);
+
+    sortSelect.addEventListener('change', () => {
+      state.sort = sortSelect.value;
+      update();
+    });
+    minRatingSelect.addEventListener('change', () => {
+      state.minRating = parseFloat(minRatingSelect.value);
+      update();
+    });
+    hideUnratedInput.addEventListener('change', () => {
+      state.hideUnrated = hideUnratedInput.checked;
+      update();
+    });
+    resetButton.addEventListener('click', () => {
+      Object.assign(state, DEFAULT_STATE);
+      sortSelect.value = state.sort;
+      minRatingSelect.value = state.minRating;
+      hideUnratedInput.checked = state.hideUnrated;
+      update();
+    });
+
+    let timer = null;
+
+    /**
+     * Re-apply the current sort and filters to every card on the page
+     */
+    function update() {
+      clearTimeout(timer);
+
+      const cards = Array.from(document.querySelectorAll(cardSelector));
+      if (cards.length < 2) {
+        toolbar.remove();
+        return;
+      }
+
+      // Sites re-rendering the grid take the toolbar with them
+      if (!toolbar.isConnected) {
+        const firstItem = gridItem(cards[0], cardSelector);
+        (firstItem.parentElement || firstItem).insertAdjacentElement('beforebegin', toolbar);
+        if (onAttach) onAttach(toolbar);
+      }
+
+      const { total, shown, loading } = arrangeCards(cards, { cardSelector, getRatingData, state });
+      status.textContent = `Showing ${shown} of ${total}${loading ? ` (${loading} loading)` : ''}`;
+    }
+
+    /**
+     * Batch updates while ratings stream in
+     */
+    function scheduleUpdate() {
+      clearTimeout(timer);
+      timer = setTimeout(update, 200);
+    }
+
+    return { update, scheduleUpdate };
+  }
+
+  globalThis.GridToolbar = {
+    create,
+    arrangeCards,
+    isFilteredOut
+  };
+})();
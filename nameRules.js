@@ -0,0 +1,206 @@
+/**
+ * Name cleaning rules - a serialisable pipeline that turns a shop's product
+ * title into the beer name we search Untappd for.
+ *
+ * Each config's `nameRules` is an array of plain objects applied in order;
+ * the result is always trimmed, along with any trailing separators.
+ * Patterns are RegExp source strings so rules can live in chrome.storage
+ * alongside user-added sites. The shared vocabulary and formats come from
+ * beerNames.js, which must load first.
+ *
+ *   { type: 'split', separator: '|', index: 0, trim: false }
+ *       Keep one segment of the name
+ *   { type: 'remove', pattern: '\\s*\\(Collab\\)', flags: 'gi' }
+ *       Delete every match of a regex (flags default to 'i')
+ *   { type: 'stripAbv', rest: true }
+ *       Delete the ABV ("5.6%", "(5%)", "ABV 4.2%"), by default with everything after it
+ *   { type: 'stripSize' } / { type: 'stripPack' }
+ *       Delete container sizes ("440ml", "500ML CAN") / pack counts ("6 PACK")
+ *   { type: 'stripStyles', mode: 'suffix', vocabulary: ['styles'], styles: ['Wild'] }
+ *       Delete style, modifier and flavour words: 'suffix' a trailing run of them,
+ *       'fromFirst' the first one and everything after it, 'all' every occurrence.
+ *       `vocabulary` picks shared word groups (default all); `styles` adds
+ *       site-specific words
+ *   { type: 'titleCase' }
+ *       "BROWNIAN MOTION" -> "Brownian Motion"
+ *   { type: 'collab', mode: 'dropSuffix' }
+ *       Collaboration handling: 'dropSuffix' drops " x Other Brewery",
+ *       'join' turns " x " into a space, 'bracketed' drops "(Collab x ...)",
+ *       'segment' drops a dash-separated "- Us x Them" segment and everything after,
+ *       'leadingSegment' splits on `separator` and skips a first segment
+ *       matching `marker` ("RIVINGTON COLAB - MIZZLE IPA")
+ */
+
+const COLLAB_PATTERNS = {
+  dropSuffix: { pattern: '\\s+x\\s+.*', flags: 'i', replacement: '' },
+  join: { pattern: '\\s+x\\s+', flags: 'gi', replacement: ' ' },
+  bracketed: { pattern: '\\s*\\([^)]*x[^)]*\\)', flags: 'gi', replacement: '' },
+  segment: { pattern: '\\s*-\\s*[^-]+\\s+x\\s+.*', flags: 'i', replacement: '' }
+};
+
+const NAME_RULE_HANDLERS = {
+  split(name, rule) {
+    const part = name.split(rule.separator)[rule.index || 0] ?? '';
+    return rule.trim ? part.trim() : part;
+  },
+
+  remove(name, rule) {
+    return name.replace(new RegExp(rule.pattern, rule.flags ?? 'i'), rule.replacement ?? '');
+  },
+
+  stripAbv(name, rule) {
+    return globalThis.BeerNames.stripAbv(name, { rest: rule.rest !== false });
+  },
+
+  stripSize(name) {
+    return globalThis.BeerNames.stripSize(name);
+  },
+
+  stripPack(name) {
+    return globalThis.BeerNames.stripPack(name);
+  },
+
+  stripStyles(name, rule) {
+    return globalThis.BeerNames.stripDescriptors(name, {
+      mode: rule.mode,
+      vocabulary: rule.vocabulary,
+      extra: rule.styles
+    });
+  },
+
+  titleCase(name) {
+    return name.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+  },
+
+  collab(name, rule) {
+    if (rule.mode === 'leadingSegment') {
+      const parts = name.split(rule.separator).map(p => p.trim());
+      const isCollab = parts[0] && new RegExp(rule.marker || 'colab|collab', 'i').test(parts[0]);
+      return isCollab ? (parts[1] || parts[0]) : parts[0];
+    }
+
+    const collab = COLLAB_PATTERNS[rule.mode];
+    if (!collab) throw new Error(`Unknown collab mode "${rule.mode}"`);
+    return name.replace(new RegExp(collab.pattern, collab.flags), collab.replacement);
+  }
+};
+
+// Used for sites that don't declare their own rules
+const DEFAULT_NAME_RULES = [
+  { type: 'stripPack' },
+  { type: 'stripSize' },
+  { type: 'stripAbv' },
+  { type: 'stripStyles' }
+];
+
+/**
+ * Check a rule list is well formed
+ * @param {Array} rules
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+function validateNameRules(rules) {
+  if (!Array.isArray(rules)) return 'Rules must be an array';
+
+  for (const [i, rule] of rules.entries()) {
+    if (!rule || !NAME_RULE_HANDLERS[rule.type]) {
+      return `Rule ${i + 1} has unknown type "${rule && rule.type}"`;
+    }
+    try {
+      NAME_RULE_HANDLERS[rule.type]('test', rule);
+    } catch (error) {
+      return `Rule ${i + 1} (${rule.type}): ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a rule list to a product title
+ * Broken rules (e.g. a bad user-supplied regex) are skipped rather than
+ * losing the whole name.
+ * @param {Array} rules
+ * @param {string} name
+ * @returns {string}
+ */
+function applyNameRules(rules, name) {
+  let result = name;
+
+  for (const rule of rules || []) {
+    const handler = NAME_RULE_HANDLERS[rule.type];
+    if (!handler) {
+      console.warn(`Beer Rating Injector: Unknown name rule "${rule.type}"`);
+      continue;
+    }
+    try {
+      result = handler(result, rule);
+    } catch (error) {
+      console.warn(`Beer Rating Injector: Skipping name rule "${rule.type}"`, error);
+    }
+  }
+
+  // Separators left dangling once what followed them was removed ("Pilsner –")
+  return result.replace(/[\s\-–—|/:,&]+$/, '').trim();
+}
+
+// Between the breweries of a collaboration: "Beak x Equilibrium", "A, B"
+const BREWERY_SEPARATOR = /\s+[x×]\s+|\s*,\s*/i;
+
+/**
+ * Check a brewery pattern list is well formed
+ * @param {Array} patterns
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+function validateBreweryPatterns(patterns) {
+  if (!Array.isArray(patterns)) return 'Brewery patterns must be an array';
+
+  for (const [i, pattern] of patterns.entries()) {
+    if (typeof pattern !== 'string') return `Brewery pattern ${i + 1} must be a string`;
+    try {
+      if (new RegExp(`${pattern}|`).exec('').length < 2) return `Brewery pattern ${i + 1} needs a capture group`;
+    } catch (error) {
+      return `Brewery pattern ${i + 1}: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the breweries a product title names, for collaborations
+ * Each pattern is a RegExp source (matched case-insensitively) whose first
+ * group captures one or more breweries joined by " x " or commas, e.g.
+ * '\\(collab x ([^)]+)\\)' on "Chubby Bubbles (Collab x Other Half)".
+ * Sizes, pack counts and ABVs caught along with a name are dropped.
+ * @param {string[]} patterns
+ * @param {string} title - Product title as shown on the page
+ * @returns {string[]} Brewery names, in the order found
+ */
+function extractBreweries(patterns, title) {
+  const { stripAbv, stripSize, stripPack } = globalThis.BeerNames;
+  const breweries = [];
+
+  for (const pattern of patterns || []) {
+    let match;
+    try {
+      match = new RegExp(pattern, 'i').exec(title);
+    } catch (error) {
+      console.warn(`Beer Rating Injector: Skipping brewery pattern "${pattern}"`, error);
+      continue;
+    }
+    if (!match || !match[1]) continue;
+
+    for (const part of match[1].split(BREWERY_SEPARATOR)) {
+      const brewery = stripPack(stripSize(stripAbv(part))).replace(/[\s\-–—|/:,&]+$/, '').trim();
+      if (brewery && !breweries.some(found => found.toLowerCase() === brewery.toLowerCase())) {
+        breweries.push(brewery);
+      }
+    }
+  }
+  return breweries;
+}
+
+// Export for content scripts, the options page and the background worker
+globalThis.applyNameRules = applyNameRules;
+globalThis.validateNameRules = validateNameRules;
+globalThis.extractBreweries = extractBreweries;
+globalThis.validateBreweryPatterns = validateBreweryPatterns;
+globalThis.DEFAULT_NAME_RULES = DEFAULT_NAME_RULES;
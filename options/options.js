@@ -0,0 +1,349 @@
+/**
+ * Options Script - Badge appearance and user-added brewery sites for Beer Rating Injector
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Elements
+  const customList = document.getElementById('custom-list');
+  const customEmpty = document.getElementById('custom-empty');
+  const customForm = document.getElementById('custom-form');
+  const customStatus = document.getElementById('custom-status');
+  const inputs = {
+    domain: document.getElementById('custom-domain'),
+    name: document.getElementById('custom-name'),
+    breweryNameForSearch: document.getElementById('custom-search-name'),
+    beerCardSelector: document.getElementById('custom-card-selector'),
+    beerNameSelector: document.getElementById('custom-name-selector'),
+    priceSelector: document.getElementById('custom-price-selector'),
+    brewerySelector: document.getElementById('custom-brewery-selector'),
+    breweryPatterns: document.getElementById('custom-brewery-patterns'),
+    injectionTarget: document.getElementById('custom-injection-target'),
+    injectionPosition: document.getElementById('custom-injection-position'),
+    productTitleSelector: document.getElementById('custom-product-title-selector'),
+    nameRules: document.getElementById('custom-name-rules')
+  };
+  const structuredDataInput = document.getElementById('custom-structured-data');
+
+  const SELECTOR_FIELDS = {
+    beerCardSelector: 'Beer card selector',
+    beerNameSelector: 'Beer name selector',
+    injectionTarget: 'Injection target'
+  };
+
+  const badgeForm = document.getElementById('badge-form');
+  const badgeStatus = document.getElementById('badge-status');
+  const tierList = document.getElementById('tier-list');
+  const addTierButton = document.getElementById('add-tier');
+  const badgeInputs = {
+    compact: document.getElementById('badge-compact'),
+    showLabel: document.getElementById('badge-show-label'),
+    showCount: document.getElementById('badge-show-count'),
+    theme: document.getElementById('badge-theme')
+  };
+
+  renderBadgeSettings(await chrome.runtime.sendMessage({ action: 'getBadgeSettings' }));
+  await loadCustomBreweries();
+
+  structuredDataInput.addEventListener('change', updateSelectorRequirements);
+
+  badgeForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const result = await chrome.runtime.sendMessage({ action: 'setBadgeSettings', settings: readBadgeSettings() });
+    renderBadgeSettings(result.settings);
+    showStatus(badgeStatus, 'Saved', 'success');
+  });
+
+  document.getElementById('reset-badge').addEventListener('click', async () => {
+    const result = await chrome.runtime.sendMessage({
+      action: 'setBadgeSettings',
+      settings: BadgeSettings.DEFAULT_SETTINGS
+    });
+    renderBadgeSettings(result.settings);
+    showStatus(badgeStatus, 'Reset to defaults', 'success');
+  });
+
+  addTierButton.addEventListener('click', () => {
+    const last = tierList.lastElementChild;
+    const min = last ? Math.min(5, parseFloat(last.querySelector('input[type="number"]').value) + 0.25) : 0;
+    tierList.appendChild(createTierRow({ min, color: '#4caf50' }));
+    updateTierControls();
+  });
+
+  customForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const domain = normalizeDomain(inputs.domain.value);
+    if (!domain) {
+      showStatus(customStatus, 'Enter a domain like examplebrewing.com', 'error');
+      return;
+    }
+
+    const structuredData = structuredDataInput.checked;
+    const invalid = Object.keys(SELECTOR_FIELDS).find(field =>
+      !isValidSelector(inputs[field].value) && !(structuredData && !inputs[field].value.trim())
+    );
+    if (invalid) {
+      showStatus(customStatus, `${SELECTOR_FIELDS[invalid]} is not a valid CSS selector`, 'error');
+      return;
+    }
+
+    const priceSelector = inputs.priceSelector.value.trim();
+    if (priceSelector && !isValidSelector(priceSelector)) {
+      showStatus(customStatus, 'Price selector is not a valid CSS selector', 'error');
+      return;
+    }
+
+    const brewerySelector = inputs.brewerySelector.value.trim();
+    if (brewerySelector && !isValidSelector(brewerySelector)) {
+      showStatus(customStatus, 'Brewery selector is not a valid CSS selector', 'error');
+      return;
+    }
+
+    const breweryPatterns = inputs.breweryPatterns.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const patternProblem = validateBreweryPatterns(breweryPatterns);
+    if (patternProblem) {
+      showStatus(customStatus, patternProblem, 'error');
+      return;
+    }
+
+    const productTitleSelector = inputs.productTitleSelector.value.trim();
+    if (productTitleSelector && !isValidSelector(productTitleSelector)) {
+      showStatus(customStatus, 'Product page title selector is not a valid CSS selector', 'error');
+      return;
+    }
+
+    const nameRules = parseNameRules(inputs.nameRules.value);
+    if (nameRules.error) {
+      showStatus(customStatus, nameRules.error, 'error');
+      return;
+    }
+
+    // Must be requested straight from the click, before any other await
+    const granted = await chrome.permissions.request({ origins: originsForDomain(domain) });
+    if (!granted) {
+      showStatus(customStatus, `Permission for ${domain} was not granted`, 'error');
+      return;
+    }
+
+    const name = inputs.name.value.trim();
+    const config = {
+      name,
+      breweryNameForSearch: inputs.breweryNameForSearch.value.trim() || name,
+      beerCardSelector: inputs.beerCardSelector.value.trim(),
+      beerNameSelector: inputs.beerNameSelector.value.trim(),
+      priceSelector,
+      injectionTarget: inputs.injectionTarget.value.trim(),
+      injectionPosition: inputs.injectionPosition.value,
+      nameRules: nameRules.rules
+    };
+    if (brewerySelector) config.brewerySelector = brewerySelector;
+    if (breweryPatterns.length > 0) config.breweryPatterns = breweryPatterns;
+    if (productTitleSelector) config.productPage = { titleSelector: productTitleSelector };
+    if (structuredData) {
+      config.structuredData = true;
+      // Blank selectors are worked out on the page
+      for (const field of Object.keys(SELECTOR_FIELDS)) {
+        if (!config[field]) delete config[field];
+      }
+      // Badges go after the product name unless a target was given
+      if (!config.injectionTarget) delete config.injectionPosition;
+    }
+
+    const result = await chrome.runtime.sendMessage({ action: 'saveCustomBrewery', domain, config });
+    if (!result.success) {
+      showStatus(customStatus, `Failed to add site: ${result.error}`, 'error');
+      return;
+    }
+
+    customForm.reset();
+    updateSelectorRequirements();
+    showStatus(customStatus, `Added ${name} - reload the site to see ratings`, 'success');
+    await loadCustomBreweries();
+  });
+
+  /**
+   * Fill in the badge appearance form
+   */
+  function renderBadgeSettings(settings) {
+    tierList.replaceChildren(...settings.tiers.map(createTierRow));
+    badgeInputs.compact.checked = settings.compact;
+    badgeInputs.showLabel.checked = settings.showLabel;
+    badgeInputs.showCount.checked = settings.showCount;
+    badgeInputs.theme.value = settings.theme;
+    updateTierControls();
+  }
+
+  /**
+   * Read the badge appearance form (the background normalises it)
+   */
+  function readBadgeSettings() {
+    return {
+      tiers: Array.from(tierList.children, row => ({
+        min: parseFloat(row.querySelector('input[type="number"]').value),
+        color: row.querySelector('input[type="color"]').value
+      })),
+      compact: badgeInputs.compact.checked,
+      showLabel: badgeInputs.showLabel.checked,
+      showCount: badgeInputs.showCount.checked,
+      theme: badgeInputs.theme.value
+    };
+  }
+
+  /**
+   * Create a row for one rating tier, with a preview of its badge colour
+   */
+  function createTierRow(tier) {
+    const row = document.createElement('li');
+    row.innerHTML = `
+      <input type="number" min="0" max="5" step="0.05" aria-label="From rating" required>
+      <input type="color" aria-label="Colour">
+      <span class="tier-preview"></span>
+      <button type="button" class="btn btn-secondary">Remove</button>
+    `;
+
+    const minInput = row.querySelector('input[type="number"]');
+    const colorInput = row.querySelector('input[type="color"]');
+    const preview = row.querySelector('.tier-preview');
+    minInput.value = tier.min;
+    colorInput.value = tier.color;
+
+    const updatePreview = () => {
+      preview.textContent = (parseFloat(minInput.value) || 0).toFixed(2);
+      preview.style.background = colorInput.value;
+      preview.style.color = BadgeSettings.textColorFor(colorInput.value);
+    };
+    minInput.addEventListener('input', updatePreview);
+    colorInput.addEventListener('input', updatePreview);
+    updatePreview();
+
+    row.querySelector('button').addEventListener('click', () => {
+      row.remove();
+      updateTierControls();
+    });
+
+    return row;
+  }
+
+  /**
+   * The lowest tier always starts at 0; keep at least one tier and at most
+   * BadgeSettings.MAX_TIERS
+   */
+  function updateTierControls() {
+    const rows = Array.from(tierList.children);
+    rows.forEach((row, i) => {
+      const minInput = row.querySelector('input[type="number"]');
+      minInput.disabled = i === 0;
+      if (i === 0) minInput.value = 0;
+      row.querySelector('button').disabled = rows.length === 1;
+    });
+    addTierButton.disabled = rows.length >= BadgeSettings.MAX_TIERS;
+  }
+
+  /**
+   * Selectors are found automatically on shops, so there they're only
+   * needed to override what's found
+   */
+  function updateSelectorRequirements() {
+    for (const field of Object.keys(SELECTOR_FIELDS)) {
+      inputs[field].required = !structuredDataInput.checked;
+    }
+  }
+
+  /**
+   * Render the list of user-added sites
+   */
+  async function loadCustomBreweries() {
+    const custom = await chrome.runtime.sendMessage({ action: 'getCustomBreweries' });
+    const domains = Object.keys(custom).sort();
+
+    customList.replaceChildren(...domains.map(domain => createSiteRow(domain, custom[domain])));
+    customEmpty.hidden = domains.length > 0;
+  }
+
+  /**
+   * Create a list row for a user-added site
+   */
+  function createSiteRow(domain, config) {
+    const row = document.createElement('li');
+    row.innerHTML = `
+      <div>
+        <div class="custom-site-name"></div>
+        <div class="custom-site-domain"></div>
+      </div>
+      <button class="btn btn-secondary">Remove</button>
+    `;
+    row.querySelector('.custom-site-name').textContent = config.name;
+    row.querySelector('.custom-site-domain').textContent = config.structuredData ? `${domain} · found automatically` : domain;
+
+    row.querySelector('button').addEventListener('click', async () => {
+      try {
+        await chrome.permissions.remove({ origins: originsForDomain(domain) });
+      } catch (error) {
+        // Built-in sites' permissions come from the manifest and can't be removed
+      }
+      await chrome.runtime.sendMessage({ action: 'removeCustomBrewery', domain });
+      showStatus(customStatus, `Removed ${config.name}`, 'success');
+      await loadCustomBreweries();
+    });
+
+    return row;
+  }
+
+  /**
+   * Turn user input ("https://www.Example.com/shop") into a bare domain
+   * @returns {string|null} Domain or null if it doesn't look like one
+   */
+  function normalizeDomain(value) {
+    const domain = value.trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/^www\./, '');
+
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+  }
+
+  /**
+   * Check a selector parses
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return selector.trim().length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse and check the optional name cleaning rules
+   * @returns {Object} { rules } or { error }
+   */
+  function parseNameRules(value) {
+    // Blank means the shared default rules
+    if (!value.trim()) return { rules: undefined };
+
+    let rules;
+    try {
+      rules = JSON.parse(value);
+    } catch (error) {
+      return { error: 'Name cleaning rules are not valid JSON' };
+    }
+
+    const problem = validateNameRules(rules);
+    return problem ? { error: problem } : { rules };
+  }
+
+  /**
+   * Show status message
+   */
+  function showStatus(element, message, type) {
+    element.textContent = message;
+    element.className = `status-message ${type}`;
+    element.style.display = 'block';
+
+    setTimeout(() => {
+      element.style.display = 'none';
+    }, 3000);
+  }
+});
@@ -0,0 +1,78 @@
+/**
+ * Beer list export - turn the current tab's beers into Markdown, CSV or JSON.
+ *
+ * A classic script loaded before popup.js; exposed as globalThis.BeerListExport.
+ * Each beer is an entry from the background's TabBeerLists:
+ * { pageName, beerName, breweryName, rating, ratingCount, beerUrl, status }
+ */
+
+(function() {
+  'use strict';
+
+  const COLUMNS = [
+    ['Page name', beer => beer.pageName],
+    ['Untappd beer', beer => beer.beerName],
+    ['Brewery', beer => beer.breweryName],
+    ['Rating', beer => (typeof beer.rating === 'number' ? beer.rating.toFixed(2) : null)],
+    ['Ratings', beer => beer.ratingCount],
+    ['Status', beer => beer.status],
+    ['Untappd URL', beer => beer.beerUrl]
+  ];
+
+  /**
+   * Markdown table, with matched beers linked to Untappd
+   * @param {Object[]} beers
+   * @returns {string}
+   */
+  function toMarkdown(beers) {
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+    // The URL column is folded into the beer name link
+    const columns = COLUMNS.slice(0, -1);
+
+    const rows = beers.map(beer => columns.map(([header, value]) => {
+      const text = cell(value(beer));
+      return header === 'Untappd beer' && text && beer.beerUrl ? `[${text}](${beer.beerUrl})` : text;
+    }));
+
+    return [
+      columns.map(([header]) => header),
+      columns.map(() => '---'),
+      ...rows
+    ].map(row => `| ${row.join(' | ')} |`).join('\n');
+  }
+
+  /**
+   * CSV with a header row
+   * Cells a spreadsheet would run as a formula are prefixed with a quote.
+   * @param {Object[]} beers
+   * @returns {string}
+   */
+  function toCsv(beers) {
+    const cell = value => {
+      let text = String(value ?? '');
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      COLUMNS.map(([header]) => cell(header)).join(','),
+      ...beers.map(beer => COLUMNS.map(([, value]) => cell(value(beer))).join(','))
+    ].join('\r\n');
+  }
+
+  /**
+   * JSON document with the page it came from
+   * @param {Object[]} beers
+   * @param {string} [url] - Page the beers were found on
+   * @returns {string}
+   */
+  function toJson(beers, url) {
+    return JSON.stringify({ url: url || null, exportedAt: new Date().toISOString(), beers }, null, 2);
+  }
+
+  globalThis.BeerListExport = {
+    toMarkdown,
+    toCsv,
+    toJson
+  };
+})();
@@ -8,8 +8,58 @@ document.addEventListener('DOMContentLoaded', async () => {
   const toggleStatus = document.getElementById('toggle-status');
   const cachedBeersEl = document.getElementById('cached-beers');
   const hitRateEl = document.getElementById('hit-rate');
+  const fetchesEl = document.getElementById('stat-fetches');
+  const notFoundEl = document.getElementById('stat-not-found');
+  const errorsEl = document.getElementById('stat-errors');
+  const dailyStatsBody = document.getElementById('daily-stats-body');
   const clearCacheBtn = document.getElementById('clear-cache');
   const cacheStatus = document.getElementById('cache-status');
+  const ttlInputs = {
+    found: document.getElementById('ttl-found'),
+    unrated: document.getElementById('ttl-unrated'),
+    notFound: document.getElementById('ttl-not-found')
+  };
+  const maxEntriesInput = document.getElementById('cache-max-entries');
+  const saveTtlsBtn = document.getElementById('save-ttls');
+  const dataSourceEl = document.getElementById('data-source');
+  const apiUsageEl = document.getElementById('api-usage');
+  const clientIdInput = document.getElementById('api-client-id');
+  const clientSecretInput = document.getElementById('api-client-secret');
+  const saveApiKeyBtn = document.getElementById('save-api-key');
+  const testApiKeyBtn = document.getElementById('test-api-key');
+  const removeApiKeyBtn = document.getElementById('remove-api-key');
+  const apiStatus = document.getElementById('api-status');
+  const throttleBanner = document.getElementById('throttle-banner');
+  const openOptionsLink = document.getElementById('open-options');
+  const overridesList = document.getElementById('overrides-list');
+  const tabBeersSection = document.getElementById('tab-beers');
+  const tabBeersEmpty = document.getElementById('tab-beers-empty');
+  const tabBeersBody = document.getElementById('tab-beers-body');
+  const tabBeersStatus = document.getElementById('tab-beers-status');
+  const checkinsFileInput = document.getElementById('checkins-file');
+  const checkinsSummary = document.getElementById('checkins-summary');
+  const clearCheckinsBtn = document.getElementById('clear-checkins');
+  const checkinsStatus = document.getElementById('checkins-status');
+  const overridesEmpty = document.getElementById('overrides-empty');
+  const debugToggle = document.getElementById('debug-toggle');
+  const siteHealthEl = document.getElementById('site-health');
+  const siteHealthFailures = document.getElementById('site-health-failures');
+
+  // Warn once fewer than this many API calls are left in the hour
+  const API_LOW_BUDGET = 10;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Beers on the active tab, and how the table is sorted
+  let tabBeers = { url: null, beers: [] };
+  const tabBeersSort = { column: 'rating', descending: true };
+
+  const TAB_BEER_SORT_VALUES = {
+    name: beer => beer.pageName.toLowerCase(),
+    rating: beer => beer.rating,
+    count: beer => beer.ratingCount,
+    status: beer => beer.status
+  };
 
   // Load initial state
   await loadState();
@@ -23,17 +73,353 @@ document.addEventListener('DOMContentLoaded', async () => {
     showStatus(toggleStatus, extensionToggle.checked ? 'Enabled - refresh page' : 'Disabled - refresh page', 'success');
   });
 
+  // Pages pick the change up straight away
+  debugToggle.addEventListener('change', async () => {
+    await chrome.runtime.sendMessage({ action: 'setDebugMode', enabled: debugToggle.checked });
+  });
+
+  for (const button of document.querySelectorAll('[data-sort]')) {
+    button.addEventListener('click', () => {
+      const column = button.dataset.sort;
+      // Names and statuses read best A-Z, numbers highest first
+      tabBeersSort.descending = tabBeersSort.column === column
+        ? !tabBeersSort.descending
+        : column === 'rating' || column === 'count';
+      tabBeersSort.column = column;
+      renderTabBeers();
+    });
+  }
+
+  document.getElementById('copy-markdown').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(BeerListExport.toMarkdown(sortedTabBeers()));
+      showStatus(tabBeersStatus, 'Copied as Markdown', 'success');
+    } catch (error) {
+      showStatus(tabBeersStatus, 'Could not copy to the clipboard', 'error');
+    }
+  });
+
+  document.getElementById('download-csv').addEventListener('click', () => {
+    downloadFile('beers.csv', 'text/csv', BeerListExport.toCsv(sortedTabBeers()));
+  });
+
+  document.getElementById('download-json').addEventListener('click', () => {
+    downloadFile('beers.json', 'application/json', BeerListExport.toJson(sortedTabBeers(), tabBeers.url));
+  });
+
+  checkinsFileInput.addEventListener('change', async () => {
+    const [file] = checkinsFileInput.files;
+    if (!file) return;
+
+    showStatus(checkinsStatus, 'Importing...', 'success');
+    const result = await chrome.runtime.sendMessage({ action: 'importCheckins', text: await file.text() });
+    checkinsFileInput.value = '';
+
+    if (!result.success) {
+      showStatus(checkinsStatus, `Import failed: ${result.error}`, 'error');
+      return;
+    }
+    showStatus(checkinsStatus, `Added ${result.added.toLocaleString()} new check-ins - refresh pages to see them`, 'success');
+    renderCheckinStats(result);
+  });
+
+  clearCheckinsBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'clearCheckins' });
+    showStatus(checkinsStatus, 'Check-in history cleared', 'success');
+    renderCheckinStats({ beers: 0, checkins: 0 });
+  });
+
+  openOptionsLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
   clearCacheBtn.addEventListener('click', async () => {
     try {
       await chrome.runtime.sendMessage({ action: 'clearCache' });
       showStatus(cacheStatus, 'Cache cleared successfully', 'success');
-      cachedBeersEl.textContent = '0';
-      hitRateEl.textContent = '0%';
+      renderCacheStats({ cachedBeers: 0, hitRate: 0, fetches: 0, notFound: 0, errors: 0, daily: [] });
     } catch (error) {
       showStatus(cacheStatus, 'Failed to clear cache', 'error');
     }
   });
 
+  saveTtlsBtn.addEventListener('click', async () => {
+    const ttls = {};
+    for (const [category, input] of Object.entries(ttlInputs)) {
+      const days = parseFloat(input.value);
+      if (!(days > 0)) {
+        showStatus(cacheStatus, 'Enter a number of days for each result type', 'error');
+        return;
+      }
+      ttls[category] = Math.round(days * DAY_MS);
+    }
+
+    const maxEntries = parseInt(maxEntriesInput.value, 10);
+    if (!(maxEntries > 0)) {
+      showStatus(cacheStatus, 'Enter a maximum number of cached beers', 'error');
+      return;
+    }
+
+    await chrome.runtime.sendMessage({ action: 'setCacheTtls', ttls });
+    await chrome.runtime.sendMessage({ action: 'setCacheMaxEntries', maxEntries });
+    showStatus(cacheStatus, 'Cache settings saved', 'success');
+    renderCacheStats(await chrome.runtime.sendMessage({ action: 'getCacheStats' }));
+  });
+
+  saveApiKeyBtn.addEventListener('click', async () => {
+    const apiKey = readApiKeyInputs();
+    if (!apiKey) return;
+
+    const result = await chrome.runtime.sendMessage({ action: 'saveApiKey', apiKey });
+    if (result.valid) {
+      clientSecretInput.value = '';
+      showStatus(apiStatus, 'API key saved - using the Untappd API', 'success');
+      await loadApiStatus();
+    } else {
+      showStatus(apiStatus, describeApiKeyError(result), 'error');
+    }
+  });
+
+  testApiKeyBtn.addEventListener('click', async () => {
+    const apiKey = readApiKeyInputs();
+    if (!apiKey) return;
+
+    const result = await chrome.runtime.sendMessage({ action: 'testApiKey', apiKey });
+    if (result.valid) {
+      showStatus(apiStatus, 'API key works', 'success');
+    } else {
+      showStatus(apiStatus, describeApiKeyError(result), 'error');
+    }
+    await loadApiStatus();
+  });
+
+  removeApiKeyBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'clearApiKey' });
+    clientIdInput.value = '';
+    clientSecretInput.value = '';
+    showStatus(apiStatus, 'API key removed - using scraping', 'success');
+    await loadApiStatus();
+  });
+
+  /**
+   * Read API credentials from the inputs
+   * @returns {Object|null} { clientId, clientSecret } or null if incomplete
+   */
+  function readApiKeyInputs() {
+    const clientId = clientIdInput.value.trim();
+    const clientSecret = clientSecretInput.value.trim();
+
+    if (!clientId || !clientSecret) {
+      showStatus(apiStatus, 'Enter both client ID and secret', 'error');
+      return null;
+    }
+
+    return { clientId, clientSecret };
+  }
+
+  /**
+   * Turn a failed key test into a message
+   */
+  function describeApiKeyError(result) {
+    if (result.status === 401) return 'Invalid client ID or secret';
+    if (result.status === 429) return 'API rate limit reached - try again later';
+    return `API test failed${result.status ? ` (${result.status})` : ''}`;
+  }
+
+  /**
+   * Show active data source and API budget
+   */
+  async function loadApiStatus() {
+    const status = await chrome.runtime.sendMessage({ action: 'getApiStatus' });
+    const usingApi = status.dataSource === 'api' && !status.fallingBack;
+
+    dataSourceEl.textContent = usingApi ? 'Untappd API' : 'Scraping';
+    dataSourceEl.classList.toggle('api-mode', usingApi);
+
+    if (status.dataSource !== 'api') {
+      apiUsageEl.textContent = '';
+      return;
+    }
+
+    const resetMinutes = Math.max(0, Math.ceil((status.usage.windowStart + 60 * 60 * 1000 - Date.now()) / 60000));
+    if (status.fallingBack) {
+      apiUsageEl.textContent = `API budget used up - scraping for the next ${resetMinutes} min`;
+    } else {
+      apiUsageEl.textContent = `${status.usage.remaining} of ${status.usage.limit} API calls left this hour`;
+    }
+    apiUsageEl.classList.toggle('warning', status.usage.remaining <= API_LOW_BUDGET);
+  }
+
+  /**
+   * Show a banner counting down to the end of a throttling pause
+   */
+  async function loadThrottleStatus() {
+    const status = await chrome.runtime.sendMessage({ action: 'getThrottleStatus' });
+    if (!status.throttled) return;
+
+    const render = () => {
+      const seconds = Math.ceil((status.retryAt - Date.now()) / 1000);
+      if (seconds <= 0) {
+        throttleBanner.hidden = true;
+        clearInterval(timer);
+        return;
+      }
+      throttleBanner.textContent = `Untappd is rate-limiting us — retrying in ${seconds}s`;
+      throttleBanner.hidden = false;
+    };
+    const timer = setInterval(render, 1000);
+    render();
+  }
+
+  /**
+   * Load the beers the content script rated on the active tab
+   */
+  async function loadTabBeers() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+
+    tabBeers = await chrome.runtime.sendMessage({ action: 'getTabBeers', tabId: tab.id });
+    renderTabBeers();
+    renderSiteHealth(tabBeers.health);
+  }
+
+  /**
+   * Show how many of the tab's cards got a badge, and why the rest didn't
+   */
+  function renderSiteHealth(health) {
+    if (!health) {
+      siteHealthEl.textContent = 'No beer cards checked on this tab.';
+      siteHealthEl.classList.remove('warning');
+      siteHealthFailures.replaceChildren();
+      return;
+    }
+
+    siteHealthEl.textContent = DebugOverlay.describeHealth(health);
+    siteHealthEl.classList.toggle('warning', health.failed > 0 || health.cards === 0);
+
+    siteHealthFailures.replaceChildren(...health.failures.map(failure => {
+      const item = document.createElement('li');
+      const reason = document.createElement('span');
+      reason.className = 'site-health-reason';
+      reason.textContent = ` – ${failure.reason}`;
+      item.append(failure.name, reason);
+      return item;
+    }));
+  }
+
+  /**
+   * Tab beers in the table's current order; beers without a value sort last
+   */
+  function sortedTabBeers() {
+    const value = TAB_BEER_SORT_VALUES[tabBeersSort.column];
+    const direction = tabBeersSort.descending ? -1 : 1;
+
+    return [...tabBeers.beers].sort((a, b) => {
+      const [x, y] = [value(a), value(b)];
+      if (x === y) return 0;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return (x < y ? -1 : 1) * direction;
+    });
+  }
+
+  /**
+   * Show the tab's beers, each linking to its Untappd match
+   */
+  function renderTabBeers() {
+    tabBeersSection.hidden = tabBeers.beers.length === 0;
+    tabBeersEmpty.hidden = tabBeers.beers.length > 0;
+
+    for (const button of document.querySelectorAll('[data-sort]')) {
+      const sorted = button.dataset.sort === tabBeersSort.column;
+      button.closest('th').setAttribute('aria-sort', sorted ? (tabBeersSort.descending ? 'descending' : 'ascending') : 'none');
+    }
+
+    tabBeersBody.replaceChildren(...sortedTabBeers().map(beer => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>
+          <div class="tab-beer-name"></div>
+          <a class="tab-beer-match" target="_blank" rel="noopener"></a>
+        </td>
+        <td></td>
+        <td></td>
+        <td class="tab-beer-status"></td>
+      `;
+      const cells = row.querySelectorAll('td');
+      row.querySelector('.tab-beer-name').textContent = beer.pageName;
+
+      const match = row.querySelector('.tab-beer-match');
+      if (beer.beerUrl) {
+        match.href = beer.beerUrl;
+        match.textContent = [beer.beerName, beer.breweryName].filter(Boolean).join(' – ');
+      } else {
+        match.remove();
+      }
+
+      cells[1].textContent = typeof beer.rating === 'number' ? beer.rating.toFixed(2) : '–';
+      cells[2].textContent = typeof beer.ratingCount === 'number' ? beer.ratingCount.toLocaleString() : '–';
+      cells[3].textContent = beer.status;
+      return row;
+    }));
+  }
+
+  /**
+   * Save text as a file via a temporary link
+   */
+  function downloadFile(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Summarise the imported check-in history
+   */
+  function renderCheckinStats(stats) {
+    clearCheckinsBtn.hidden = stats.beers === 0;
+    if (stats.beers === 0) {
+      checkinsSummary.textContent = 'Import your Untappd check-in export (CSV or JSON) to see which beers you\'ve had.';
+      return;
+    }
+    checkinsSummary.textContent = `${stats.beers.toLocaleString()} beers from ${stats.checkins.toLocaleString()} check-ins, ` +
+      `imported ${new Date(stats.importedAt).toLocaleDateString()}`;
+  }
+
+  /**
+   * List the user's match corrections, each with a remove button
+   */
+  async function loadOverrides() {
+    const overrides = await chrome.runtime.sendMessage({ action: 'getMatchOverrides' });
+
+    overridesList.replaceChildren(...overrides.map(override => {
+      const row = document.createElement('li');
+      row.innerHTML = `
+        <div>
+          <div class="override-name"></div>
+          <div class="override-match"></div>
+        </div>
+        <button class="btn btn-secondary" title="Remove correction">✕</button>
+      `;
+      row.querySelector('.override-name').textContent = override.beerName;
+      row.querySelector('.override-match').textContent = override.notOnUntappd
+        ? `Not on Untappd · ${override.site}`
+        : `→ ${override.match.beerName} · ${override.site}`;
+
+      row.querySelector('button').addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ action: 'removeMatchOverride', id: override.id });
+        await loadOverrides();
+      });
+
+      return row;
+    }));
+    overridesEmpty.hidden = overrides.length > 0;
+  }
+
   /**
    * Load current state from storage
    */
@@ -43,15 +429,63 @@ document.addEventListener('DOMContentLoaded', async () => {
       const enabledResult = await chrome.runtime.sendMessage({ action: 'getExtensionEnabled' });
       extensionToggle.checked = enabledResult.enabled;
 
+      // Selector debug overlay
+      const debugResult = await chrome.runtime.sendMessage({ action: 'getDebugMode' });
+      debugToggle.checked = debugResult.enabled;
+
       // Cache stats
       const statsResult = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
-      cachedBeersEl.textContent = statsResult.cachedBeers;
-      hitRateEl.textContent = `${statsResult.hitRate}%`;
+      renderCacheStats(statsResult);
+
+      // Cache lifetimes
+      const ttls = await chrome.runtime.sendMessage({ action: 'getCacheTtls' });
+      for (const [category, input] of Object.entries(ttlInputs)) {
+        input.value = Math.round((ttls[category] / DAY_MS) * 100) / 100;
+      }
+
+      // API key and budget
+      await loadApiStatus();
+
+      // Untappd throttling pause
+      await loadThrottleStatus();
+
+      // Beers on the active tab
+      await loadTabBeers();
+
+      // User's match corrections
+      await loadOverrides();
+
+      // Imported check-ins
+      renderCheckinStats(await chrome.runtime.sendMessage({ action: 'getCheckinStats' }));
     } catch (error) {
       console.error('Error loading state:', error);
     }
   }
 
+  /**
+   * Show cache counters and the per-day breakdown
+   */
+  function renderCacheStats(stats) {
+    cachedBeersEl.textContent = stats.cachedBeers;
+    if (stats.maxEntries) {
+      maxEntriesInput.value = stats.maxEntries;
+    }
+    hitRateEl.textContent = `${stats.hitRate}%`;
+    fetchesEl.textContent = stats.fetches;
+    notFoundEl.textContent = stats.notFound;
+    errorsEl.textContent = stats.errors;
+
+    dailyStatsBody.replaceChildren(...stats.daily.map(day => {
+      const row = document.createElement('tr');
+      for (const value of [day.day, day.hits, day.misses, day.fetches, day.notFound, day.errors]) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      return row;
+    }));
+  }
+
   /**
    * Show status message
    */
@@ -0,0 +1,125 @@
+/**
+ * Pricing - read shop prices, work out price per litre and score value
+ * for money.
+ *
+ * A classic script loaded after beerNames.js (for container sizes) and
+ * before gridToolbar.js and content-script.js. Everything is exposed as
+ * globalThis.Pricing.
+ */
+
+(function() {
+  'use strict';
+
+  const CURRENCY_SYMBOLS = { '£': 'GBP', '€': 'EUR', '$': 'USD', 'kr': 'SEK' };
+
+  const CURRENCY = '(£|€|\\$|kr|GBP|EUR|USD|SEK|DKK|NOK)';
+  // Thousands may be grouped with dots, commas or (non-breaking) spaces
+  const AMOUNT = '(\\d{1,3}(?:[.,\\u00a0\\u202f ]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+  // Amounts with a currency on either side; not unit prices like "£10.23 / L"
+  // (the lookahead also stops a shorter match inside "£10.23")
+  const NOT_UNIT_PRICE = '(?![.,]?\\d|\\s*\\/)';
+  const PRICE_PATTERN = new RegExp(`${CURRENCY}\\s*${AMOUNT}${NOT_UNIT_PRICE}|${AMOUNT}\\s*${CURRENCY}${NOT_UNIT_PRICE}`, 'gi');
+
+  // Ratings at or below this add nothing to a beer's value
+  const VALUE_BASELINE_RATING = 3;
+
+  /**
+   * Turn "1.234,56", "1,234.56" or "4,50" into a number
+   * @param {string} text
+   * @param {string} [decimalSeparator] - '.' or ','; detected when not given
+   */
+  function parseAmount(text, decimalSeparator) {
+    let digits = text.replace(/\s/g, '');
+
+    if (!decimalSeparator) {
+      const lastDot = digits.lastIndexOf('.');
+      const lastComma = digits.lastIndexOf(',');
+      if (lastDot >= 0 && lastComma >= 0) {
+        // Both used: whichever comes last is the decimal point
+        decimalSeparator = lastDot > lastComma ? '.' : ',';
+      } else {
+        // One separator: decimal only if it's used once with 1-2 digits after it
+        const separator = lastDot >= 0 ? '.' : ',';
+        const parts = digits.split(separator);
+        decimalSeparator = parts.length === 2 && parts[1].length <= 2 ? separator : null;
+      }
+    }
+
+    const thousands = decimalSeparator === ',' ? '.' : ',';
+    digits = digits.split(thousands).join('');
+    if (decimalSeparator) digits = digits.replace(decimalSeparator, '.');
+    else digits = digits.replace(/[.,]/g, '');
+
+    const amount = parseFloat(digits);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  /**
+   * Read a price from a shop's price element text
+   * With a sale ("£4.50 £3.60") or a range ("£3.60 – £20.00") the lowest
+   * price wins.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.decimalSeparator] - Site's decimal separator
+   * @param {string} [options.currency] - ISO code, instead of reading the symbol
+   * @returns {Object|null} { amount, currency }
+   */
+  function parsePrice(text, { decimalSeparator, currency } = {}) {
+    const prices = [];
+
+    for (const match of text.matchAll(PRICE_PATTERN)) {
+      const symbol = match[1] || match[4];
+      const amount = parseAmount(match[2] || match[3], decimalSeparator);
+      if (amount === null || amount <= 0) continue;
+
+      prices.push({
+        amount,
+        currency: currency || CURRENCY_SYMBOLS[symbol.toLowerCase()] || symbol.toUpperCase()
+      });
+    }
+
+    if (prices.length === 0) return null;
+    return prices.reduce((lowest, price) => (price.amount < lowest.amount ? price : lowest));
+  }
+
+  /**
+   * Price per litre for a price and a volume from BeerNames.parseVolume()
+   * @returns {number|null}
+   */
+  function pricePerLitre(amount, volume) {
+    if (!amount || !volume) return null;
+    return amount / ((volume.ml * volume.count) / 1000);
+  }
+
+  /**
+   * Value for money: how far a rating clears VALUE_BASELINE_RATING for each
+   * unit of currency per litre. Higher is better.
+   * @param {number|null} rating
+   * @param {number|null} perLitre
+   * @returns {number|null} Null without both a rating and a price
+   */
+  function valueScore(rating, perLitre) {
+    if (typeof rating !== 'number' || !perLitre) return null;
+    return Math.max(rating - VALUE_BASELINE_RATING, 0) / perLitre;
+  }
+
+  /**
+   * Format an amount in a currency, in the reader's locale
+   */
+  function formatPrice(amount, currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      // Unknown currency code
+      return `${amount.toFixed(2)} ${currency}`;
+    }
+  }
+
+  globalThis.Pricing = {
+    parseAmount,
+    parsePrice,
+    pricePerLitre,
+    valueScore,
+    formatPrice
+  };
+})();
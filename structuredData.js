@@ -0,0 +1,402 @@
+/**
+ * Structured data - find beers on Shopify and WooCommerce shops that have
+ * no hand-written config, from the products the page describes for search
+ * engines and from the shape of its product grid.
+ *
+ * Products come from schema.org Product JSON-LD, Open Graph product tags
+ * and Shopify's product JSON. Cards are found from the links to product
+ * pages: a card is the largest element around a product link that links to
+ * no other product. Selectors for the cards and their names are then worked
+ * out from what the cards have in common, giving a config the content
+ * script uses like any other.
+ *
+ * A classic script loaded before content-script.js. Everything is exposed
+ * as globalThis.StructuredData.
+ */
+
+(function() {
+  'use strict';
+
+  // Product page paths; the first group is the product's handle (slug)
+  const PRODUCT_PATHS = {
+    shopify: /\/products\/([^/?#]+)/,
+    woocommerce: /\/product\/([^/?#]+)/
+  };
+  const ANY_PRODUCT_PATH = /\/products?\/([^/?#]+)/;
+
+  // WooCommerce's own loop markup, which most themes keep
+  const WOOCOMMERCE_CONFIG = {
+    beerCardSelector: 'ul.products li.product',
+    beerNameSelector: '.woocommerce-loop-product__title, h2, h3',
+    priceSelector: '.price'
+  };
+
+  const PRICE_SELECTOR = '.price, .woocommerce-Price-amount, [class*="price"]';
+
+  // Elements likely to hold a card's product name, best first
+  const NAME_CANDIDATES = 'h2, h3, h4, h5, h6, [class*="title"], [class*="name"]';
+
+  // Links here are menus and search forms, not product cards
+  const NOT_A_CARD = 'header, nav, footer, form, [role="navigation"]';
+
+  // At least this share of the cards must match an inferred card selector
+  const MIN_SELECTOR_COVERAGE = 0.6;
+
+  /**
+   * Work out which shop platform a page runs on
+   * @param {Document} doc
+   * @returns {string|null} 'shopify', 'woocommerce' or null
+   */
+  function detectPlatform(doc) {
+    if (doc.querySelector('script[src*="cdn.shopify.com"], link[href*="cdn.shopify.com"], meta[name="shopify-digital-wallet"]')) {
+      return 'shopify';
+    }
+    if (doc.querySelector('body[class*="woocommerce"], link[href*="/plugins/woocommerce/"], script[src*="/plugins/woocommerce/"]')) {
+      return 'woocommerce';
+    }
+    return null;
+  }
+
+  /**
+   * Get a product's handle from a link to its page
+   * @param {string} url - Absolute or relative
+   * @param {string|null} platform
+   * @returns {string|null}
+   */
+  function productHandle(url, platform) {
+    if (!url) return null;
+
+    let pathname;
+    try {
+      pathname = new URL(url, location.href).pathname;
+    } catch (error) {
+      return null;
+    }
+
+    const match = pathname.match(PRODUCT_PATHS[platform] || ANY_PRODUCT_PATH);
+    return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+  }
+
+  /**
+   * Decode HTML entities WordPress leaves in names ("Pale &#8211; 440ml")
+   */
+  function decodeEntities(text) {
+    const template = document.createElement('template');
+    template.innerHTML = text;
+    return template.content.textContent.trim();
+  }
+
+  /**
+   * Read an offer's price, whether a single Offer or an AggregateOffer
+   * @returns {Object|null} { amount, currency }
+   */
+  function offerPrice(offers) {
+    for (const offer of [].concat(offers || [])) {
+      const amount = parseFloat(offer.price ?? offer.lowPrice);
+      if (amount > 0) return { amount, currency: offer.priceCurrency || null };
+      // Product groups nest their variants' offers
+      const nested = offer.offers && offerPrice(offer.offers);
+      if (nested) return nested;
+    }
+    return null;
+  }
+
+  /**
+   * Every Product node in a JSON-LD document, including those in @graph and
+   * ItemList wrappers
+   */
+  function collectJsonLdProducts(node, products = []) {
+    if (Array.isArray(node)) {
+      node.forEach(item => collectJsonLdProducts(item, products));
+    } else if (node && typeof node === 'object') {
+      const types = [].concat(node['@type'] || []);
+      if (types.includes('Product') || types.includes('ProductGroup')) products.push(node);
+      if (node['@graph']) collectJsonLdProducts(node['@graph'], products);
+      if (node.itemListElement) collectJsonLdProducts(node.itemListElement, products);
+      if (node.item) collectJsonLdProducts(node.item, products);
+    }
+    return products;
+  }
+
+  /**
+   * Products from schema.org JSON-LD
+   */
+  function readJsonLd(doc) {
+    const products = [];
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        // Themes sometimes ship broken JSON-LD
+        continue;
+      }
+
+      for (const node of collectJsonLdProducts(data)) {
+        const brand = [].concat(node.brand || node.manufacturer || [])[0];
+        products.push({
+          name: typeof node.name === 'string' ? decodeEntities(node.name) : null,
+          vendor: typeof brand === 'string' ? brand : (brand && brand.name) || null,
+          price: offerPrice(node.offers),
+          url: node.url || [].concat(node.offers || []).map(offer => offer.url).find(Boolean) || null
+        });
+      }
+    }
+    return products;
+  }
+
+  /**
+   * The product a product page describes in its Open Graph tags
+   */
+  function readOpenGraph(doc) {
+    const meta = property => {
+      const element = doc.querySelector(`meta[property="${property}"]`);
+      return element ? element.getAttribute('content') : null;
+    };
+
+    if (!/^product/.test(meta('og:type') || '')) return [];
+
+    const amount = parseFloat(meta('product:price:amount') || meta('og:price:amount'));
+    return [{
+      name: meta('og:title'),
+      vendor: meta('product:brand'),
+      price: amount > 0 ? { amount, currency: meta('product:price:currency') || meta('og:price:currency') } : null,
+      url: meta('og:url') || location.href
+    }];
+  }
+
+  /**
+   * Products from the JSON Shopify themes embed for their product forms
+   */
+  function readShopifyJson(doc) {
+    const products = [];
+    for (const script of doc.querySelectorAll('script[data-product-json], script[id^="ProductJson"]')) {
+      let product;
+      try {
+        product = JSON.parse(script.textContent);
+      } catch (error) {
+        continue;
+      }
+      if (!product || !product.title) continue;
+
+      products.push({
+        name: product.title,
+        vendor: product.vendor || null,
+        // Shopify prices are in cents
+        price: product.price > 0 ? { amount: product.price / 100, currency: null } : null,
+        url: product.url || (product.handle ? `/products/${product.handle}` : null)
+      });
+    }
+    return products;
+  }
+
+  /**
+   * Read every product the page describes, by handle
+   * When sources disagree, the first with a name wins and later ones fill
+   * in a missing vendor or price.
+   * @param {Document} doc
+   * @param {string|null} platform - From detectPlatform()
+   * @returns {Map<string, Object>} handle -> { name, vendor, price, url }
+   */
+  function readProducts(doc, platform) {
+    const products = new Map();
+
+    for (const product of [...readJsonLd(doc), ...readShopifyJson(doc), ...readOpenGraph(doc)]) {
+      const handle = productHandle(product.url, platform);
+      if (!handle || !product.name) continue;
+
+      const known = products.get(handle);
+      if (!known) {
+        products.set(handle, product);
+      } else {
+        known.vendor = known.vendor || product.vendor;
+        known.price = known.price || product.price;
+      }
+    }
+    return products;
+  }
+
+  /**
+   * Find the product a card links to
+   * @param {Element} card
+   * @param {Map<string, Object>} products - From readProducts()
+   * @param {string|null} platform
+   * @returns {Object|null}
+   */
+  function productForCard(card, products, platform) {
+    for (const link of card.querySelectorAll('a[href]')) {
+      const product = products.get(productHandle(link.getAttribute('href'), platform));
+      if (product) return product;
+    }
+    return null;
+  }
+
+  /**
+   * Find the product the current page is for, on a product page
+   * @param {Map<string, Object>} products - From readProducts()
+   * @param {string|null} platform
+   * @returns {Object|null}
+   */
+  function productForPage(products, platform) {
+    return products.get(productHandle(location.href, platform)) || null;
+  }
+
+  /**
+   * Read the brewery a card names, on themes that show the product's vendor
+   */
+  function vendorForCard(card) {
+    const element = card.querySelector('[class*="vendor"]');
+    const vendor = element ? element.textContent.replace(/^\s*vendor:?/i, '').trim() : '';
+    return vendor || null;
+  }
+
+  /**
+   * Handles of the products an element links to
+   */
+  function linkedHandles(element, platform) {
+    const handles = new Set();
+    for (const link of element.querySelectorAll('a[href]')) {
+      const handle = productHandle(link.getAttribute('href'), platform);
+      if (handle) handles.add(handle);
+    }
+    return handles;
+  }
+
+  /**
+   * Simple selectors an element could be found by: "tag.class" for each of
+   * its classes, then the bare tag
+   */
+  function selectorsFor(element) {
+    const tag = element.localName;
+    const classes = Array.from(element.classList)
+      // Skip generated and state classes, which differ from card to card
+      .filter(name => !/\d{3,}|active|hover|selected|loaded|visible/i.test(name));
+    return [...classes.map(name => `${tag}.${CSS.escape(name)}`), tag];
+  }
+
+  /**
+   * Pick the selector shared by most cards that matches little besides
+   * the cards
+   */
+  function commonCardSelector(cards, doc) {
+    const counts = new Map();
+    for (const card of cards) {
+      for (const selector of selectorsFor(card)) {
+        counts.set(selector, (counts.get(selector) || 0) + 1);
+      }
+    }
+
+    const cardSet = new Set(cards);
+    const ranked = [...counts].sort((a, b) => b[1] - a[1]);
+    for (const [selector, count] of ranked) {
+      if (count < Math.max(2, cards.length * MIN_SELECTOR_COVERAGE)) break;
+
+      const matched = doc.querySelectorAll(selector);
+      const extra = Array.from(matched).filter(element => !cardSet.has(element)).length;
+      if (extra <= cards.length * 0.25) return selector;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the selector that finds each card's name element
+   */
+  function commonNameSelector(cards, platform) {
+    const counts = new Map();
+    const nameElements = new Map();
+
+    for (const card of cards) {
+      const nameElement = Array.from(card.querySelectorAll(NAME_CANDIDATES))
+        .find(element => element.textContent.trim() && !element.closest('[class*="price"]')) ||
+        Array.from(card.querySelectorAll('a[href]'))
+          .find(link => link.textContent.trim() && productHandle(link.getAttribute('href'), platform));
+      if (!nameElement) continue;
+
+      nameElements.set(card, nameElement);
+      for (const selector of selectorsFor(nameElement)) {
+        counts.set(selector, (counts.get(selector) || 0) + 1);
+      }
+    }
+
+    // The first match in each card has to be its name element
+    let best = null;
+    let bestHits = 0;
+    for (const selector of counts.keys()) {
+      const hits = cards.filter(card => {
+        const nameElement = nameElements.get(card);
+        return nameElement && card.querySelector(selector) === nameElement;
+      }).length;
+      if (hits > bestHits) {
+        best = selector;
+        bestHits = hits;
+      }
+    }
+    return bestHits >= cards.length * MIN_SELECTOR_COVERAGE ? best : null;
+  }
+
+  /**
+   * Find the product cards around links to product pages
+   */
+  function findCards(doc, platform) {
+    const firstLinks = new Map();
+    for (const link of doc.querySelectorAll('a[href]')) {
+      if (link.closest(NOT_A_CARD)) continue;
+      const handle = productHandle(link.getAttribute('href'), platform);
+      if (handle && !firstLinks.has(handle)) firstLinks.set(handle, link);
+    }
+
+    const cards = new Set();
+    for (const link of firstLinks.values()) {
+      let card = link;
+      while (card.parentElement && card.parentElement !== doc.body &&
+        linkedHandles(card.parentElement, platform).size === 1) {
+        card = card.parentElement;
+      }
+      cards.add(card);
+    }
+    return [...cards];
+  }
+
+  /**
+   * Work out a site config for a shop's product grid
+   * @param {Document} doc
+   * @param {string|null} platform - From detectPlatform()
+   * @returns {Object|null} { beerCardSelector, beerNameSelector,
+   *   injectionTarget, injectionPosition, priceSelector }, or null when the
+   *   page has no grid of at least two products
+   */
+  function inferConfig(doc, platform) {
+    if (platform === 'woocommerce' && doc.querySelectorAll(WOOCOMMERCE_CONFIG.beerCardSelector).length >= 2) {
+      return {
+        ...WOOCOMMERCE_CONFIG,
+        injectionTarget: WOOCOMMERCE_CONFIG.beerNameSelector,
+        injectionPosition: 'afterend'
+      };
+    }
+
+    const cards = findCards(doc, platform);
+    if (cards.length < 2) return null;
+
+    const beerCardSelector = commonCardSelector(cards, doc);
+    if (!beerCardSelector) return null;
+    const beerNameSelector = commonNameSelector(Array.from(doc.querySelectorAll(beerCardSelector)), platform);
+    if (!beerNameSelector) return null;
+
+    return {
+      beerCardSelector,
+      beerNameSelector,
+      injectionTarget: beerNameSelector,
+      injectionPosition: 'afterend',
+      priceSelector: PRICE_SELECTOR
+    };
+  }
+
+  globalThis.StructuredData = {
+    detectPlatform,
+    readProducts,
+    productForCard,
+    productForPage,
+    vendorForCard,
+    inferConfig
+  };
+})();
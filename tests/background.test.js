@@ -0,0 +1,379 @@
+import { describe, it, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, dispatchMessage } from './helpers/chrome.js';
+import { readFixture } from './helpers/fixtures.js';
+
+describe('background lookups', () => {
+  let chrome;
+
+  before(async () => {
+    chrome = await loadWorker();
+  });
+
+  beforeEach(() => {
+    globalThis.fetch = mock.fn(async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return new Response(readFixture('untappd/multi-result.html'));
+    });
+  });
+
+  const getRating = beerName =>
+    dispatchMessage(chrome, { action: 'getBeerRating', beerName, brewery: 'Pipeline Brewing' });
+
+  it('shares one fetch between identical requests', async () => {
+    const results = await Promise.all([getRating('Wolf Moon'), getRating('Wolf Moon'), getRating('wolf  moon')]);
+
+    assert.equal(fetch.mock.callCount(), 1);
+    for (const result of results) {
+      assert.equal(result.rating, 4.021);
+    }
+  });
+
+  it('answers later requests from the cache', async () => {
+    await getRating('Wolf Moon Rising');
+    const result = await getRating('Wolf Moon Rising');
+
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.equal(result.fromCache, true);
+  });
+
+  it('fetches different beers separately', async () => {
+    await Promise.all([getRating('Kinetic'), getRating('Sunbeam')]);
+    assert.equal(fetch.mock.callCount(), 2);
+  });
+
+  it('cancels a queued lookup nobody is waiting for', async () => {
+    const send = request => dispatchMessage(chrome, { brewery: 'Pipeline Brewing', ...request });
+
+    const first = send({ action: 'getBeerRating', beerName: 'Gloaming', requestId: 1, priority: 'visible' });
+    const second = send({ action: 'getBeerRating', beerName: 'Mizzle', requestId: 2, priority: 'offscreen' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    send({ action: 'cancelBeerRating', requestId: 2 });
+
+    assert.deepEqual(await second, { found: false, cancelled: true });
+    await first;
+    assert.equal(fetch.mock.callCount(), 1);
+  });
+
+  it('keeps a shared lookup alive while another card still wants it', async () => {
+    const send = request => dispatchMessage(chrome, { brewery: 'Pipeline Brewing', ...request });
+
+    const blocker = send({ action: 'getBeerRating', beerName: 'Lumen', requestId: 3 });
+    const kept = send({ action: 'getBeerRating', beerName: 'Wolf Moon Howl', requestId: 4 });
+    const dropped = send({ action: 'getBeerRating', beerName: 'Wolf Moon Howl', requestId: 5 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    send({ action: 'cancelBeerRating', requestId: 5 });
+
+    assert.equal((await dropped).cancelled, true);
+    assert.equal((await kept).found, true);
+    await blocker;
+    assert.equal(fetch.mock.callCount(), 2);
+  });
+
+  it('refetches a cached rating when asked to refresh', async () => {
+    const first = await getRating('Wolf Moon Eclipse');
+    const cached = await getRating('Wolf Moon Eclipse');
+    assert.equal(cached.fromCache, true);
+    assert.equal(cached.fetchedAt, first.fetchedAt);
+
+    const refreshed = await dispatchMessage(chrome, { action: 'refreshBeerRating', beerName: 'Wolf Moon Eclipse', brewery: 'Pipeline Brewing' });
+    assert.equal(fetch.mock.callCount(), 2);
+    assert.equal(refreshed.fromCache, undefined);
+    assert.ok(refreshed.fetchedAt >= first.fetchedAt);
+    assert.equal(refreshed.style, 'IPA - Imperial / Double New England');
+    assert.equal(refreshed.abv, 8.4);
+  });
+
+  it('pauses lookups while Untappd is throttling', async () => {
+    globalThis.fetch = mock.fn(async () => new Response('', { status: 429 }));
+
+    const first = await getRating('Halcyon');
+    assert.equal(first.throttled, true);
+    assert.ok(first.retryAt > Date.now());
+
+    const second = await getRating('Hyperion');
+    assert.equal(second.throttled, true);
+    assert.equal(fetch.mock.callCount(), 1);
+
+    const status = await dispatchMessage(chrome, { action: 'getThrottleStatus' });
+    assert.deepEqual(status, { throttled: true, retryAt: first.retryAt });
+    assert.equal((await chrome.storage.local.get('untappdBackoff')).untappdBackoff.failures, 1);
+  });
+});
+
+// Its own worker, so the search doesn't use up a slot in the rate limit
+// window the lookup tests fill
+describe('brewery beers', () => {
+  let chrome;
+
+  before(async () => {
+    chrome = await loadWorker();
+    globalThis.fetch = mock.fn(async () => new Response(readFixture('untappd/multi-result.html')));
+  });
+
+  it("lists a brewery's other rated beers from one search, best first", async () => {
+    const getBreweryBeers = () => dispatchMessage(chrome, {
+      action: 'getBreweryBeers',
+      brewery: 'Pipeline Brewing Company',
+      exclude: 'https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112'
+    });
+
+    const { beers } = await getBreweryBeers();
+    assert.deepEqual(beers.map(beer => [beer.beerName, beer.rating]), [['Wolf Moon Rising', 4.108]]);
+
+    await getBreweryBeers();
+    assert.equal(fetch.mock.callCount(), 1);
+  });
+});
+
+describe('custom brewery sites', () => {
+  let chrome;
+
+  before(async () => {
+    chrome = await loadWorker();
+  });
+
+  const config = { name: 'Example', beerCardSelector: '.card', beerNameSelector: 'h2', injectionTarget: 'h2', injectionPosition: 'afterend' };
+
+  it('registers the content script on granted sites', async () => {
+    chrome.permissions.granted.add('https://examplebrewing.com/*').add('https://*.examplebrewing.com/*');
+
+    await dispatchMessage(chrome, { action: 'saveCustomBrewery', domain: 'examplebrewing.com', config });
+    await dispatchMessage(chrome, { action: 'saveCustomBrewery', domain: 'ungranted.com', config });
+
+    assert.deepEqual(await dispatchMessage(chrome, { action: 'getCustomBreweries' }), {
+      'examplebrewing.com': config,
+      'ungranted.com': config
+    });
+    assert.equal(chrome.scripting.registered.length, 1);
+    assert.deepEqual(chrome.scripting.registered[0].matches, ['https://examplebrewing.com/*', 'https://*.examplebrewing.com/*']);
+  });
+
+  it('leaves built-in sites to the manifest', async () => {
+    await dispatchMessage(chrome, { action: 'removeCustomBrewery', domain: 'examplebrewing.com' });
+    await dispatchMessage(chrome, { action: 'saveCustomBrewery', domain: 'verdantbrewing.co', config });
+
+    assert.deepEqual(chrome.scripting.registered, []);
+  });
+});
+
+describe('match overrides', () => {
+  let chrome;
+
+  before(async () => {
+    chrome = await loadWorker();
+    globalThis.fetch = mock.fn(async () => new Response(readFixture('untappd/multi-result.html')));
+  });
+
+  const send = request => dispatchMessage(chrome, { site: 'pipelinebrewing.co.uk', brewery: 'Pipeline Brewing', ...request });
+  const match = {
+    beerName: 'Wolf Moon',
+    breweryName: 'Pipeline Brewing Company',
+    rating: 4.021,
+    ratingCount: 1204,
+    beerUrl: 'https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112'
+  };
+
+  it('answers a beer marked as not on Untappd without fetching', async () => {
+    await send({ action: 'setMatchOverride', beerName: 'Gloaming', notOnUntappd: true });
+    const result = await send({ action: 'getBeerRating', beerName: 'gloaming' });
+
+    assert.equal(result.found, false);
+    assert.equal(result.overridden, true);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it('answers with the picked beer', async () => {
+    const saved = await send({ action: 'setMatchOverride', beerName: 'Wolf Moon IPA', match });
+    assert.equal(saved.beerUrl, match.beerUrl);
+
+    const result = await send({ action: 'getBeerRating', beerName: 'Wolf Moon IPA' });
+    assert.equal(result.found, true);
+    assert.equal(result.overridden, true);
+    assert.equal(result.rating, 4.021);
+    assert.equal(result.beerUrl, match.beerUrl);
+  });
+
+  it('only applies on the site it was made on', async () => {
+    const result = await send({ action: 'getBeerRating', beerName: 'Wolf Moon IPA', site: 'cloudwaterbrew.co' });
+    assert.equal(result.overridden, undefined);
+  });
+
+  it('keeps corrections when the cache is cleared, until removed', async () => {
+    await dispatchMessage(chrome, { action: 'clearCache' });
+
+    const overrides = await dispatchMessage(chrome, { action: 'getMatchOverrides' });
+    assert.deepEqual(overrides.map(override => override.beerName), ['Wolf Moon IPA', 'Gloaming']);
+
+    await dispatchMessage(chrome, { action: 'removeMatchOverride', id: overrides[0].id });
+    const result = await send({ action: 'getBeerRating', beerName: 'Wolf Moon IPA' });
+    assert.equal(result.overridden, undefined);
+  });
+
+  it('lists corrections saved in the same millisecond newest first', async (t) => {
+    t.mock.method(Date, 'now', () => 1700000000000);
+    await send({ action: 'setMatchOverride', beerName: 'Lumen', notOnUntappd: true });
+    await send({ action: 'setMatchOverride', beerName: 'Kinetic', notOnUntappd: true });
+    t.mock.restoreAll();
+
+    const overrides = await dispatchMessage(chrome, { action: 'getMatchOverrides' });
+    assert.deepEqual(overrides.map(override => override.beerName), ['Gloaming', 'Kinetic', 'Lumen']);
+
+    for (const override of overrides.slice(1)) {
+      await dispatchMessage(chrome, { action: 'removeMatchOverride', id: override.id });
+    }
+  });
+
+  it('keeps every correction saved or removed at the same time', async () => {
+    await send({ action: 'setMatchOverride', beerName: 'Sunbeam', notOnUntappd: true });
+    const sunbeam = (await dispatchMessage(chrome, { action: 'getMatchOverrides' }))
+      .find(override => override.beerName === 'Sunbeam');
+
+    await Promise.all([
+      send({ action: 'setMatchOverride', beerName: 'Mizzle', notOnUntappd: true }),
+      send({ action: 'setMatchOverride', beerName: 'Halcyon', notOnUntappd: true }),
+      dispatchMessage(chrome, { action: 'removeMatchOverride', id: sunbeam.id })
+    ]);
+
+    const overrides = await dispatchMessage(chrome, { action: 'getMatchOverrides' });
+    assert.deepEqual(overrides.map(override => override.beerName), ['Halcyon', 'Mizzle', 'Gloaming']);
+
+    for (const override of overrides.slice(0, 2)) {
+      await dispatchMessage(chrome, { action: 'removeMatchOverride', id: override.id });
+    }
+  });
+
+  it('answers with the error when a correction cannot be saved', async (t) => {
+    t.mock.method(chrome.storage.local, 'set', async () => {
+      throw new Error('QUOTA_BYTES quota exceeded');
+    });
+
+    const result = await send({ action: 'setMatchOverride', beerName: 'Sunbeam', notOnUntappd: true });
+    assert.equal(result.error, 'QUOTA_BYTES quota exceeded');
+    assert.deepEqual(await dispatchMessage(chrome, { action: 'removeMatchOverride', id: 'x' }), { success: false, error: 'QUOTA_BYTES quota exceeded' });
+  });
+
+});
+
+describe('tab beer lists', () => {
+  let chrome;
+
+  before(async () => {
+    chrome = await loadWorker();
+  });
+
+  // Each test reports from a tab of its own, so it starts from an empty list
+  let tabId = 0;
+  beforeEach(() => {
+    tabId++;
+  });
+
+  const report = (beerName, ratingData, pageUrl = 'https://pipelinebrewing.co.uk/collections/all') =>
+    dispatchMessage(chrome, { action: 'reportBeerResult', beerName, ratingData, pageUrl }, { tab: { id: tabId } });
+  const getTabBeers = () => dispatchMessage(chrome, { action: 'getTabBeers', tabId });
+
+  it('lists the beers a tab reported, latest result per beer', async () => {
+    await report('Wolf Moon', { found: true, rating: 3.9, ratingCount: 10, beerName: 'Wolf Moon', breweryName: 'Pipeline', beerUrl: 'https://untappd.com/b/x/1' });
+    await report('Gloaming', { found: false });
+    await report('Wolf Moon', { found: true, rating: 4.02, ratingCount: 1204, beerName: 'Wolf Moon', breweryName: 'Pipeline', beerUrl: 'https://untappd.com/b/x/1' });
+
+    const { url, beers } = await getTabBeers();
+    assert.equal(url, 'https://pipelinebrewing.co.uk/collections/all');
+    assert.deepEqual(beers.map(beer => [beer.pageName, beer.rating, beer.status]), [
+      ['Wolf Moon', 4.02, 'rated'],
+      ['Gloaming', null, 'not found']
+    ]);
+  });
+
+  it('starts a new list when the tab moves to another page', async () => {
+    await report('Kinetic', { found: false }, 'https://pipelinebrewing.co.uk/collections/all');
+    await report('Lumen', { found: true, uncertain: true, rating: null, beerName: 'Lumens' }, 'https://pipelinebrewing.co.uk/collections/cans');
+
+    const { beers } = await getTabBeers();
+    assert.deepEqual(beers.map(beer => [beer.pageName, beer.status]), [['Lumen', 'uncertain']]);
+  });
+
+  it('keeps the latest selector health report for the page', async () => {
+    await report('Lumen', { found: false }, 'https://pipelinebrewing.co.uk/collections/cans');
+    const health = { cards: 3, names: 2, injected: 2, failed: 1, failures: [{ name: 'Card 3', reason: 'No element matches beerNameSelector' }] };
+    await dispatchMessage(chrome, { action: 'reportSiteHealth', pageUrl: 'https://pipelinebrewing.co.uk/collections/cans', health }, { tab: { id: tabId } });
+
+    const list = await getTabBeers();
+    assert.deepEqual(list.health, health);
+    assert.deepEqual(list.beers.map(beer => beer.pageName), ['Lumen']);
+
+    await report('Kinetic', { found: false }, 'https://pipelinebrewing.co.uk/collections/all');
+    assert.equal((await getTabBeers()).health, null);
+  });
+
+  it('stores the debug overlay toggle', async () => {
+    assert.deepEqual(await dispatchMessage(chrome, { action: 'getDebugMode' }), { enabled: false });
+    await dispatchMessage(chrome, { action: 'setDebugMode', enabled: true });
+    assert.deepEqual(await dispatchMessage(chrome, { action: 'getDebugMode' }), { enabled: true });
+  });
+});
+
+describe('check-in history', () => {
+  let chrome;
+
+  before(async () => {
+    chrome = await loadWorker();
+  });
+
+  it('marks beers the user has had on every response', async () => {
+    const text = [
+      'beer_name,brewery_name,rating_score,created_at,checkin_id,bid',
+      'Wolf Moon,Pipeline Brewing Company,3.75,2024-05-01 19:02:11,1001,5890112'
+    ].join('\n');
+    const imported = await dispatchMessage(chrome, { action: 'importCheckins', text });
+    assert.equal(imported.success, true);
+    assert.equal(imported.added, 1);
+
+    const result = await dispatchMessage(chrome, {
+      action: 'setMatchOverride',
+      site: 'pipelinebrewing.co.uk',
+      beerName: 'Wolf Moon DIPA',
+      brewery: 'Pipeline Brewing',
+      match: { beerName: 'Wolf Moon', breweryName: 'Pipeline Brewing Company', rating: 4.02, ratingCount: 1204, beerUrl: 'https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112' }
+    });
+    assert.deepEqual(result.had, { rating: 3.75, checkins: 1, lastCheckin: Date.parse('2024-05-01 19:02:11') });
+  });
+
+  it('reports a file it cannot read', async () => {
+    const result = await dispatchMessage(chrome, { action: 'importCheckins', text: 'not,a,check-in\n1,2,3' });
+    assert.equal(result.success, false);
+  });
+});
+
+describe('badge settings', () => {
+  let chrome;
+
+  before(async () => {
+    chrome = await loadWorker();
+  });
+
+  it('starts from the default tiers and layout', async () => {
+    const settings = await dispatchMessage(chrome, { action: 'getBadgeSettings' });
+    assert.deepEqual(settings.tiers.map(tier => tier.min), [0, 3.5, 3.8, 4]);
+    assert.equal(settings.compact, false);
+    assert.equal(settings.theme, 'auto');
+  });
+
+  it('saves cleaned-up settings to sync storage', async () => {
+    const result = await dispatchMessage(chrome, {
+      action: 'setBadgeSettings',
+      settings: {
+        tiers: [{ min: 4.2, color: '#1B5E20' }, { min: 3.6, color: '#ffcc00' }, { min: 9, color: '#ffffff' }],
+        compact: true,
+        theme: 'sepia'
+      }
+    });
+    assert.deepEqual(result.settings.tiers, [{ min: 0, color: '#ffcc00' }, { min: 4.2, color: '#1b5e20' }]);
+
+    const { badgeSettings } = await chrome.storage.sync.get('badgeSettings');
+    assert.deepEqual(badgeSettings, result.settings);
+    assert.equal(badgeSettings.compact, true);
+    assert.equal(badgeSettings.showLabel, true);
+    assert.equal(badgeSettings.theme, 'auto');
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScript } from './helpers/dom.js';
+import '../badgeSettings.js';
+
+const { DEFAULT_SETTINGS, normalize, tierIndex, textColorFor } = globalThis.BadgeSettings;
+
+describe('BadgeSettings', () => {
+  it('puts ratings in the tier whose range they fall in', () => {
+    const { tiers } = DEFAULT_SETTINGS;
+    assert.equal(tierIndex(3.2, tiers), 0);
+    assert.equal(tierIndex(3.5, tiers), 1);
+    assert.equal(tierIndex(3.99, tiers), 2);
+    assert.equal(tierIndex(4.31, tiers), 3);
+  });
+
+  it('falls back to the defaults for missing or broken settings', () => {
+    assert.deepEqual(normalize(), DEFAULT_SETTINGS);
+    assert.deepEqual(normalize({ tiers: [{ min: 'high', color: 'green' }] }).tiers, DEFAULT_SETTINGS.tiers);
+    assert.equal(normalize({ showCount: false }).showCount, false);
+    assert.equal(normalize({ showCount: false }).showLabel, true);
+  });
+
+  it('sorts tiers, drops duplicates and starts the lowest at 0', () => {
+    const { tiers } = normalize({
+      tiers: [
+        { min: 4, color: '#00ff00' },
+        { min: 3.25, color: '#FFFF00' },
+        { min: 4, color: '#0000ff' }
+      ]
+    });
+    assert.deepEqual(tiers, [{ min: 0, color: '#ffff00' }, { min: 4, color: '#00ff00' }]);
+  });
+
+  it('picks readable text for a tier colour', () => {
+    assert.equal(textColorFor('#ffcc00'), '#1a1a1a');
+    assert.equal(textColorFor('#1b5e20'), '#ffffff');
+  });
+
+  it('finds the nearest opaque background behind an element', () => {
+    const window = loadClassicScript(`
+      <body style="background-color: #ffffff">
+        <section style="background-color: rgb(20, 20, 24)">
+          <div style="background-color: rgba(255, 255, 255, 0.1)"><span id="dark"></span></div>
+        </section>
+        <span id="light"></span>
+      </body>
+    `, ['badgeSettings.js']);
+    const { hasDarkBackground } = window.BadgeSettings;
+
+    assert.equal(hasDarkBackground(window.document.getElementById('dark')), true);
+    assert.equal(hasDarkBackground(window.document.getElementById('light')), false);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const context = vm.createContext({});
+vm.runInContext(readFileSync(new URL('../popup/beerList.js', import.meta.url), 'utf8'), context);
+const { toMarkdown, toCsv, toJson } = context.BeerListExport;
+
+const beers = [
+  { pageName: 'Wolf Moon', beerName: 'Wolf Moon', breweryName: 'Pipeline Brewing Company', rating: 4.021, ratingCount: 1204, beerUrl: 'https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112', status: 'rated' },
+  { pageName: 'Small Victories, Big "Wins"', beerName: null, breweryName: null, rating: null, ratingCount: null, beerUrl: null, status: 'not found' },
+  { pageName: '=HYPERLINK("x") | IPA', beerName: null, breweryName: null, rating: null, ratingCount: null, beerUrl: null, status: 'not found' }
+];
+
+describe('beer list export', () => {
+  it('writes a Markdown table with matches linked', () => {
+    const lines = toMarkdown(beers).split('\n');
+
+    assert.equal(lines[0], '| Page name | Untappd beer | Brewery | Rating | Ratings | Status |');
+    assert.equal(lines[2], '| Wolf Moon | [Wolf Moon](https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112) | Pipeline Brewing Company | 4.02 | 1204 | rated |');
+    assert.equal(lines[4], '| =HYPERLINK("x") \\| IPA |  |  |  |  | not found |');
+  });
+
+  it('writes CSV with quoting and formulas defused', () => {
+    const lines = toCsv(beers).split('\r\n');
+
+    assert.equal(lines[0], 'Page name,Untappd beer,Brewery,Rating,Ratings,Status,Untappd URL');
+    assert.equal(lines[1], 'Wolf Moon,Wolf Moon,Pipeline Brewing Company,4.02,1204,rated,https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112');
+    assert.equal(lines[2], '"Small Victories, Big ""Wins""",,,,,not found,');
+    assert.equal(lines[3], '"\'=HYPERLINK(""x"") | IPA",,,,,not found,');
+  });
+
+  it('writes JSON with the page it came from', () => {
+    const exported = JSON.parse(toJson(beers, 'https://pipelinebrewing.co.uk/collections/all'));
+
+    assert.equal(exported.url, 'https://pipelinebrewing.co.uk/collections/all');
+    assert.equal(exported.beers.length, 3);
+    assert.equal(exported.beers[0].rating, 4.021);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../beerNames.js';
+import { rankCandidates } from '../utils.js';
+
+const { stripAbv, stripSize, stripPack, stripDescriptors, comparableName, vocabularyPattern } = globalThis.BeerNames;
+
+describe('BeerNames', () => {
+  it('strips ABV in its common formats', () => {
+    assert.equal(stripAbv('Wolf Moon 8.4% DIPA'), 'Wolf Moon');
+    assert.equal(stripAbv('Hawking Radiation (5%)', { rest: false }), 'Hawking Radiation');
+    assert.equal(stripAbv('Lumen - ABV 4,2% - Pale', { rest: false }), 'Lumen - Pale');
+    assert.equal(stripAbv('Ten Percent'), 'Ten Percent');
+  });
+
+  it('strips sizes and packs with their separators', () => {
+    assert.equal(stripSize('Small Victories - 440ml'), 'Small Victories');
+    assert.equal(stripSize('BROWNIAN MOTION 440ML CAN'), 'BROWNIAN MOTION');
+    assert.equal(stripSize('Kinetic 12 x 330ml'), 'Kinetic');
+    assert.equal(stripPack('LITTLE DREAMER 6 PACK'), 'LITTLE DREAMER');
+    assert.equal(stripPack('Mixed Case (12 pack)'), 'Mixed Case');
+  });
+
+  it('strips a trailing run of descriptors', () => {
+    assert.equal(stripDescriptors('JAMMY DODGER STRAWBERRY & MANGO SOUR'), 'JAMMY DODGER');
+    assert.equal(stripDescriptors('Moonraker DDH Pale Ale'), 'Moonraker');
+    // The first word is always kept, even when it's a style
+    assert.equal(stripDescriptors('Pale'), 'Pale');
+    assert.equal(stripDescriptors('Porter Street Stout'), 'Porter Street');
+  });
+
+  it('strips from the first descriptor or every occurrence', () => {
+    assert.equal(stripDescriptors('VOLTUMNA Blackberry Graf Special', { mode: 'fromFirst' }), 'VOLTUMNA');
+    assert.equal(
+      stripDescriptors('Burnthouse Coffee Porter 2025', { mode: 'all', vocabulary: ['styles'] }),
+      'Burnthouse Coffee 2025'
+    );
+  });
+
+  it('adds site-specific words to the vocabulary', () => {
+    assert.equal(stripDescriptors('Zephyr Manhattan', { extra: ['Manhattan'] }), 'Zephyr');
+    assert.throws(() => vocabularyPattern(['hops']), /Unknown vocabulary "hops"/);
+  });
+
+  it('reduces names for comparison without emptying them', () => {
+    assert.equal(comparableName('Kinetic IPA 440ml 6.2%'), 'Kinetic');
+    assert.equal(comparableName('Hazy IPA'), 'Hazy');
+  });
+});
+
+describe('name matching with the shared vocabulary', () => {
+  it('matches names that differ only by style words', () => {
+    const [best] = rankCandidates([
+      { beerName: 'Kinesis', breweryName: 'Pipeline Brewing' },
+      { beerName: 'Kinetic IPA', breweryName: 'Pipeline Brewing' }
+    ], 'Kinetic', 'Pipeline Brewing');
+
+    assert.equal(best.beerName, 'Kinetic IPA');
+    assert.equal(best.matchScore, 1);
+  });
+
+  it('matches a collaboration under any of its breweries', () => {
+    const candidates = [
+      { beerName: 'Mizzle', breweryName: 'Moonwake Beer Co.' },
+      { beerName: 'Mizzle', breweryName: 'Rivington Brewing Co.' }
+    ];
+
+    const [best] = rankCandidates(candidates, 'Mizzle', ['Pipeline Brewing', 'Rivington']);
+    assert.equal(best.breweryName, 'Rivington Brewing Co.');
+    assert.ok(best.matchScore > rankCandidates(candidates, 'Mizzle', 'Pipeline Brewing')[0].matchScore);
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeStub } from './helpers/chrome.js';
+import { CacheManager } from '../utils.js';
+
+describe('CacheManager', () => {
+  let cache;
+
+  beforeEach(() => {
+    installChromeStub();
+    cache = new CacheManager();
+  });
+
+  it('records misses and hits', async () => {
+    assert.equal(await cache.get('Verdant', 'Lightbulb'), null);
+
+    await cache.set('Verdant', 'Lightbulb', { found: true, rating: 3.9 });
+    const cached = await cache.get('Verdant', 'Lightbulb');
+    assert.deepEqual(cached.data, { found: true, rating: 3.9 });
+    assert.equal(cached.stale, false);
+
+    const stats = await cache.getStats();
+    assert.equal(stats.cachedBeers, 1);
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.hitRate, 50);
+  });
+
+  it('shares keys regardless of case and spacing', async () => {
+    await cache.set('Track Brewing', 'Sonoma', { found: true, rating: 3.8 });
+    assert.ok(await cache.get('track  brewing', ' SONOMA '));
+  });
+
+  /**
+   * Run fn with Date.now() moved forward
+   */
+  async function later(ms, fn) {
+    const future = Date.now() + ms;
+    mock.method(Date, 'now', () => future);
+    try {
+      return await fn();
+    } finally {
+      mock.restoreAll();
+    }
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  it('serves expired entries as stale', async () => {
+    await cache.set('Verdant', 'Lightbulb', { found: true, rating: 3.9 });
+
+    const cached = await later(8 * DAY_MS, () => cache.get('Verdant', 'Lightbulb'));
+    assert.equal(cached.stale, true);
+    assert.equal(cached.data.rating, 3.9);
+  });
+
+  it('misses entries past the stale grace period and sweeps them later', async () => {
+    await cache.set('Verdant', 'Lightbulb', { found: true, rating: 3.9 });
+    await cache.set('Verdant', 'Putty', { found: false });
+    await later(40 * DAY_MS, () => cache.set('Verdant', 'Even Sharks Need Water', { found: true, rating: 4.1 }));
+
+    assert.equal(await later(40 * DAY_MS, () => cache.get('Verdant', 'Lightbulb')), null);
+    assert.equal((await cache.getStats()).cachedBeers, 3);
+
+    assert.equal(await later(40 * DAY_MS, () => cache.sweepExpired()), 2);
+
+    const stats = await cache.getStats();
+    assert.equal(stats.cachedBeers, 1);
+    assert.equal(stats.misses, 1);
+  });
+
+  it('expires not-found and unrated results sooner than rated ones', async () => {
+    await cache.set('Azvex', 'Rated', { found: true, rating: 3.9 });
+    await cache.set('Azvex', 'Unrated', { found: true, rating: null, unrated: true });
+    await cache.set('Azvex', 'Missing', { found: false });
+    await cache.set('Azvex', 'Unsure', { found: true, rating: null, uncertain: true });
+
+    const stale = await later(1.5 * DAY_MS, async () => ({
+      rated: (await cache.get('Azvex', 'Rated')).stale,
+      unrated: (await cache.get('Azvex', 'Unrated')).stale,
+      missing: (await cache.get('Azvex', 'Missing')).stale,
+      unsure: (await cache.get('Azvex', 'Unsure')).stale
+    }));
+
+    assert.deepEqual(stale, { rated: false, unrated: false, missing: true, unsure: true });
+  });
+
+  it('uses configured TTLs', async () => {
+    await cache.setTtls({ found: DAY_MS });
+    assert.deepEqual(await cache.getTtls(), { found: DAY_MS, unrated: 2 * DAY_MS, notFound: DAY_MS });
+
+    await cache.set('Verdant', 'Lightbulb', { found: true, rating: 3.9 });
+    const cached = await later(1.5 * DAY_MS, () => cache.get('Verdant', 'Lightbulb'));
+    assert.equal(cached.stale, true);
+  });
+
+  it('counts concurrent updates without losing any', async () => {
+    await Promise.all([
+      cache.recordStats('fetches'),
+      cache.recordStats('fetches', 'notFound'),
+      cache.recordStats('fetches', 'errors')
+    ]);
+
+    const stats = await cache.getStats();
+    assert.equal(stats.fetches, 3);
+    assert.equal(stats.notFound, 1);
+    assert.equal(stats.errors, 1);
+  });
+
+  it('breaks counters down per day', async () => {
+    await cache.recordStats('fetches');
+    await cache.recordStats('hits');
+
+    const { daily } = await cache.getStats();
+    assert.equal(daily.length, 1);
+    assert.match(daily[0].day, /^\d{4}-\d{2}-\d{2}$/);
+    assert.equal(daily[0].fetches, 1);
+    assert.equal(daily[0].hits, 1);
+    assert.equal(daily[0].errors, 0);
+  });
+
+  it('stores each beer under its own key', async () => {
+    await Promise.all([
+      cache.set('Verdant', 'Lightbulb', { found: true, rating: 3.9 }),
+      cache.set('Verdant', 'Putty', { found: true, rating: 3.8 }),
+      cache.set('Verdant', 'Pulp', { found: true, rating: 4.0 })
+    ]);
+
+    const stored = await chrome.storage.local.get(null);
+    assert.deepEqual(
+      Object.keys(stored).filter(key => key.startsWith('rating:')).sort(),
+      ['rating:verdant_lightbulb', 'rating:verdant_pulp', 'rating:verdant_putty']
+    );
+  });
+
+  it('evicts the least recently used entries beyond the maximum', async () => {
+    await cache.setMaxEntries(2);
+    await cache.set('Track Brewing', 'Sonoma', { found: true, rating: 3.8 });
+    await later(1000, () => cache.set('Track Brewing', 'Venus', { found: true, rating: 3.9 }));
+    await later(2000, () => cache.get('Track Brewing', 'Sonoma'));
+    await later(3000, () => cache.set('Track Brewing', 'Half Day', { found: true, rating: 3.7 }));
+
+    assert.ok(await cache.get('Track Brewing', 'Sonoma'));
+    assert.ok(await cache.get('Track Brewing', 'Half Day'));
+    assert.equal(await cache.get('Track Brewing', 'Venus'), null);
+    assert.equal((await cache.getStats()).cachedBeers, 2);
+  });
+
+  it('migrates the old single-object cache', async () => {
+    await chrome.storage.local.set({
+      beerRatingsCache: {
+        verdant_lightbulb: { data: { found: true, rating: 3.9 }, timestamp: Date.now() }
+      }
+    });
+
+    const cached = await cache.get('Verdant', 'Lightbulb');
+    assert.equal(cached.data.rating, 3.9);
+
+    const stored = await chrome.storage.local.get(null);
+    assert.equal(stored.beerRatingsCache, undefined);
+    assert.ok(stored['rating:verdant_lightbulb']);
+  });
+
+  it('clears entries and stats', async () => {
+    await cache.set('Verdant', 'Lightbulb', { found: true, rating: 3.9 });
+    await cache.recordStats('fetches');
+    await cache.clear();
+
+    const stats = await cache.getStats();
+    assert.equal(stats.cachedBeers, 0);
+    assert.equal(stats.fetches, 0);
+    assert.deepEqual(stats.daily, []);
+  });
+});
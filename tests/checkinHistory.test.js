@@ -0,0 +1,137 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeStub } from './helpers/chrome.js';
+
+let CheckinHistory, parseCheckinExport, parseCsv, beerIdFromUrl;
+
+before(async () => {
+  installChromeStub();
+  ({ CheckinHistory, parseCheckinExport, parseCsv, beerIdFromUrl } = await import('../checkinHistory.js'));
+});
+
+// Trimmed Untappd export: the real one has ~30 columns
+const CSV_EXPORT = [
+  'beer_name,brewery_name,beer_type,comment,rating_score,created_at,beer_url,checkin_id,bid',
+  'Wolf Moon,Pipeline Brewing Company,IPA - Imperial / Double New England,"Juicy, dank.\nWould have again",3.75,2024-05-01 19:02:11,https://untappd.com/beer/5890112,1001,5890112',
+  'Wolf Moon,Pipeline Brewing Company,IPA - Imperial / Double New England,,4.25,2025-02-14 20:11:00,https://untappd.com/beer/5890112,1002,5890112',
+  'Mizzle,Pipeline Brewing Company,Pale Ale - New England,"Said ""meh""",,2023-08-09 18:00:00,https://untappd.com/beer/6120458,1003,6120458'
+].join('\r\n');
+
+const JSON_EXPORT = JSON.stringify([
+  { beer_name: 'Wolf Moon', brewery_name: 'Pipeline Brewing Company', rating_score: '4.5', created_at: '2025-06-01 12:00:00', beer_url: 'https://untappd.com/beer/5890112', checkin_id: 1004, bid: 5890112 },
+  { beer_name: 'Gloaming', brewery_name: 'Pipeline Brewing Company', rating_score: '', created_at: '2025-06-02 12:00:00', beer_url: 'https://untappd.com/beer/777', checkin_id: 1005, bid: 777 }
+]);
+
+describe('check-in export parsing', () => {
+  it('parses quoted CSV cells with commas, quotes and newlines', () => {
+    const rows = parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n');
+    assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+  });
+
+  it('reads the CSV export', () => {
+    const checkins = parseCheckinExport(CSV_EXPORT);
+
+    assert.equal(checkins.length, 3);
+    assert.equal(checkins[0].bid, '5890112');
+    assert.equal(checkins[0].rating, 3.75);
+    assert.equal(checkins[2].rating, null);
+  });
+
+  it('reads the JSON export', () => {
+    const checkins = parseCheckinExport(JSON_EXPORT);
+
+    assert.equal(checkins.length, 2);
+    assert.equal(checkins[0].checkinId, '1004');
+    assert.equal(checkins[0].rating, 4.5);
+  });
+
+  it('rejects files that are not check-in exports', () => {
+    assert.throws(() => parseCheckinExport('name,price\nSocks,5'), /No Untappd check-ins/);
+  });
+
+  it('gets beer ids from search and export URLs', () => {
+    assert.equal(beerIdFromUrl('https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112'), '5890112');
+    assert.equal(beerIdFromUrl('https://untappd.com/beer/5890112'), '5890112');
+    assert.equal(beerIdFromUrl('https://untappd.com/PipelineBrewingCo'), null);
+  });
+});
+
+describe('CheckinHistory', () => {
+  let history;
+
+  beforeEach(async () => {
+    await chrome.storage.local.clear();
+    history = new CheckinHistory();
+  });
+
+  it('merges re-imports without double-counting', async () => {
+    const first = await history.import(parseCheckinExport(CSV_EXPORT));
+    assert.deepEqual({ added: first.added, beers: first.beers, checkins: first.checkins }, { added: 3, beers: 2, checkins: 3 });
+
+    const second = await history.import(parseCheckinExport(CSV_EXPORT + '\r\n' + CSV_EXPORT.split('\r\n')[1]));
+    assert.equal(second.added, 0);
+
+    const third = await history.import(parseCheckinExport(JSON_EXPORT));
+    assert.deepEqual({ added: third.added, beers: third.beers, checkins: third.checkins }, { added: 2, beers: 3, checkins: 5 });
+  });
+
+  it('counts every check-in of an export with neither ids nor times', async () => {
+    const csv = [
+      'beer_name,brewery_name,rating_score,bid',
+      'Wolf Moon,Pipeline Brewing Company,3.75,5890112',
+      'Wolf Moon,Pipeline Brewing Company,4.25,5890112',
+      'Wolf Moon,Pipeline Brewing Company,4.25,5890112'
+    ].join('\n');
+
+    const first = await history.import(parseCheckinExport(csv));
+    assert.deepEqual({ added: first.added, checkins: first.checkins }, { added: 3, checkins: 3 });
+
+    const second = await history.import(parseCheckinExport(csv));
+    assert.deepEqual({ added: second.added, checkins: second.checkins }, { added: 0, checkins: 3 });
+  });
+
+  it('matches a lookup by beer id and keeps the latest rating', async () => {
+    await history.import(parseCheckinExport(CSV_EXPORT));
+
+    const had = await history.find({
+      found: true,
+      beerName: 'Wolf Moon',
+      breweryName: 'Pipeline Brewing Company',
+      beerUrl: 'https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112'
+    }, 'Wolf Moon', 'Pipeline Brewing');
+
+    assert.equal(had.rating, 4.25);
+    assert.equal(had.checkins, 2);
+    assert.equal(had.lastCheckin, Date.parse('2025-02-14 20:11:00'));
+  });
+
+  it('falls back to names when there is no usable beer id', async () => {
+    await history.import(parseCheckinExport(CSV_EXPORT));
+
+    const byMatchedName = await history.find({ found: true, beerName: 'Mizzle', breweryName: 'Pipeline Brewing Company' }, 'Mizzle', 'Pipeline');
+    assert.equal(byMatchedName.checkins, 1);
+    assert.equal(byMatchedName.rating, null);
+
+    const byPageName = await history.find({ found: false }, 'MIZZLE', 'Pipeline');
+    assert.equal(byPageName.checkins, 1);
+
+    // An uncertain match's URL isn't trusted
+    const uncertain = await history.find({ found: true, uncertain: true, beerUrl: 'https://untappd.com/b/x/5890112' }, 'Gloaming', 'Pipeline');
+    assert.equal(uncertain, null);
+  });
+
+  it('needs a brewery to match by page name', async () => {
+    await history.import(parseCheckinExport(CSV_EXPORT));
+
+    assert.equal(await history.find({ found: false }, 'Mizzle', ''), null);
+    assert.equal(await history.find({ found: false }, 'Mizzle', undefined), null);
+  });
+
+  it('forgets everything when cleared', async () => {
+    await history.import(parseCheckinExport(CSV_EXPORT));
+    await history.clear();
+
+    assert.equal((await history.getStats()).beers, 0);
+    assert.equal(await history.find({ found: false }, 'Mizzle', 'Pipeline'), null);
+  });
+});
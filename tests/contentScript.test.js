@@ -0,0 +1,108 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { VirtualConsole } from 'jsdom';
+import { loadClassicScript } from './helpers/dom.js';
+
+const manifest = JSON.parse(readFileSync(new URL('../manifest.json', import.meta.url), 'utf8'));
+const scripts = manifest.content_scripts[0].js;
+
+const card = name => `<div class="product-card"><h3 class="product-card__title">${name}</h3></div>`;
+
+/**
+ * Wait for the content script's debounced work to settle
+ */
+const settle = (ms = 200) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('content script badges', () => {
+  let window;
+  let document;
+  let messages;
+  let lookup;
+  // Retries scheduled by the content script, run by hand instead of waiting
+  let retries;
+
+  beforeEach(() => {
+    messages = [];
+    retries = [];
+    lookup = async () => ({ found: true, rating: 4.021, ratingCount: 1204, beerName: 'Wolf Moon', breweryName: 'Pipeline Brewing Company', beerUrl: 'https://untappd.com/b/x/1' });
+
+    window = loadClassicScript(`<main class="grid">${card('Wolf Moon')}${card('Kinetic')}</main>`, scripts, {
+      url: 'https://pipelinebrewing.co.uk/collections/all',
+      pretendToBeVisual: true,
+      // The content script logs every card
+      virtualConsole: new VirtualConsole(),
+      setup(window) {
+        window.IntersectionObserver = class {
+          observe() {}
+          unobserve() {}
+        };
+        const setTimeout = window.setTimeout.bind(window);
+        window.setTimeout = (fn, delay, ...args) => {
+          if (delay < 5000) return setTimeout(fn, delay, ...args);
+          retries.push(fn);
+          return 0;
+        };
+        window.chrome = {
+          runtime: {
+            getURL: path => `chrome-extension://test/${path}`,
+            onMessage: { addListener() {} },
+            async sendMessage(message) {
+              messages.push(message);
+              if (message.action === 'getExtensionEnabled') return { enabled: true };
+              if (message.action === 'getCustomBreweries') return {};
+              if (message.action === 'getDebugMode') return { enabled: false };
+              if (message.action === 'getBadgeSettings') return window.BadgeSettings.normalize();
+              if (message.action === 'getBeerRating') return lookup(message);
+              return {};
+            }
+          },
+          storage: { onChanged: { addListener() {} } }
+        };
+      }
+    });
+    document = window.document;
+  });
+
+  const lookups = () => messages.filter(message => message.action === 'getBeerRating').map(message => message.beerName);
+  const badgeIn = name => Array.from(document.querySelectorAll('.product-card'))
+    .find(element => element.textContent.includes(name))
+    .querySelector('untappd-badge');
+
+  it('puts the badge back on a card the site re-rendered, without another lookup', async () => {
+    await settle();
+    assert.deepEqual(lookups().sort(), ['Kinetic', 'Wolf Moon']);
+
+    const old = document.querySelector('.product-card');
+    old.insertAdjacentHTML('afterend', card('Wolf Moon'));
+    old.remove();
+    await settle();
+
+    const badge = badgeIn('Wolf Moon');
+    assert.ok(badge);
+    assert.match(badge.shadowRoot.textContent, /4\.02/);
+    assert.deepEqual(lookups().sort(), ['Kinetic', 'Wolf Moon']);
+  });
+
+  it('looks a beer up again later after its lookup failed', async () => {
+    lookup = async message => {
+      if (message.beerName === 'Wolf Moon') throw new Error('Could not establish connection');
+      return { found: false };
+    };
+    await settle();
+    assert.equal(badgeIn('Wolf Moon'), null);
+
+    // Other changes on the page don't bring the failed card straight back
+    document.querySelector('.product-card:last-child').remove();
+    await settle();
+    assert.deepEqual(lookups().filter(name => name === 'Wolf Moon'), ['Wolf Moon']);
+
+    lookup = async () => ({ found: true, rating: 4.021, ratingCount: 1204, beerUrl: 'https://untappd.com/b/x/1' });
+    assert.equal(retries.length, 1);
+    retries.shift()();
+    await settle();
+
+    assert.deepEqual(lookups().filter(name => name === 'Wolf Moon'), ['Wolf Moon', 'Wolf Moon']);
+    assert.match(badgeIn('Wolf Moon').shadowRoot.textContent, /4\.02/);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScript } from './helpers/dom.js';
+
+const card = (overrides = {}) => ({
+  card: null,
+  nameElement: null,
+  target: null,
+  rawName: 'WOLF MOON - DIPA - 440ML',
+  beerName: 'Wolf Moon',
+  injected: true,
+  reason: null,
+  ...overrides
+});
+
+describe('debug overlay', () => {
+  let window;
+  let document;
+
+  beforeEach(() => {
+    window = loadClassicScript(`
+      <div class="card"><h3>WOLF MOON - DIPA - 440ML</h3><p class="info"></p></div>
+      <div class="card"><span>No title here</span></div>
+    `, ['debugOverlay.js'], {
+      pretendToBeVisual: true,
+      setup: page => {
+        page.chrome = { runtime: { getURL: path => `chrome-extension://test/${path}` } };
+      }
+    });
+    document = window.document;
+  });
+
+  it('summarises cards for the health report', () => {
+    const health = window.DebugOverlay.summarize([
+      card(),
+      card({ rawName: 'LUMEN', beerName: 'Lumen' }),
+      card({ rawName: '', beerName: null, injected: false, reason: 'No element matches beerNameSelector' })
+    ]);
+
+    assert.deepEqual({ ...health, failures: health.failures.map(failure => ({ ...failure })) }, {
+      cards: 3,
+      names: 2,
+      injected: 2,
+      failed: 1,
+      failures: [{ name: 'Card 3', reason: 'No element matches beerNameSelector' }]
+    });
+    assert.equal(window.DebugOverlay.describeHealth(health), '3 cards, 2 names, 2 injected, 1 failed');
+  });
+
+  it('outlines matched elements and lists failed cards', () => {
+    const [good, bad] = document.querySelectorAll('.card');
+    const overlay = window.DebugOverlay.create({ siteName: 'Pipeline' });
+    overlay.render([
+      card({ card: good, nameElement: good.querySelector('h3'), target: good.querySelector('.info') }),
+      card({ card: bad, rawName: '', beerName: null, injected: false, reason: 'No element matches beerNameSelector' })
+    ]);
+    overlay.show();
+
+    const shadow = document.querySelector('untappd-debug-overlay').shadowRoot;
+    assert.equal(shadow.querySelectorAll('.box.card').length, 2);
+    assert.equal(shadow.querySelectorAll('.box.card.failed').length, 1);
+    assert.equal(shadow.querySelectorAll('.box.name').length, 1);
+    assert.equal(shadow.querySelectorAll('.box.target').length, 1);
+    assert.equal(shadow.querySelector('.box.card .label').textContent, 'WOLF MOON - DIPA - 440ML → Wolf Moon');
+    assert.equal(shadow.querySelector('.panel-summary').textContent, '2 cards, 1 names, 1 injected, 1 failed');
+    assert.deepEqual(Array.from(shadow.querySelectorAll('.panel-failures button'), button => button.textContent), [
+      'Unnamed card: No element matches beerNameSelector'
+    ]);
+
+    overlay.hide();
+    assert.equal(document.querySelector('untappd-debug-overlay'), null);
+  });
+});
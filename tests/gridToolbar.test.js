@@ -0,0 +1,121 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScript } from './helpers/dom.js';
+
+const ratings = {
+  Kinetic: { found: true, rating: 3.9, ratingCount: 5000 },
+  Lumen: { found: true, rating: 4.2, ratingCount: 800 },
+  Mizzle: { found: true, rating: null, ratingCount: 0, unrated: true },
+  Gloaming: { found: false }
+};
+
+// Cards wrapped in grid items, as on most Shopify themes
+const gridHtml = names => `
+  <ul class="grid">
+    ${names.map(name => `<li class="grid__item"><div class="card"><h3>${name}</h3></div></li>`).join('')}
+  </ul>
+`;
+
+describe('grid toolbar', () => {
+  let window;
+  let document;
+
+  beforeEach(() => {
+    window = loadClassicScript(`<main>${gridHtml([...Object.keys(ratings), 'Sunbeam'])}</main>`, ['pricing.js', 'gridToolbar.js']);
+    document = window.document;
+  });
+
+  const createToolbar = () => window.GridToolbar.create({
+    cardSelector: '.card',
+    getRatingData: card => ratings[card.textContent.trim()]
+  });
+  const itemNames = () => Array.from(document.querySelectorAll('.grid__item'), item => item.textContent.trim());
+  const shownNames = () => Array.from(document.querySelectorAll('.grid__item:not(.untappd-filter-hidden)'), item => item.textContent.trim());
+  const change = (element, value) => {
+    if (element.type === 'checkbox') element.checked = value;
+    else element.value = value;
+    element.dispatchEvent(new window.Event('change'));
+  };
+
+  it('sits above the grid and counts cards still loading', () => {
+    createToolbar().update();
+
+    const toolbar = document.querySelector('.untappd-toolbar');
+    assert.equal(toolbar.nextElementSibling, document.querySelector('.grid'));
+    assert.equal(toolbar.querySelector('.untappd-toolbar-status').textContent, 'Showing 5 of 5 (1 loading)');
+  });
+
+  it('sorts grid items by rating and count, then restores the page order', () => {
+    createToolbar().update();
+    const [sort] = document.querySelectorAll('.untappd-toolbar select');
+
+    change(sort, 'rating');
+    assert.deepEqual(itemNames(), ['Lumen', 'Kinetic', 'Mizzle', 'Gloaming', 'Sunbeam']);
+
+    change(sort, 'count');
+    assert.deepEqual(itemNames(), ['Kinetic', 'Lumen', 'Mizzle', 'Gloaming', 'Sunbeam']);
+
+    change(sort, 'rating');
+    change(sort, 'page');
+    assert.deepEqual(itemNames(), ['Kinetic', 'Lumen', 'Mizzle', 'Gloaming', 'Sunbeam']);
+
+    change(sort, 'rating');
+    document.querySelector('.untappd-toolbar button').click();
+    assert.equal(sort.value, 'page');
+    assert.deepEqual(itemNames(), ['Kinetic', 'Lumen', 'Mizzle', 'Gloaming', 'Sunbeam']);
+  });
+
+  it('sorts by value, with unpriced cards last', () => {
+    const pricePerLitre = { Kinetic: 6, Lumen: 12, Mizzle: 5 };
+    window.GridToolbar.create({
+      cardSelector: '.card',
+      getRatingData: card => {
+        const name = card.textContent.trim();
+        return ratings[name] && { ...ratings[name], pricePerLitre: pricePerLitre[name] };
+      }
+    }).update();
+    const [sort] = document.querySelectorAll('.untappd-toolbar select');
+
+    // Kinetic (0.9 over baseline at 6/L) beats Lumen (1.2 at 12/L)
+    change(sort, 'value');
+    assert.deepEqual(itemNames(), ['Kinetic', 'Lumen', 'Mizzle', 'Gloaming', 'Sunbeam']);
+
+    pricePerLitre.Lumen = 4;
+    change(sort, 'value');
+    assert.deepEqual(itemNames(), ['Lumen', 'Kinetic', 'Mizzle', 'Gloaming', 'Sunbeam']);
+  });
+
+  it('hides low rated and unrated beers, but not ones still loading', () => {
+    createToolbar().update();
+    const [, minRating] = document.querySelectorAll('.untappd-toolbar select');
+    const hideUnrated = document.querySelector('.untappd-toolbar input');
+
+    change(minRating, '4');
+    assert.deepEqual(shownNames(), ['Lumen', 'Mizzle', 'Gloaming', 'Sunbeam']);
+
+    change(hideUnrated, true);
+    assert.deepEqual(shownNames(), ['Lumen', 'Sunbeam']);
+    assert.equal(document.querySelector('.untappd-toolbar-status').textContent, 'Showing 2 of 5 (1 loading)');
+
+    document.querySelector('.untappd-toolbar button').click();
+    assert.equal(shownNames().length, 5);
+  });
+
+  it('comes back after the site re-renders the grid', () => {
+    const toolbar = createToolbar();
+    toolbar.update();
+
+    document.querySelector('main').innerHTML = gridHtml(['Lumen', 'Kinetic']);
+    assert.equal(document.querySelector('.untappd-toolbar'), null);
+
+    toolbar.update();
+    assert.ok(document.querySelector('.untappd-toolbar + .grid'));
+  });
+
+  it('leaves pages with a single beer alone', () => {
+    document.querySelector('main').innerHTML = gridHtml(['Lumen']);
+    createToolbar().update();
+
+    assert.equal(document.querySelector('.untappd-toolbar'), null);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Minimal in-memory stand-in for the chrome.* extension APIs used by the
+ * background worker, so its modules can be imported under Node.
+ */
+
+import { readFileSync } from 'node:fs';
+
+const manifest = JSON.parse(readFileSync(new URL('../../manifest.json', import.meta.url), 'utf8'));
+
+/**
+ * Create an in-memory chrome.storage area
+ */
+function createStorageArea() {
+  let data = {};
+
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) return { ...data };
+
+      const keyList = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const key of keyList) {
+        if (key in data) {
+          result[key] = structuredClone(data[key]);
+        } else if (keys && typeof keys === 'object' && !Array.isArray(keys)) {
+          result[key] = keys[key];
+        }
+      }
+      return result;
+    },
+
+    async set(items) {
+      for (const [key, value] of Object.entries(items)) {
+        data[key] = structuredClone(value);
+      }
+    },
+
+    async remove(keys) {
+      for (const key of typeof keys === 'string' ? [keys] : keys) {
+        delete data[key];
+      }
+    },
+
+    async clear() {
+      data = {};
+    }
+  };
+}
+
+/**
+ * Install a fresh chrome stub on globalThis
+ * @returns {Object} The stub, with captured onMessage listeners
+ */
+export function installChromeStub() {
+  const messageListeners = [];
+
+  const chrome = {
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(),
+      session: createStorageArea()
+    },
+    runtime: {
+      onMessage: {
+        addListener: listener => messageListeners.push(listener)
+      },
+      onInstalled: {
+        addListener() {}
+      },
+      getManifest: () => manifest
+    },
+    permissions: {
+      granted: new Set(),
+      async contains({ origins }) {
+        return origins.every(origin => chrome.permissions.granted.has(origin));
+      },
+      onRemoved: {
+        addListener() {}
+      }
+    },
+    scripting: {
+      registered: [],
+      async getRegisteredContentScripts({ ids }) {
+        return chrome.scripting.registered.filter(script => ids.includes(script.id));
+      },
+      async registerContentScripts(scripts) {
+        chrome.scripting.registered.push(...scripts);
+      },
+      async unregisterContentScripts({ ids }) {
+        chrome.scripting.registered = chrome.scripting.registered.filter(script => !ids.includes(script.id));
+      }
+    },
+    tabs: {
+      async sendMessage() {},
+      onRemoved: {
+        addListener() {}
+      }
+    },
+    alarms: {
+      async get() {
+        return undefined;
+      },
+      create() {},
+      onAlarm: {
+        addListener() {}
+      }
+    },
+    messageListeners
+  };
+
+  globalThis.chrome = chrome;
+  return chrome;
+}
+
+let workers = 0;
+
+/**
+ * Install a fresh chrome stub and import a fresh copy of the background
+ * worker against it, with its own queue, backoff and caches
+ * @returns {Promise<Object>} The stub
+ */
+export async function loadWorker() {
+  const chrome = installChromeStub();
+  // A new URL is a new module instance, so no state leaks between suites
+  await import(`../../background.js?worker=${++workers}`);
+  return chrome;
+}
+
+/**
+ * Deliver a runtime message to the captured onMessage listeners
+ * @param {Object} chrome - Stub returned by installChromeStub()
+ * @param {Object} request
+ * @param {Object} [sender]
+ * @returns {Promise<*>} The listener's sendResponse value
+ */
+export function dispatchMessage(chrome, request, sender = { tab: { id: 1 } }) {
+  return new Promise(resolve => {
+    for (const listener of chrome.messageListeners) {
+      listener(request, sender, resolve);
+    }
+  });
+}
@@ -0,0 +1,22 @@
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const beerNamesSource = readFileSync(new URL('../../beerNames.js', import.meta.url), 'utf8');
+const nameRulesSource = readFileSync(new URL('../../nameRules.js', import.meta.url), 'utf8');
+const configSource = readFileSync(new URL('../../config.js', import.meta.url), 'utf8');
+
+/**
+ * Evaluate beerNames.js, nameRules.js and config.js the way the content script sees them
+ * @param {string} [hostname] - Hostname for getBreweryConfig()
+ * @returns {Object} The fake window with BREWERY_CONFIGS, getBreweryConfig and applyNameRules
+ */
+export function loadConfig(hostname = 'example.com') {
+  const window = { location: { hostname }, console };
+  // Content scripts share one global, so window and globalThis are the same object
+  window.window = window;
+  vm.createContext(window);
+  vm.runInContext(beerNamesSource, window);
+  vm.runInContext(nameRulesSource, window);
+  vm.runInContext(configSource, window);
+  return window;
+}
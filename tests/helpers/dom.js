@@ -0,0 +1,34 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const sources = new Map();
+
+/**
+ * Read a classic script once per test file
+ * @param {string} file - Path relative to the repository root
+ */
+function readSource(file) {
+  if (!sources.has(file)) {
+    sources.set(file, readFileSync(new URL(`../../${file}`, import.meta.url), 'utf8'));
+  }
+  return sources.get(file);
+}
+
+/**
+ * Load classic scripts into a jsdom page, the way a content script or
+ * extension page sees them
+ * @param {string} html - Page markup
+ * @param {string[]} files - Scripts relative to the repository root, in load order
+ * @param {Object} [options] - JSDOM options, plus:
+ * @param {Function} [options.setup] - Called with the window before the
+ *   scripts run, for stubs like chrome or CSS.escape
+ * @returns {Window}
+ */
+export function loadClassicScript(html, files, { setup, ...options } = {}) {
+  const { window } = new JSDOM(html, { runScripts: 'outside-only', ...options });
+  if (setup) setup(window);
+  for (const file of files) {
+    window.eval(readSource(file));
+  }
+  return window;
+}
@@ -0,0 +1,10 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Read a saved fixture file from tests/fixtures
+ * @param {string} name - Path relative to tests/fixtures
+ * @returns {string}
+ */
+export function readFixture(name) {
+  return readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+}
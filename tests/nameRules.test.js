@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from './helpers/config.js';
+
+const { BREWERY_CONFIGS, applyNameRules, validateNameRules, extractBreweries, validateBreweryPatterns } = loadConfig();
+
+// Real product titles from each brewery's shop, and the name we search Untappd for
+const cases = {
+  'cloudwaterbrew.co': [
+    ['SOCAL | BRIGHT PALE', 'SOCAL'],
+    ['PICCADILLY PILSNER | LAGER', 'PICCADILLY PILSNER'],
+    ['Chubby Bubbles (Collab x Other Half) | DIPA', 'Chubby Bubbles'],
+    ['Small Victories - 440ml', 'Small Victories']
+  ],
+  'azvexbrewing.com': [
+    ['BROWNIAN MOTION – 6.5% IPA – 440ML CAN', 'Brownian Motion'],
+    ['DIFFRACTION PATTERN – 8% DIPA – 440ML CAN', 'Diffraction Pattern']
+  ],
+  'pipelinebrewing.co.uk': [
+    ['Wolf Moon - DIPA - 8.4% - 440ml', 'Wolf Moon'],
+    ['RIVINGTON COLAB - MIZZLE IPA - 6.5% - 440ML', 'MIZZLE'],
+    ['Kinetic IPA - 6.2% - 440ml', 'Kinetic']
+  ],
+  'beakbrewery.com': [
+    ['HUM 4.8% PALE', 'HUM'],
+    ['LEAP 4.5% SESSION IPA', 'LEAP'],
+    ['FLIGHT MECHANICS - BEAK X EQUILIBRIUM - 8.2% DIPA', 'FLIGHT MECHANICS']
+  ],
+  'deyabrewing.com': [
+    ['PLENTY SATURATED MOTUEKA, NELSON SAUVIN, NECTARON', 'PLENTY SATURATED MOTUEKA, NELSON SAUVIN, NECTARON'],
+    ['  STEADY ROLLING MAN  ', 'STEADY ROLLING MAN']
+  ],
+  'pollys.co': [
+    ['Rosebud – IPA 5.6%', 'Rosebud'],
+    ['Pilsner – Lager Beer 4.7%', 'Pilsner'],
+    ['Tempest - Pale Ale 5%', 'Tempest']
+  ],
+  'verdantbrewing.co': [
+    ['Disco Italiano x Birificio Italiano', 'Disco Italiano'],
+    ['Burnthouse Coffee Porter 2025 x Origin', 'Burnthouse Coffee 2025'],
+    ['Lightbulb Pale 4.5%', 'Lightbulb']
+  ],
+  'trackbrewing.co': [
+    ['Made In The Shade | Porter | 5.6%', 'Made In The Shade'],
+    ['Sonoma | Pale Ale | 3.8%', 'Sonoma']
+  ],
+  'overtonebrewing.com': [
+    ['LITTLE DREAMER 6 PACK', 'LITTLE DREAMER'],
+    ['STOVIES IPA', 'STOVIES'],
+    ['BRASSNECK IMPERIAL STOUT', 'BRASSNECK'],
+    ['JAMMY DODGER STRAWBERRY & MANGO SOUR', 'JAMMY DODGER']
+  ],
+  'gravitywellbrewing.co.uk': [
+    ['Hawking Radiation - Hazy Pale Ale (5%)', 'Hawking Radiation'],
+    ['Nullarbor (Collab) - DIPA (8%)', 'Nullarbor']
+  ],
+  'pomonaislandbrew.co.uk': [
+    ['IF I COULD ONLY REACH YOU BA Imperial Stout | Ledaig 2025', 'IF I COULD ONLY REACH YOU'],
+    ['VOLTUMNA Blackberry Graf', 'VOLTUMNA'],
+    ['THE MOON IS IN THE SEVENTH HOUSE Raspberry, Blackberry & Blackcurrant Gose 5%', 'THE MOON IS IN THE SEVENTH HOUSE'],
+    ['PATIENCE AF Pale', 'PATIENCE']
+  ],
+  'missinglinkbrewing.com': [
+    ['BONOBO NEPA 440ml 4.6%', 'BONOBO'],
+    ['MACAQUE WEST COAST IPA 440ml 5.8%', 'MACAQUE'],
+    ['MARMOSET TABLE BEER 440ml 2.8%', 'MARMOSET'],
+    ['Mango Lime Sour 440ml 5%', 'Mango Lime'],
+    ['Old Mild Ale 500ml 3.6%', 'Old Mild'],
+    ['Cherry Bitter Stout 440ml 6%', 'Cherry Bitter']
+  ]
+};
+
+describe('built-in name rules', () => {
+  it('has cases for every brewery config', () => {
+    assert.deepEqual(Object.keys(cases).sort(), Object.keys(BREWERY_CONFIGS).sort());
+  });
+
+  for (const [domain, titles] of Object.entries(cases)) {
+    describe(`${domain}`, () => {
+      for (const [title, expected] of titles) {
+        it(`"${title}" -> "${expected}"`, () => {
+          assert.equal(applyNameRules(BREWERY_CONFIGS[domain].nameRules, title), expected);
+        });
+      }
+    });
+  }
+});
+
+describe('applyNameRules', () => {
+  it('gives the same names after a round trip through JSON', () => {
+    for (const [domain, titles] of Object.entries(cases)) {
+      const rules = JSON.parse(JSON.stringify(BREWERY_CONFIGS[domain].nameRules));
+      for (const [title, expected] of titles) {
+        assert.equal(applyNameRules(rules, title), expected);
+      }
+    }
+  });
+
+  it('splits and takes a segment', () => {
+    const rules = [{ type: 'split', separator: '/', index: 1 }];
+    assert.equal(applyNameRules(rules, 'Can / Wolf Moon / 440ml'), 'Wolf Moon');
+  });
+
+  it('title-cases and drops collab suffixes', () => {
+    const rules = [{ type: 'collab', mode: 'dropSuffix' }, { type: 'titleCase' }];
+    assert.equal(applyNameRules(rules, 'DISCO ITALIANO x Birrificio'), 'Disco Italiano');
+  });
+
+  it('skips broken rules instead of losing the name', () => {
+    const rules = [{ type: 'remove', pattern: '(' }, { type: 'shout' }, { type: 'split', separator: '|' }];
+    assert.equal(applyNameRules(rules, 'Wolf Moon | DIPA'), 'Wolf Moon');
+  });
+});
+
+describe('validateNameRules', () => {
+  it('accepts every built-in rule list', () => {
+    for (const config of Object.values(BREWERY_CONFIGS)) {
+      assert.equal(validateNameRules(config.nameRules), null);
+    }
+  });
+
+  it('reports the first bad rule', () => {
+    assert.equal(validateNameRules('nope'), 'Rules must be an array');
+    assert.match(validateNameRules([{ type: 'titleCase' }, { type: 'shout' }]), /Rule 2 has unknown type "shout"/);
+    assert.match(validateNameRules([{ type: 'stripStyles', styles: ['IPA'], mode: 'sideways' }]), /Unknown stripStyles mode/);
+    assert.match(validateNameRules([{ type: 'remove', pattern: '(' }]), /Rule 1 \(remove\)/);
+  });
+});
+
+describe('getBreweryConfig', () => {
+  it('strips www. from the hostname', () => {
+    const window = loadConfig('www.verdantbrewing.co');
+    assert.equal(window.getBreweryConfig().name, 'Verdant');
+  });
+
+  it('returns null for unsupported sites', () => {
+    const window = loadConfig('example.com');
+    assert.equal(window.getBreweryConfig(), null);
+  });
+
+  it('prefers user-added sites over built-in ones', () => {
+    const window = loadConfig('www.examplebrewing.com');
+    const custom = { 'examplebrewing.com': { name: 'Example' } };
+
+    assert.equal(window.getBreweryConfig(custom).name, 'Example');
+    assert.equal(loadConfig('verdantbrewing.co').getBreweryConfig({}).name, 'Verdant');
+  });
+
+  it('falls back to the most specific domain for subdomains', () => {
+    const custom = { 'examplebrewing.com': { name: 'Example' }, 'shop.examplebrewing.com': { name: 'Example Shop' } };
+
+    assert.equal(loadConfig('shop.examplebrewing.com').getBreweryConfig(custom).name, 'Example Shop');
+    assert.equal(loadConfig('beer.shop.examplebrewing.com').getBreweryConfig(custom).name, 'Example Shop');
+    assert.equal(loadConfig('tickets.examplebrewing.com').getBreweryConfig(custom).name, 'Example');
+    assert.equal(loadConfig('shop.verdantbrewing.co').getBreweryConfig(custom).name, 'Verdant');
+    assert.equal(loadConfig('notexamplebrewing.com').getBreweryConfig(custom), null);
+  });
+});
+
+describe('extractBreweries', () => {
+  // Copied out of the config's realm for deepEqual
+  const breweriesFrom = (patterns, title) => [...extractBreweries(patterns, title)];
+  const breweriesOn = (domain, title) => breweriesFrom(BREWERY_CONFIGS[domain].breweryPatterns, title);
+
+  it("reads collaborators from the built-in sites' titles", () => {
+    assert.deepEqual(breweriesOn('cloudwaterbrew.co', 'Chubby Bubbles (Collab x Other Half) | DIPA'), ['Other Half']);
+    assert.deepEqual(breweriesOn('pipelinebrewing.co.uk', 'RIVINGTON COLAB - MIZZLE IPA - 6.5% - 440ML'), ['RIVINGTON']);
+    assert.deepEqual(breweriesOn('beakbrewery.com', 'FLIGHT MECHANICS - BEAK X EQUILIBRIUM - 8.2% DIPA'), ['BEAK', 'EQUILIBRIUM']);
+    assert.deepEqual(breweriesOn('verdantbrewing.co', 'Burnthouse Coffee Porter 2025 x Origin 440ml'), ['Origin']);
+  });
+
+  it('finds nothing in titles that are not collaborations', () => {
+    assert.deepEqual(breweriesOn('pipelinebrewing.co.uk', 'Wolf Moon - DIPA - 8.4% - 440ml'), []);
+    assert.deepEqual(breweriesOn('beakbrewery.com', 'HUM 4.8% PALE'), []);
+    assert.deepEqual(breweriesFrom(undefined, 'Wolf Moon'), []);
+  });
+
+  it('skips broken patterns', () => {
+    assert.deepEqual(breweriesFrom(['(', '\\(with ([^)]+)\\)'], 'Lumen (with Deya, Track)'), ['Deya', 'Track']);
+  });
+
+  it('validates pattern lists', () => {
+    for (const config of Object.values(BREWERY_CONFIGS)) {
+      assert.equal(validateBreweryPatterns(config.breweryPatterns || []), null);
+    }
+    assert.equal(validateBreweryPatterns('x'), 'Brewery patterns must be an array');
+    assert.match(validateBreweryPatterns(['collab x .+']), /Brewery pattern 1 needs a capture group/);
+    assert.match(validateBreweryPatterns(['(']), /Brewery pattern 1:/);
+  });
+});
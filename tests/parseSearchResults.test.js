@@ -0,0 +1,107 @@
+import { describe, it, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installChromeStub } from './helpers/chrome.js';
+import { readFixture } from './helpers/fixtures.js';
+
+// Both parsers must agree on every fixture: the regex one runs in the
+// service worker, the DOMParser one anywhere a DOM is available.
+const parsers = {};
+const candidateParsers = {};
+let service;
+
+before(async () => {
+  installChromeStub();
+  globalThis.DOMParser = new JSDOM().window.DOMParser;
+
+  const { parseSearchResults } = await import('../background.js');
+  const { parseSearchCandidates } = await import('../background.js');
+  const { UntappdService } = await import('../untappdService.js');
+  service = new UntappdService();
+
+  parsers['regex (background.js)'] = parseSearchResults;
+  parsers['DOMParser (UntappdService)'] = (html, beerName, brewery) =>
+    service.parseSearchResults(html, beerName, brewery);
+
+  candidateParsers['regex (background.js)'] = parseSearchCandidates;
+  candidateParsers['DOMParser (UntappdService)'] = html => service.parseSearchCandidates(html);
+});
+
+for (const parserName of ['regex (background.js)', 'DOMParser (UntappdService)']) {
+  describe(`parseSearchResults: ${parserName}`, () => {
+    const parse = (...args) => parsers[parserName](...args);
+
+    it('parses a rated beer', () => {
+      const result = parse(readFixture('untappd/rated.html'), 'SoCal', 'Cloudwater');
+
+      assert.equal(result.found, true);
+      assert.equal(result.rating, 3.812);
+      assert.equal(result.ratingCount, 12345);
+      assert.equal(result.beerName, 'SoCal');
+      assert.equal(result.breweryName, 'Cloudwater Brew Co.');
+      assert.equal(result.beerUrl, 'https://untappd.com/b/cloudwater-brew-co-socal/4381237');
+      assert.equal(result.source, 'scrape');
+      assert.equal(result.runnerUp, null);
+      assert.ok(!result.uncertain);
+    });
+
+    it('reports "(0)" as found but unrated', () => {
+      const result = parse(readFixture('untappd/unrated.html'), 'Mizzle', 'Pipeline Brewing');
+
+      assert.equal(result.found, true);
+      assert.equal(result.unrated, true);
+      assert.equal(result.rating, null);
+      assert.equal(result.ratingCount, 0);
+      assert.equal(result.beerUrl, 'https://untappd.com/b/pipeline-brewing-company-mizzle/6120458');
+    });
+
+    it('reports a page without results as not found', () => {
+      const result = parse(readFixture('untappd/no-results.html'), 'Nonexistent Beer', 'Azvex');
+
+      assert.equal(result.found, false);
+      assert.equal(result.error, undefined);
+    });
+
+    it('picks the result from the right brewery over the first hit', () => {
+      const result = parse(readFixture('untappd/multi-result.html'), 'Wolf Moon', 'Pipeline Brewing');
+
+      assert.equal(result.found, true);
+      assert.equal(result.rating, 4.021);
+      assert.equal(result.ratingCount, 1204);
+      assert.equal(result.breweryName, 'Pipeline Brewing Company');
+      assert.equal(result.beerUrl, 'https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112');
+      assert.equal(result.style, 'IPA - Imperial / Double New England');
+      assert.equal(result.abv, 8.4);
+      assert.ok(result.matchScore > result.runnerUp.matchScore);
+      assert.equal(result.runnerUp.beerName, 'Wolf Moon Rising');
+    });
+
+    it('reports an uncertain match when no result resembles the beer', () => {
+      const result = parse(readFixture('untappd/multi-result.html'), 'Gloaming', 'Pipeline Brewing');
+
+      assert.equal(result.uncertain, true);
+      assert.equal(result.rating, null);
+      assert.ok(result.matchScore < 0.6);
+    });
+  });
+}
+
+describe('search candidates', () => {
+  it('parses the same candidates with both parsers', () => {
+    const html = readFixture('untappd/multi-result.html');
+    const [regex, dom] = Object.values(candidateParsers).map(parse => parse(html));
+
+    assert.ok(regex.length > 1);
+    assert.deepEqual(dom, regex);
+  });
+
+  it('ranks candidates for the correction panel, best first', async () => {
+    globalThis.fetch = mock.fn(async () => new Response(readFixture('untappd/multi-result.html')));
+
+    const { candidates, source } = await service.searchCandidates('Wolf Moon', 'Pipeline Brewing');
+
+    assert.equal(source, 'scrape');
+    assert.equal(candidates[0].beerUrl, 'https://untappd.com/b/pipeline-brewing-company-wolf-moon/5890112');
+    assert.ok(candidates.length <= 5);
+  });
+});
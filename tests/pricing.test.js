@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../beerNames.js';
+import '../pricing.js';
+
+const { parseVolume } = globalThis.BeerNames;
+const { parsePrice, pricePerLitre, valueScore } = globalThis.Pricing;
+
+describe('Pricing', () => {
+  it('reads prices in each site format', () => {
+    assert.deepEqual(parsePrice('£4.50'), { amount: 4.5, currency: 'GBP' });
+    assert.deepEqual(parsePrice('4,50 €'), { amount: 4.5, currency: 'EUR' });
+    assert.deepEqual(parsePrice('€1.234,56'), { amount: 1234.56, currency: 'EUR' });
+    assert.deepEqual(parsePrice('$1,234.56 USD'), { amount: 1234.56, currency: 'USD' });
+    assert.deepEqual(parsePrice('49 kr'), { amount: 49, currency: 'SEK' });
+    assert.equal(parsePrice('Sold out'), null);
+  });
+
+  it('takes the sale price and skips unit prices', () => {
+    assert.equal(parsePrice('Regular price £4.50 Sale price £3.60').amount, 3.6);
+    assert.equal(parsePrice('£14.50 Unit price £10.98 / L').amount, 14.5);
+    assert.equal(parsePrice('Unit price £10.23/L'), null);
+  });
+
+  it('uses the site\'s decimal separator and currency when given', () => {
+    assert.equal(parsePrice('€1.250', { decimalSeparator: ',' }).amount, 1250);
+    assert.equal(parsePrice('€1,250', { decimalSeparator: '.' }).amount, 1250);
+    assert.deepEqual(parsePrice('$12.00', { currency: 'CAD' }), { amount: 12, currency: 'CAD' });
+  });
+
+  it('reads can sizes and multi-packs', () => {
+    assert.deepEqual({ ...parseVolume('Wolf Moon - DIPA - 8.4% - 440ml') }, { ml: 440, count: 1 });
+    assert.deepEqual({ ...parseVolume('Kinetic 4 x 440ml') }, { ml: 440, count: 4 });
+    assert.deepEqual({ ...parseVolume('LITTLE DREAMER 500ML CAN 6 PACK') }, { ml: 500, count: 6 });
+    assert.deepEqual({ ...parseVolume('Gueuze 37,5cl') }, { ml: 375, count: 1 });
+    assert.equal(parseVolume('STOVIES IPA'), null);
+  });
+
+  it('scores value from rating and price per litre', () => {
+    const single = pricePerLitre(4.4, { ml: 440, count: 1 });
+    const fourPack = pricePerLitre(14, { ml: 440, count: 4 });
+    assert.equal(single, 10);
+    assert.ok(Math.abs(fourPack - 7.95) < 0.01);
+
+    assert.ok(valueScore(4, fourPack) > valueScore(4, single));
+    assert.ok(valueScore(4.2, single) > valueScore(4, single));
+    assert.equal(valueScore(2.8, single), 0);
+    assert.equal(valueScore(null, single), null);
+    assert.equal(valueScore(4, null), null);
+  });
+});
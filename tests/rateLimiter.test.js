@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../utils.js';
+
+describe('RateLimiter', () => {
+  it('runs queued functions in order', async () => {
+    const limiter = new RateLimiter(5, 1000);
+    const order = [];
+
+    await Promise.all([1, 2, 3].map(n => limiter.execute(async () => order.push(n))));
+
+    assert.deepEqual(order, [1, 2, 3]);
+    assert.equal(limiter.requests.length, 3);
+  });
+
+  it('skips the request when shortCircuit returns a result', async () => {
+    const limiter = new RateLimiter(5, 1000);
+    let called = false;
+
+    const result = await limiter.execute(
+      async () => { called = true; },
+      { shortCircuit: async () => ({ fromCache: true }) }
+    );
+
+    assert.deepEqual(result, { fromCache: true });
+    assert.equal(called, false);
+    assert.equal(limiter.requests.length, 0);
+  });
+
+  it('makes the request when shortCircuit returns null', async () => {
+    const limiter = new RateLimiter(5, 1000);
+
+    const result = await limiter.execute(async () => 'fetched', { shortCircuit: async () => null });
+
+    assert.equal(result, 'fetched');
+    assert.equal(limiter.requests.length, 1);
+  });
+
+  it('rejects when the function throws', async () => {
+    const limiter = new RateLimiter(5, 1000);
+    await assert.rejects(limiter.execute(async () => { throw new Error('boom'); }), /boom/);
+  });
+
+  it('runs higher priority items first', async () => {
+    const limiter = new RateLimiter(5, 1000);
+    const order = [];
+    const track = name => async () => order.push(name);
+
+    // The first item starts straight away; the rest are ordered by priority
+    await Promise.all([
+      limiter.execute(track('first'), { priority: 0 }),
+      limiter.execute(track('offscreen'), { priority: 1 }),
+      limiter.execute(track('background'), { priority: 0 }),
+      limiter.execute(track('visible'), { priority: 2 })
+    ]);
+
+    assert.deepEqual(order, ['first', 'visible', 'offscreen', 'background']);
+  });
+
+  it('reprioritises queued items', async () => {
+    const limiter = new RateLimiter(5, 1000);
+    const order = [];
+    const track = name => async () => order.push(name);
+
+    const all = Promise.all([
+      limiter.execute(track('first')),
+      limiter.execute(track('a'), { id: 'a' }),
+      limiter.execute(track('b'), { id: 'b' })
+    ]);
+    assert.equal(limiter.setPriority('b', 5), true);
+    await all;
+
+    assert.deepEqual(order, ['first', 'b', 'a']);
+    assert.equal(limiter.setPriority('b', 1), false);
+  });
+
+  it('cancels queued items', async () => {
+    const limiter = new RateLimiter(5, 1000);
+    let called = false;
+
+    const first = limiter.execute(async () => 'first');
+    const cancelled = limiter.execute(async () => { called = true; }, { id: 'gone' });
+
+    assert.equal(limiter.cancel('gone'), true);
+    await assert.rejects(cancelled, error => error.cancelled === true);
+    assert.equal(await first, 'first');
+    assert.equal(called, false);
+  });
+
+  it('holds the queue while paused', async () => {
+    const limiter = new RateLimiter(5, 1000);
+    const start = Date.now();
+
+    limiter.pauseUntil(start + 50);
+    await limiter.execute(async () => {});
+
+    assert.ok(Date.now() - start >= 45);
+  });
+
+  it('rejects everything still queued', async () => {
+    const limiter = new RateLimiter(5, 1000);
+
+    const first = limiter.execute(async () => 'first');
+    const queued = [limiter.execute(async () => {}), limiter.execute(async () => {})];
+    limiter.rejectQueued(() => Object.assign(new Error('Throttled'), { throttled: true }));
+
+    for (const promise of queued) {
+      await assert.rejects(promise, error => error.throttled === true);
+    }
+    assert.equal(await first, 'first');
+  });
+});
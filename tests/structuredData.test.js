@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScript } from './helpers/dom.js';
+
+/**
+ * Load a page with the module, as the content script would see it
+ */
+function loadPage(html, url = 'https://bottleshop.example/collections/all') {
+  return loadClassicScript(html, ['structuredData.js'], {
+    url,
+    // jsdom has no CSS.escape
+    setup: window => {
+      window.CSS = { escape: value => value.replace(/[^\w-]/g, char => `\\${char}`) };
+    }
+  });
+}
+
+// A Shopify collection page in the style of the Dawn theme
+const shopifyCard = (handle, title, vendor) => `
+  <li class="grid__item scroll-trigger animate--slide-in">
+    <div class="card-wrapper product-card-wrapper">
+      <div class="card card--standard">
+        <div class="card__media"><img src="/${handle}.jpg" alt=""></div>
+        <div class="card__content">
+          <h3 class="card__heading h5"><a href="/collections/all/products/${handle}" class="full-unstyled-link">${title}</a></h3>
+          <div class="card-information">
+            <div class="caption-with-letter-spacing card__vendor">${vendor}</div>
+            <div class="price"><span class="price-item">£4.50</span></div>
+          </div>
+        </div>
+      </div>
+    </div>
+  </li>
+`;
+
+const shopifyPage = `
+  <head>
+    <script src="https://cdn.shopify.com/s/files/theme.js"></script>
+    <script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'ItemList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 1, item: { '@type': 'Product', name: 'Wolf Moon', url: 'https://bottleshop.example/products/wolf-moon-dipa-440ml', brand: { '@type': 'Brand', name: 'Pipeline Brewing' }, offers: { '@type': 'Offer', price: '6.20', priceCurrency: 'GBP' } } }
+      ]
+    })}</script>
+  </head>
+  <body>
+    <header><nav><a href="/products/gift-card">Gift card</a></nav></header>
+    <ul id="product-grid" class="grid product-grid">
+      ${shopifyCard('wolf-moon-dipa-440ml', 'WOLF MOON - DIPA - 440ML', 'Pipeline Brewing')}
+      ${shopifyCard('kinetic-4-pack', 'Kinetic 4 x 440ml', 'Pipeline Brewing')}
+      ${shopifyCard('lumen', 'Lumen', 'Cloudwater')}
+    </ul>
+    <footer><a href="/products/gift-card">Gift card</a></footer>
+  </body>
+`;
+
+describe('structured data', () => {
+  it('recognises Shopify and WooCommerce shops', () => {
+    const shopify = loadPage(shopifyPage);
+    assert.equal(shopify.StructuredData.detectPlatform(shopify.document), 'shopify');
+
+    const woo = loadPage('<body class="home woocommerce-page"></body>');
+    assert.equal(woo.StructuredData.detectPlatform(woo.document), 'woocommerce');
+
+    const other = loadPage('<body><p>Hello</p></body>');
+    assert.equal(other.StructuredData.detectPlatform(other.document), null);
+  });
+
+  it('works out card and name selectors from a product grid', () => {
+    const window = loadPage(shopifyPage);
+    const config = window.StructuredData.inferConfig(window.document, 'shopify');
+
+    assert.equal(config.beerCardSelector, 'li.grid__item');
+    assert.equal(config.beerNameSelector, 'h3.card__heading');
+    assert.equal(config.injectionTarget, config.beerNameSelector);
+    assert.equal(config.injectionPosition, 'afterend');
+    assert.equal(window.document.querySelectorAll(config.beerCardSelector).length, 3);
+  });
+
+  it('reads products from JSON-LD and matches them to cards', () => {
+    const window = loadPage(shopifyPage);
+    const { StructuredData, document } = window;
+    const products = StructuredData.readProducts(document, 'shopify');
+
+    assert.deepEqual([...products.keys()], ['wolf-moon-dipa-440ml']);
+
+    const [wolfMoon, kinetic, lumen] = document.querySelectorAll('li.grid__item');
+    const product = StructuredData.productForCard(wolfMoon, products, 'shopify');
+    assert.equal(product.name, 'Wolf Moon');
+    assert.equal(product.vendor, 'Pipeline Brewing');
+    assert.deepEqual({ ...product.price }, { amount: 6.2, currency: 'GBP' });
+
+    // Cards without structured data fall back to the card's own text
+    assert.equal(StructuredData.productForCard(kinetic, products, 'shopify'), null);
+    assert.equal(StructuredData.vendorForCard(lumen), 'Cloudwater');
+  });
+
+  it('reads Open Graph product tags and Shopify product JSON', () => {
+    const window = loadPage(`
+      <head>
+        <meta property="og:type" content="product">
+        <meta property="og:title" content="Gloaming">
+        <meta property="og:url" content="https://bottleshop.example/products/gloaming">
+        <meta property="product:price:amount" content="5.00">
+        <meta property="product:price:currency" content="GBP">
+        <script type="application/json" data-product-json>${JSON.stringify({ title: 'Gloaming', handle: 'gloaming', vendor: 'Track Brewing', price: 500 })}</script>
+      </head>
+    `, 'https://bottleshop.example/products/gloaming');
+    const product = window.StructuredData.readProducts(window.document, 'shopify').get('gloaming');
+
+    assert.equal(product.name, 'Gloaming');
+    // The Open Graph tags have no brand; the product JSON fills it in
+    assert.equal(product.vendor, 'Track Brewing');
+    assert.deepEqual({ ...product.price }, { amount: 5, currency: null });
+  });
+
+  it('uses WooCommerce loop markup and decodes names', () => {
+    const window = loadPage(`
+      <head>
+        <script type="application/ld+json">${JSON.stringify({ '@graph': [{ '@type': 'Product', name: 'Brownian Motion &#8211; IPA', url: 'https://bottleshop.example/product/brownian-motion/' }] })}</script>
+      </head>
+      <body class="woocommerce">
+        <ul class="products columns-4">
+          <li class="product"><a href="/product/brownian-motion/"><h2 class="woocommerce-loop-product__title">BROWNIAN MOTION – 6.5% IPA</h2></a><span class="price">£4.00</span></li>
+          <li class="product"><a href="/product/quantum-foam/"><h2 class="woocommerce-loop-product__title">QUANTUM FOAM</h2></a><span class="price">£4.20</span></li>
+        </ul>
+      </body>
+    `);
+    const { StructuredData, document } = window;
+
+    assert.equal(StructuredData.inferConfig(document, 'woocommerce').beerCardSelector, 'ul.products li.product');
+    assert.equal(StructuredData.readProducts(document, 'woocommerce').get('brownian-motion').name, 'Brownian Motion – IPA');
+  });
+
+  it('finds no grid on a page with a single product', () => {
+    const window = loadPage('<body><main><h1>Gloaming</h1><a href="/products/gloaming">Gloaming</a></main></body>');
+    assert.equal(window.StructuredData.inferConfig(window.document, 'shopify'), null);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeStub } from './helpers/chrome.js';
+import { CircuitBreaker } from '../utils.js';
+import { UntappdService } from '../untappdService.js';
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    installChromeStub();
+  });
+
+  it('starts closed', async () => {
+    const breaker = new CircuitBreaker();
+    assert.equal(await breaker.isOpen(), false);
+  });
+
+  it('backs off exponentially with jitter', async () => {
+    const breaker = new CircuitBreaker();
+
+    const first = await breaker.trip();
+    const firstDelay = first.until - Date.now();
+    assert.ok(firstDelay > 14000 && firstDelay <= 30000);
+
+    // Pretend the pause ran out, then get throttled again
+    breaker.state.until = 0;
+    const second = await breaker.trip();
+    const secondDelay = second.until - Date.now();
+    assert.ok(secondDelay > 29000 && secondDelay <= 60000);
+    assert.equal(second.failures, 2);
+  });
+
+  it('counts throttles during a pause only once', async () => {
+    const breaker = new CircuitBreaker();
+
+    await breaker.trip();
+    const state = await breaker.trip();
+
+    assert.equal(state.failures, 1);
+  });
+
+  it('honours a longer Retry-After', async () => {
+    const breaker = new CircuitBreaker();
+    const { until } = await breaker.trip(10 * 60 * 1000);
+    assert.ok(until - Date.now() > 9 * 60 * 1000);
+  });
+
+  it('persists the pause across restarts', async () => {
+    await new CircuitBreaker().trip();
+
+    const restarted = new CircuitBreaker();
+    assert.equal(await restarted.isOpen(), true);
+
+    await restarted.reset();
+    assert.equal(await new CircuitBreaker().isOpen(), false);
+  });
+});
+
+describe('UntappdService throttle detection', () => {
+  const service = new UntappdService({ parseSearchResults: () => ({ found: false, source: 'scrape' }) });
+
+  const respondWith = (body, init) => {
+    globalThis.fetch = mock.fn(async () => new Response(body, init));
+  };
+
+  for (const status of [403, 429, 503]) {
+    it(`treats HTTP ${status} as throttled`, async () => {
+      respondWith('', { status });
+      const result = await service.fetchViaScrape('Wolf Moon', 'Pipeline Brewing');
+
+      assert.equal(result.throttled, true);
+      assert.equal(result.found, false);
+    });
+  }
+
+  it('detects a Cloudflare challenge page served with 200', async () => {
+    respondWith('<html><head><title>Just a moment...</title></head><body></body></html>', { status: 200 });
+    const result = await service.fetchViaScrape('Wolf Moon', 'Pipeline Brewing');
+    assert.equal(result.throttled, true);
+  });
+
+  it('reads Retry-After in seconds or as a date', async () => {
+    respondWith('', { status: 429, headers: { 'Retry-After': '120' } });
+    assert.equal((await service.fetchViaScrape('Wolf Moon', 'Pipeline Brewing')).retryAfterMs, 120000);
+
+    const inFiveMinutes = new Date(Date.now() + 5 * 60 * 1000).toUTCString();
+    assert.ok(service.parseRetryAfter(inFiveMinutes) > 4 * 60 * 1000);
+    assert.equal(service.parseRetryAfter('soon'), 0);
+  });
+
+  it('parses normal pages as usual', async () => {
+    respondWith('<html><body>No results</body></html>', { status: 200 });
+    const result = await service.fetchViaScrape('Wolf Moon', 'Pipeline Brewing');
+    assert.equal(result.throttled, undefined);
+  });
+});
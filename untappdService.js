@@ -3,23 +3,48 @@
  * Supports both scraping (default) and API (when key available)
  */
 
+import { rankCandidates, buildMatchResult, breweryNames } from './utils.js';
+
+const API_HOURLY_LIMIT = 100; // Untappd's default per-key budget
+const API_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const SEARCH_CANDIDATE_LIMIT = 5; // Results offered when correcting a match
+const THROTTLE_STATUSES = [403, 429, 503];
+// Markers of a Cloudflare interstitial served in place of search results
+const CHALLENGE_MARKERS = ['cf-chl-', 'challenge-platform', '<title>Just a moment...</title>', 'cf-browser-verification'];
+
 class UntappdService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.parseSearchResults] - Replacement search page parser,
+   *   for contexts without DOMParser such as the background service worker
+   * @param {Function} [options.parseSearchCandidates] - Replacement for parseSearchCandidates(), likewise
+   */
+  constructor(options = {}) {
     this.baseUrl = 'https://untappd.com';
     this.searchUrl = 'https://untappd.com/search';
     this.apiBaseUrl = 'https://api.untappd.com/v4';
+    this.usageKey = 'untappdApiUsage';
+
+    if (options.parseSearchResults) {
+      this.parseSearchResults = options.parseSearchResults;
+    }
+    if (options.parseSearchCandidates) {
+      this.parseSearchCandidates = options.parseSearchCandidates;
+    }
   }
 
   /**
    * Get beer rating - main entry point
    * @param {string} beerName - Name of the beer
-   * @param {string} brewery - Brewery name for search refinement
+   * @param {string|string[]} brewery - Brewery name for search refinement, or
+   *   every brewery the beer may be from (searched with the first, matched
+   *   against any)
    * @returns {Promise<Object>} Rating data
    */
   async getBeerRating(beerName, brewery) {
     const apiKey = await this.getApiKey();
 
-    if (apiKey) {
+    if (apiKey && (await this.getApiUsage()).remaining > 0) {
       return this.fetchViaAPI(beerName, brewery, apiKey);
     } else {
       return this.fetchViaScrape(beerName, brewery);
@@ -27,40 +52,73 @@ class UntappdService {
   }
 
   /**
-   * Fetch rating via Untappd API (for future use)
+   * Get the best few search results for a beer, so a user can pick the right one
+   * @param {string} beerName - Name (or free-text query) to search for
+   * @param {string|string[]} brewery - See getBeerRating()
+   * @param {number} [limit]
+   * @returns {Promise<Object>} { candidates, source }, or a throttled/error result
+   */
+  async searchCandidates(beerName, brewery, limit = SEARCH_CANDIDATE_LIMIT) {
+    const apiKey = await this.getApiKey();
+
+    if (apiKey && (await this.getApiUsage()).remaining > 0) {
+      try {
+        const items = await this.fetchApiItems(this.searchQuery(beerName, brewery), apiKey);
+        const candidates = items.map(item => this.parseApiItem(item));
+        return { candidates: rankCandidates(candidates, beerName, brewery).slice(0, limit), source: 'api' };
+      } catch (error) {
+        console.error('API search error:', error);
+        // Fall back to scraping
+      }
+    }
+
+    const page = await this.fetchSearchPage(beerName, brewery);
+    if (page.html === undefined) return page;
+
+    const candidates = this.parseSearchCandidates(page.html);
+    return { candidates: rankCandidates(candidates, beerName, brewery).slice(0, limit), source: 'scrape' };
+  }
+
+  /**
+   * Build an API search URL
+   * @param {string} query - Unencoded search query
+   * @param {Object} apiKey - { clientId, clientSecret }
+   * @returns {string}
+   */
+  buildApiSearchUrl(query, apiKey) {
+    const params = new URLSearchParams({
+      q: query,
+      client_id: apiKey.clientId,
+      client_secret: apiKey.clientSecret
+    });
+    return `${this.apiBaseUrl}/search/beer?${params}`;
+  }
+
+  /**
+   * Build the search query for a beer: its name and the first brewery
+   * @param {string} beerName
+   * @param {string|string[]} brewery - See getBeerRating()
+   * @returns {string} Unencoded query
+   */
+  searchQuery(beerName, brewery) {
+    const [searchBrewery = ''] = breweryNames(brewery);
+    return `${beerName} ${searchBrewery}`;
+  }
+
+  /**
+   * Fetch rating via Untappd API
    * @param {string} beerName
-   * @param {string} brewery
+   * @param {string|string[]} brewery
    * @param {string} apiKey
    * @returns {Promise<Object>}
    */
   async fetchViaAPI(beerName, brewery, apiKey) {
     try {
-      const query = encodeURIComponent(`${beerName} ${brewery}`);
-      const url = `${this.apiBaseUrl}/search/beer?q=${query}&client_id=${apiKey.clientId}&client_secret=${apiKey.clientSecret}`;
+      const items = await this.fetchApiItems(this.searchQuery(beerName, brewery), apiKey);
 
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          // Invalid API key - clear it and fall back to scraping
-          await this.clearApiKey();
-          return this.fetchViaScrape(beerName, brewery);
-        }
-        throw new Error(`API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.response && data.response.beers && data.response.beers.items.length > 0) {
-        const beer = data.response.beers.items[0].beer;
-        return {
-          found: true,
-          rating: beer.rating_score,
-          ratingCount: beer.rating_count,
-          beerName: beer.beer_name,
-          beerUrl: `${this.baseUrl}/b/${beer.beer_slug}/${beer.bid}`,
-          source: 'api'
-        };
+      if (items.length > 0) {
+        const candidates = items.map(item => this.parseApiItem(item));
+        return buildMatchResult(rankCandidates(candidates, beerName, brewery), beerName, 'api');
       }
 
       return { found: false, source: 'api' };
@@ -71,15 +129,131 @@ class UntappdService {
     }
   }
 
+  /**
+   * Run an API beer search
+   * An invalid key is cleared, so later lookups go straight to scraping
+   * @param {string} query
+   * @param {Object} apiKey
+   * @returns {Promise<Object[]>} Raw API search items
+   */
+  async fetchApiItems(query, apiKey) {
+    const response = await fetch(this.buildApiSearchUrl(query, apiKey));
+    await this.recordApiUsage(response);
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        await this.clearApiKey();
+      }
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.response && data.response.beers && data.response.beers.items) || [];
+  }
+
+  /**
+   * Convert an API search item into a search candidate
+   * @param {Object} item - { beer, brewery }
+   * @returns {Object}
+   */
+  parseApiItem(item) {
+    const beer = item.beer;
+    const ratingCount = beer.rating_count ?? null;
+
+    return {
+      beerName: beer.beer_name,
+      breweryName: item.brewery ? item.brewery.brewery_name : null,
+      beerUrl: `${this.baseUrl}/b/${beer.beer_slug}/${beer.bid}`,
+      style: beer.beer_style || null,
+      abv: beer.beer_abv ?? null,
+      rating: ratingCount === 0 ? null : beer.rating_score,
+      ratingCount,
+      unrated: ratingCount === 0
+    };
+  }
+
+  /**
+   * Check API credentials with a minimal search
+   * @param {Object} apiKey - { clientId, clientSecret }
+   * @returns {Promise<Object>} { valid, status, error }
+   */
+  async testApiKey(apiKey) {
+    try {
+      const response = await fetch(this.buildApiSearchUrl('pale ale', apiKey));
+      await this.recordApiUsage(response);
+
+      if (!response.ok) {
+        return { valid: false, status: response.status };
+      }
+
+      return { valid: true, status: response.status };
+    } catch (error) {
+      console.error('API key test error:', error);
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get API usage for the current hourly window
+   * @returns {Promise<Object>} { windowStart, calls, limit, remaining }
+   */
+  async getApiUsage() {
+    try {
+      const result = await chrome.storage.local.get(this.usageKey);
+      const usage = result[this.usageKey];
+
+      if (usage && Date.now() - usage.windowStart < API_WINDOW_MS) {
+        return usage;
+      }
+    } catch (error) {
+      console.error('Error getting API usage:', error);
+    }
+
+    return { windowStart: Date.now(), calls: 0, limit: API_HOURLY_LIMIT, remaining: API_HOURLY_LIMIT };
+  }
+
+  /**
+   * Record an API call, preferring Untappd's own rate limit headers
+   * @param {Response} response
+   */
+  async recordApiUsage(response) {
+    try {
+      const usage = await this.getApiUsage();
+      const limit = parseInt(response.headers.get('X-Ratelimit-Limit'), 10);
+      const remaining = parseInt(response.headers.get('X-Ratelimit-Remaining'), 10);
+
+      usage.calls++;
+      if (!isNaN(limit)) usage.limit = limit;
+      usage.remaining = !isNaN(remaining) ? remaining : Math.max(0, usage.limit - usage.calls);
+
+      await chrome.storage.local.set({ [this.usageKey]: usage });
+    } catch (error) {
+      console.error('Error recording API usage:', error);
+    }
+  }
+
   /**
    * Fetch rating via scraping Untappd search results
    * @param {string} beerName
-   * @param {string} brewery
+   * @param {string|string[]} brewery
    * @returns {Promise<Object>}
    */
   async fetchViaScrape(beerName, brewery) {
+    const page = await this.fetchSearchPage(beerName, brewery);
+    if (page.html === undefined) return page;
+
+    return this.parseSearchResults(page.html, beerName, brewery);
+  }
+
+  /**
+   * Fetch an Untappd search results page
+   * @param {string} beerName
+   * @param {string|string[]} brewery
+   * @returns {Promise<Object>} { html }, or a throttled/error result
+   */
+  async fetchSearchPage(beerName, brewery) {
     try {
-      const query = encodeURIComponent(`${beerName} ${brewery}`);
+      const query = encodeURIComponent(this.searchQuery(beerName, brewery));
       const url = `${this.searchUrl}?q=${query}&type=beer`;
 
       const response = await fetch(url, {
@@ -90,99 +264,172 @@ class UntappdService {
         }
       });
 
+      if (THROTTLE_STATUSES.includes(response.status)) {
+        return this.throttledResult(response.status, response);
+      }
+
       if (!response.ok) {
         throw new Error(`Scrape error: ${response.status}`);
       }
 
       const html = await response.text();
-      return this.parseSearchResults(html, beerName, brewery);
+      if (this.isChallengePage(html)) {
+        return this.throttledResult('challenge', response);
+      }
+
+      return { html };
     } catch (error) {
       console.error('Scrape fetch error:', error);
       return { found: false, error: error.message, source: 'scrape' };
     }
   }
 
+  /**
+   * Check whether a page is a bot challenge rather than search results
+   * @param {string} html
+   * @returns {boolean}
+   */
+  isChallengePage(html) {
+    return CHALLENGE_MARKERS.some(marker => html.includes(marker));
+  }
+
+  /**
+   * Build the result for a throttled or blocked request
+   * @param {number|string} reason - HTTP status or 'challenge'
+   * @param {Response} response
+   * @returns {Object}
+   */
+  throttledResult(reason, response) {
+    return {
+      found: false,
+      throttled: true,
+      error: `Throttled by Untappd (${reason})`,
+      retryAfterMs: this.parseRetryAfter(response.headers.get('Retry-After')),
+      source: 'scrape'
+    };
+  }
+
+  /**
+   * Parse a Retry-After header, given in seconds or as an HTTP date
+   * @param {string|null} value
+   * @returns {number} Delay in ms, 0 if absent or unparseable
+   */
+  parseRetryAfter(value) {
+    if (!value) return 0;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+  }
+
   /**
    * Parse Untappd search results HTML
+   * Every result is parsed and ranked against the page name and brewery
    * @param {string} html
    * @param {string} originalBeerName
-   * @param {string} brewery
+   * @param {string|string[]} brewery
    * @returns {Object}
    */
   parseSearchResults(html, originalBeerName, brewery) {
     try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-
-      // Look for beer items in search results
-      const beerItems = doc.querySelectorAll('.beer-item, .results-container .beer-result, [class*="beer-item"]');
+      const candidates = this.parseSearchCandidates(html);
 
-      if (beerItems.length === 0) {
-        // Try alternative selectors
-        const altItems = doc.querySelectorAll('.results-list-container .beer-details, .result-item');
-        if (altItems.length === 0) {
-          return { found: false, source: 'scrape' };
-        }
+      if (candidates.length === 0) {
+        return { found: false, source: 'scrape' };
       }
 
-      // Get first result (most relevant)
-      const firstResult = beerItems[0] || doc.querySelector('.beer-details, .result-item');
+      return buildMatchResult(rankCandidates(candidates, originalBeerName, brewery), originalBeerName, 'scrape');
+    } catch (error) {
+      console.error('Parse error:', error);
+      return { found: false, error: error.message, source: 'scrape' };
+    }
+  }
 
-      if (!firstResult) {
-        return { found: false, source: 'scrape' };
-      }
+  /**
+   * Parse every result on an Untappd search page
+   * @param {string} html
+   * @returns {Object[]} Unranked search candidates
+   */
+  parseSearchCandidates(html) {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
 
-      // Extract rating
-      const ratingEl = firstResult.querySelector('.rating, .num, [class*="rating"], .caps');
-      const ratingCountEl = firstResult.querySelector('.raters, .count, [class*="count"]');
-      const nameEl = firstResult.querySelector('.name, .beer-name, h1, h2, a[href*="/b/"]');
-      const linkEl = firstResult.querySelector('a[href*="/b/"]');
-
-      let rating = null;
-      let ratingCount = null;
-      let beerUrl = null;
-      let foundBeerName = null;
-
-      if (ratingEl) {
-        const ratingText = ratingEl.textContent.trim();
-        const ratingMatch = ratingText.match(/(\d+\.?\d*)/);
-        if (ratingMatch) {
-          rating = parseFloat(ratingMatch[1]);
-        }
-      }
+    // Look for beer items in search results, then alternative layouts
+    let beerItems = doc.querySelectorAll('.beer-item, .results-container .beer-result, [class*="beer-item"]');
+    if (beerItems.length === 0) {
+      beerItems = doc.querySelectorAll('.results-list-container .beer-details, .result-item');
+    }
 
-      if (ratingCountEl) {
-        const countText = ratingCountEl.textContent.trim();
-        const countMatch = countText.match(/(\d[\d,]*)/);
-        if (countMatch) {
-          ratingCount = parseInt(countMatch[1].replace(/,/g, ''), 10);
-        }
-      }
+    return Array.from(beerItems)
+      .map(item => this.parseResultElement(item))
+      .filter(Boolean);
+  }
 
-      if (linkEl) {
-        beerUrl = linkEl.href.startsWith('http') ? linkEl.href : `${this.baseUrl}${linkEl.getAttribute('href')}`;
-      }
+  /**
+   * Parse a single search result element into a search candidate
+   * @param {Element} item
+   * @returns {Object|null} Candidate or null if no rating information was found
+   */
+  parseResultElement(item) {
+    const capsEl = item.querySelector('[data-rating]');
+    const ratingEl = item.querySelector('.num, .rating, .caps');
+    const ratingCountEl = item.querySelector('.raters, .count, [class*="count"]');
+    // The first beer link is usually the label image, so only fall back to links
+    const nameEl = item.querySelector('.name, .beer-name, h1, h2') || item.querySelector('a[href*="/b/"]');
+    const breweryEl = item.querySelector('.brewery');
+    const styleEl = item.querySelector('.style');
+    const abvEl = item.querySelector('.abv');
+    const linkEl = item.querySelector('a[href*="/b/"]');
 
-      if (nameEl) {
-        foundBeerName = nameEl.textContent.trim();
-      }
+    let rating = null;
+    let ratingCount = null;
 
-      if (rating !== null) {
-        return {
-          found: true,
-          rating,
-          ratingCount,
-          beerName: foundBeerName || originalBeerName,
-          beerUrl,
-          source: 'scrape'
-        };
+    if (capsEl) {
+      rating = parseFloat(capsEl.getAttribute('data-rating'));
+    } else if (ratingEl) {
+      const ratingMatch = ratingEl.textContent.trim().match(/(\d+\.?\d*)/);
+      if (ratingMatch) {
+        rating = parseFloat(ratingMatch[1]);
       }
+    }
 
-      return { found: false, source: 'scrape' };
-    } catch (error) {
-      console.error('Parse error:', error);
-      return { found: false, error: error.message, source: 'scrape' };
+    // Counts come from a raters element, or a bracketed whole number like "(0)"
+    const countText = ratingCountEl
+      ? ratingCountEl.textContent.trim()
+      : (ratingEl ? ratingEl.textContent.trim() : '');
+    const countMatch = ratingCountEl
+      ? countText.match(/(\d[\d.,]*)/)
+      : countText.match(/\((\d{1,3}(?:[.,]\d{3})*)\)/);
+    if (countMatch) {
+      ratingCount = parseInt(countMatch[1].replace(/[.,]/g, ''), 10);
     }
+
+    // "8.4% ABV", or "N/A ABV" for beers without one
+    const abvMatch = abvEl && abvEl.textContent.match(/([\d.]+)\s*%/);
+
+    const candidate = {
+      beerName: nameEl ? nameEl.textContent.trim() : null,
+      breweryName: breweryEl ? breweryEl.textContent.trim() : null,
+      beerUrl: linkEl
+        ? (linkEl.href.startsWith('http') ? linkEl.href : `${this.baseUrl}${linkEl.getAttribute('href')}`)
+        : null,
+      style: styleEl ? styleEl.textContent.trim() : null,
+      abv: abvMatch ? parseFloat(abvMatch[1]) : null,
+      rating: null,
+      ratingCount
+    };
+
+    if (ratingCount === 0) {
+      return { ...candidate, unrated: true };
+    }
+
+    if (rating !== null && !isNaN(rating)) {
+      return { ...candidate, rating };
+    }
+
+    return null;
   }
 
   /**
@@ -233,7 +480,4 @@ class UntappdService {
   }
 }
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { UntappdService };
-}
+export { UntappdService };
@@ -1,18 +1,65 @@
 /**
- * Utility functions for caching and rate limiting
+ * Utility functions for caching, rate limiting and search result matching
  */
 
-const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+import './beerNames.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CACHE_TTLS = {
+  found: 7 * DAY_MS,    // Rated beers
+  unrated: 2 * DAY_MS,  // Found on Untappd but no ratings yet
+  notFound: 1 * DAY_MS  // No (confident) match on Untappd
+};
+const STALE_GRACE_MS = 30 * DAY_MS; // Expired entries are served stale for this long while refreshing
+const DEFAULT_MAX_CACHE_ENTRIES = 2000;
+const ACCESS_WRITE_INTERVAL_MS = 60 * 60 * 1000; // Persist LRU access times at most hourly per entry
 const RATE_LIMIT_REQUESTS = 10;
 const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
+const BACKOFF_BASE_MS = 30 * 1000; // First pause after Untappd throttles us
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const MIN_MATCH_CONFIDENCE = 0.6; // Below this a search result is only an "uncertain match"
+
+const STATS_DAYS_KEPT = 7;
+const STAT_COUNTERS = ['hits', 'misses', 'fetches', 'notFound', 'errors'];
+
+/**
+ * Get a local-time day key like "2026-10-19"
+ */
+function dayKey(time = Date.now()) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Create a zeroed set of stat counters
+ */
+function emptyCounters() {
+  return Object.fromEntries(STAT_COUNTERS.map(name => [name, 0]));
+}
 
 /**
  * Cache manager for beer ratings
+ * Each rating is stored under its own "rating:" key so writes for different
+ * beers never touch each other. An in-memory index of keys and last access
+ * times drives the entry count and least-recently-used eviction.
  */
 class CacheManager {
   constructor() {
-    this.storageKey = 'beerRatingsCache';
+    this.entryPrefix = 'rating:';
+    this.legacyKey = 'beerRatingsCache';
     this.statsKey = 'cacheStats';
+    this.ttlKey = 'cacheTtls';
+    this.maxEntriesKey = 'cacheMaxEntries';
+
+    // Cache key -> last access time, loaded lazily from storage
+    this.index = null;
+    this.indexLoad = null;
+
+    // Storage writes are read-modify-write, so they are chained to avoid clobbering
+    this.statsWrite = Promise.resolve();
+    this.entryWrite = Promise.resolve();
   }
 
   /**
@@ -24,37 +71,163 @@ class CacheManager {
     return `${normalizedBrewery}_${normalizedName}`;
   }
 
+  /**
+   * Get the chrome.storage key for a cache key
+   */
+  storageKeyFor(key) {
+    return `${this.entryPrefix}${key}`;
+  }
+
+  /**
+   * Queue an entry write after any pending ones
+   * @param {Function} fn - Async function performing the write
+   */
+  queueEntryWrite(fn) {
+    const write = this.entryWrite.then(fn);
+    this.entryWrite = write.catch(error => console.error('Cache write error:', error));
+    return write;
+  }
+
+  /**
+   * Load the key index, migrating the old single-object cache on first run
+   * @returns {Promise<Map>} Cache key -> last access time
+   */
+  loadIndex() {
+    if (this.index) return Promise.resolve(this.index);
+
+    if (!this.indexLoad) {
+      this.indexLoad = this.queueEntryWrite(async () => {
+        const all = await chrome.storage.local.get(null);
+        const index = new Map();
+
+        // Split the legacy beerRatingsCache object into per-entry keys
+        const legacy = all[this.legacyKey];
+        if (legacy) {
+          const migrated = {};
+          for (const [key, entry] of Object.entries(legacy)) {
+            migrated[this.storageKeyFor(key)] = { ...entry, lastAccess: entry.timestamp };
+          }
+          await chrome.storage.local.set(migrated);
+          await chrome.storage.local.remove(this.legacyKey);
+          Object.assign(all, migrated);
+        }
+
+        for (const [storageKey, entry] of Object.entries(all)) {
+          if (storageKey.startsWith(this.entryPrefix)) {
+            index.set(storageKey.slice(this.entryPrefix.length), entry.lastAccess || entry.timestamp);
+          }
+        }
+
+        this.index = index;
+        return index;
+      }).finally(() => {
+        this.indexLoad = null;
+      });
+    }
+
+    return this.indexLoad;
+  }
+
+  /**
+   * Get the result category that decides an entry's TTL
+   * @returns {string} 'found', 'unrated' or 'notFound'
+   */
+  getCategory(data) {
+    if (!data.found || data.uncertain) return 'notFound';
+    if (data.unrated || data.rating === null) return 'unrated';
+    return 'found';
+  }
+
+  /**
+   * Get configured TTLs (ms) for each result category
+   */
+  async getTtls() {
+    try {
+      const result = await chrome.storage.sync.get(this.ttlKey);
+      return { ...DEFAULT_CACHE_TTLS, ...result[this.ttlKey] };
+    } catch (error) {
+      console.error('Cache TTL error:', error);
+      return { ...DEFAULT_CACHE_TTLS };
+    }
+  }
+
+  /**
+   * Save TTLs (ms) for any of the result categories
+   * @param {Object} ttls - { found, unrated, notFound }
+   */
+  async setTtls(ttls) {
+    const current = await this.getTtls();
+    await chrome.storage.sync.set({ [this.ttlKey]: { ...current, ...ttls } });
+  }
+
+  /**
+   * Get the maximum number of cached beers
+   */
+  async getMaxEntries() {
+    try {
+      const result = await chrome.storage.sync.get(this.maxEntriesKey);
+      return result[this.maxEntriesKey] || DEFAULT_MAX_CACHE_ENTRIES;
+    } catch (error) {
+      console.error('Cache size error:', error);
+      return DEFAULT_MAX_CACHE_ENTRIES;
+    }
+  }
+
+  /**
+   * Save the maximum number of cached beers and evict down to it
+   * @param {number} maxEntries
+   */
+  async setMaxEntries(maxEntries) {
+    await chrome.storage.sync.set({ [this.maxEntriesKey]: maxEntries });
+    await this.evictOverflow();
+  }
+
+  /**
+   * Check whether an entry is past its TTL plus the stale grace period
+   */
+  isDead(entry, ttls, now = Date.now()) {
+    return now - entry.timestamp > ttls[this.getCategory(entry.data)] + STALE_GRACE_MS;
+  }
+
   /**
    * Get cached rating for a beer
-   * @returns {Object|null} Cached rating data or null if not found/expired
+   * Expired entries are still returned, flagged stale, until they pass the
+   * stale grace period, so callers can show them while refreshing.
+   * @returns {Object|null} { data, timestamp, stale } or null if not cached
    */
   async get(brewery, beerName) {
     try {
-      const result = await chrome.storage.local.get([this.storageKey, this.statsKey]);
-      const cache = result[this.storageKey] || {};
-      const stats = result[this.statsKey] || { hits: 0, misses: 0 };
-
       const key = this.generateKey(brewery, beerName);
-      const entry = cache[key];
+      const storageKey = this.storageKeyFor(key);
+      // Load the index first so a pending legacy migration has landed
+      const index = await this.loadIndex();
+      const [result, ttls] = await Promise.all([
+        chrome.storage.local.get(storageKey),
+        this.getTtls()
+      ]);
+      const entry = result[storageKey];
 
-      if (!entry) {
-        stats.misses++;
-        await chrome.storage.local.set({ [this.statsKey]: stats });
+      // Dead entries are left for sweepExpired() to delete
+      if (!entry || this.isDead(entry, ttls)) {
+        await this.recordStats('misses');
         return null;
       }
 
-      // Check if expired
-      if (Date.now() - entry.timestamp > CACHE_TTL_MS) {
-        delete cache[key];
-        await chrome.storage.local.set({ [this.storageKey]: cache });
-        stats.misses++;
-        await chrome.storage.local.set({ [this.statsKey]: stats });
-        return null;
+      // Only persist access times occasionally to keep reads cheap
+      const now = Date.now();
+      index.set(key, now);
+      if (now - (entry.lastAccess || 0) > ACCESS_WRITE_INTERVAL_MS) {
+        this.queueEntryWrite(async () => {
+          const current = (await chrome.storage.local.get(storageKey))[storageKey];
+          if (current) {
+            await chrome.storage.local.set({ [storageKey]: { ...current, lastAccess: now } });
+          }
+        });
       }
 
-      stats.hits++;
-      await chrome.storage.local.set({ [this.statsKey]: stats });
-      return entry.data;
+      await this.recordStats('hits');
+      const ttl = ttls[this.getCategory(entry.data)];
+      return { data: entry.data, timestamp: entry.timestamp, stale: now - entry.timestamp > ttl };
     } catch (error) {
       console.error('Cache get error:', error);
       return null;
@@ -62,23 +235,132 @@ class CacheManager {
   }
 
   /**
-   * Store rating in cache
+   * Read a cached rating without recording stats or access time
+   * @returns {Promise<Object|null>} { data, timestamp, stale } or null if not cached
    */
-  async set(brewery, beerName, data) {
+  async peek(brewery, beerName) {
     try {
-      const result = await chrome.storage.local.get(this.storageKey);
-      const cache = result[this.storageKey] || {};
+      await this.loadIndex();
+      const storageKey = this.storageKeyFor(this.generateKey(brewery, beerName));
+      const [result, ttls] = await Promise.all([
+        chrome.storage.local.get(storageKey),
+        this.getTtls()
+      ]);
+      const entry = result[storageKey];
+
+      if (!entry || this.isDead(entry, ttls)) return null;
+
+      const ttl = ttls[this.getCategory(entry.data)];
+      return { data: entry.data, timestamp: entry.timestamp, stale: Date.now() - entry.timestamp > ttl };
+    } catch (error) {
+      console.error('Cache peek error:', error);
+      return null;
+    }
+  }
 
+  /**
+   * Store rating in cache, evicting the least recently used entries if full
+   * @returns {Promise<number>} The entry's timestamp
+   */
+  async set(brewery, beerName, data) {
+    const now = Date.now();
+    try {
+      const index = await this.loadIndex();
       const key = this.generateKey(brewery, beerName);
-      cache[key] = {
-        data,
-        timestamp: Date.now()
-      };
 
-      await chrome.storage.local.set({ [this.storageKey]: cache });
+      await this.queueEntryWrite(async () => {
+        await chrome.storage.local.set({
+          [this.storageKeyFor(key)]: { data, timestamp: now, lastAccess: now }
+        });
+        index.set(key, now);
+      });
+
+      await this.evictOverflow();
     } catch (error) {
       console.error('Cache set error:', error);
     }
+    return now;
+  }
+
+  /**
+   * Remove least recently used entries beyond the configured maximum
+   */
+  async evictOverflow() {
+    const [index, maxEntries] = await Promise.all([this.loadIndex(), this.getMaxEntries()]);
+    if (index.size <= maxEntries) return;
+
+    await this.queueEntryWrite(async () => {
+      const overflow = [...index.entries()]
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, index.size - maxEntries)
+        .map(([key]) => key);
+
+      await chrome.storage.local.remove(overflow.map(key => this.storageKeyFor(key)));
+      overflow.forEach(key => index.delete(key));
+    });
+  }
+
+  /**
+   * Delete entries past their TTL plus the stale grace period
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async sweepExpired() {
+    try {
+      const [index, ttls] = await Promise.all([this.loadIndex(), this.getTtls()]);
+
+      return await this.queueEntryWrite(async () => {
+        const storageKeys = [...index.keys()].map(key => this.storageKeyFor(key));
+        const entries = await chrome.storage.local.get(storageKeys);
+        const now = Date.now();
+
+        const dead = Object.entries(entries)
+          .filter(([, entry]) => this.isDead(entry, ttls, now))
+          .map(([storageKey]) => storageKey);
+
+        if (dead.length > 0) {
+          await chrome.storage.local.remove(dead);
+          dead.forEach(storageKey => index.delete(storageKey.slice(this.entryPrefix.length)));
+        }
+
+        return dead.length;
+      });
+    } catch (error) {
+      console.error('Cache sweep error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Increment one or more stat counters, in total and for today
+   * @param {...string} names - Any of 'hits', 'misses', 'fetches', 'notFound', 'errors'
+   */
+  recordStats(...names) {
+    this.statsWrite = this.statsWrite.then(async () => {
+      try {
+        const result = await chrome.storage.local.get(this.statsKey);
+        const stats = { ...emptyCounters(), daily: {}, ...result[this.statsKey] };
+        const today = dayKey();
+        const daily = { ...emptyCounters(), ...stats.daily[today] };
+
+        for (const name of names) {
+          stats[name]++;
+          daily[name]++;
+        }
+        stats.daily[today] = daily;
+
+        // Only keep the most recent days
+        const days = Object.keys(stats.daily).sort().reverse();
+        for (const day of days.slice(STATS_DAYS_KEPT)) {
+          delete stats.daily[day];
+        }
+
+        await chrome.storage.local.set({ [this.statsKey]: stats });
+      } catch (error) {
+        console.error('Cache stats error:', error);
+      }
+    });
+
+    return this.statsWrite;
   }
 
   /**
@@ -86,7 +368,16 @@ class CacheManager {
    */
   async clear() {
     try {
-      await chrome.storage.local.remove([this.storageKey, this.statsKey]);
+      const index = await this.loadIndex();
+      await this.statsWrite;
+
+      await this.queueEntryWrite(async () => {
+        await chrome.storage.local.remove([
+          ...[...index.keys()].map(key => this.storageKeyFor(key)),
+          this.statsKey
+        ]);
+        index.clear();
+      });
     } catch (error) {
       console.error('Cache clear error:', error);
     }
@@ -94,24 +385,34 @@ class CacheManager {
 
   /**
    * Get cache statistics
+   * @returns {Promise<Object>} Totals, hit rate and per-day counters (newest first)
    */
   async getStats() {
     try {
-      const result = await chrome.storage.local.get([this.storageKey, this.statsKey]);
-      const cache = result[this.storageKey] || {};
-      const stats = result[this.statsKey] || { hits: 0, misses: 0 };
+      await this.statsWrite;
+      const [index, maxEntries, result] = await Promise.all([
+        this.loadIndex(),
+        this.getMaxEntries(),
+        chrome.storage.local.get(this.statsKey)
+      ]);
+      const stats = { ...emptyCounters(), daily: {}, ...result[this.statsKey] };
 
       return {
-        cachedBeers: Object.keys(cache).length,
-        hits: stats.hits,
-        misses: stats.misses,
+        cachedBeers: index.size,
+        maxEntries,
+        ...Object.fromEntries(STAT_COUNTERS.map(name => [name, stats[name]])),
         hitRate: stats.hits + stats.misses > 0
           ? Math.round((stats.hits / (stats.hits + stats.misses)) * 100)
-          : 0
+          : 0,
+        daily: Object.keys(stats.daily).sort().reverse().map(day => ({
+          day,
+          ...emptyCounters(),
+          ...stats.daily[day]
+        }))
       };
     } catch (error) {
       console.error('Cache stats error:', error);
-      return { cachedBeers: 0, hits: 0, misses: 0, hitRate: 0 };
+      return { cachedBeers: 0, maxEntries: DEFAULT_MAX_CACHE_ENTRIES, ...emptyCounters(), hitRate: 0, daily: [] };
     }
   }
 }
@@ -126,6 +427,7 @@ class RateLimiter {
     this.requests = [];
     this.queue = [];
     this.processing = false;
+    this.pausedUntil = 0;
   }
 
   /**
@@ -149,40 +451,121 @@ class RateLimiter {
    * Get time until next request is allowed (in ms)
    */
   getWaitTime() {
-    if (this.canRequest()) return 0;
-
     const now = Date.now();
+    const pauseWait = Math.max(0, this.pausedUntil - now);
+    if (this.canRequest()) return pauseWait;
+
     const oldestRequest = Math.min(...this.requests);
-    return Math.max(0, this.windowMs - (now - oldestRequest));
+    return Math.max(pauseWait, this.windowMs - (now - oldestRequest));
+  }
+
+  /**
+   * Hold the whole queue until the given time
+   * @param {number} time - Epoch ms
+   */
+  pauseUntil(time) {
+    this.pausedUntil = Math.max(this.pausedUntil, time);
   }
 
   /**
    * Execute a function with rate limiting
    * Returns a promise that resolves when the function can be executed
+   * @param {Function} fn - Async function making the request
+   * @param {Object} [options]
+   * @param {*} [options.id] - Handle for setPriority() and cancel()
+   * @param {number} [options.priority=0] - Higher runs first; equal priorities run in order
+   * @param {Function} [options.shortCircuit] - Called right before fn once the item
+   *   reaches the front of the queue; a non-null result resolves the item instead
+   *   of calling fn, without using a request slot
    */
-  async execute(fn) {
+  async execute(fn, options = {}) {
     return new Promise((resolve, reject) => {
-      this.queue.push({ fn, resolve, reject });
+      this.queue.push({
+        fn,
+        resolve,
+        reject,
+        id: options.id,
+        priority: options.priority || 0,
+        shortCircuit: options.shortCircuit
+      });
       this.processQueue();
     });
   }
 
+  /**
+   * Change the priority of a queued item
+   * @returns {boolean} Whether the item was still queued
+   */
+  setPriority(id, priority) {
+    const item = this.queue.find(queued => queued.id === id);
+    if (!item) return false;
+    item.priority = priority;
+    return true;
+  }
+
+  /**
+   * Remove a queued item, rejecting its promise with a cancelled error
+   * Items that have already started are left to finish.
+   * @returns {boolean} Whether the item was still queued
+   */
+  cancel(id) {
+    const index = this.queue.findIndex(queued => queued.id === id);
+    if (index === -1) return false;
+
+    const [item] = this.queue.splice(index, 1);
+    const error = new Error('Request cancelled');
+    error.cancelled = true;
+    item.reject(error);
+    return true;
+  }
+
+  /**
+   * Reject every queued item
+   * @param {Function} createError - Returns the error to reject each item with
+   */
+  rejectQueued(createError) {
+    const queued = this.queue.splice(0);
+    for (const item of queued) {
+      item.reject(createError());
+    }
+  }
+
+  /**
+   * Take the highest priority item, oldest first among equals
+   */
+  takeNext() {
+    let next = 0;
+    for (let i = 1; i < this.queue.length; i++) {
+      if (this.queue[i].priority > this.queue[next].priority) next = i;
+    }
+    return this.queue.splice(next, 1)[0];
+  }
+
   async processQueue() {
     if (this.processing || this.queue.length === 0) return;
 
     this.processing = true;
 
     while (this.queue.length > 0) {
-      const waitTime = this.getWaitTime();
-
-      if (waitTime > 0) {
+      // Re-check after each wait in case a pause was extended meanwhile
+      let waitTime;
+      while ((waitTime = this.getWaitTime()) > 0) {
         await new Promise(resolve => setTimeout(resolve, waitTime));
       }
 
-      const { fn, resolve, reject } = this.queue.shift();
-      this.recordRequest();
+      // Everything may have been cancelled while waiting
+      if (this.queue.length === 0) break;
+
+      const { fn, resolve, reject, shortCircuit } = this.takeNext();
 
       try {
+        const early = shortCircuit ? await shortCircuit() : null;
+        if (early != null) {
+          resolve(early);
+          continue;
+        }
+
+        this.recordRequest();
         const result = await fn();
         resolve(result);
       } catch (error) {
@@ -194,19 +577,332 @@ class RateLimiter {
   }
 }
 
+/**
+ * Circuit breaker for when Untappd throttles or blocks us
+ * Each trip pauses for an exponentially growing, jittered delay. State is
+ * persisted so a pause survives service worker restarts.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.storageKey = 'untappdBackoff';
+    this.state = null;
+  }
+
+  /**
+   * Get breaker state, loading it from storage on first use
+   * @returns {Promise<Object>} { until, failures }
+   */
+  async getState() {
+    if (!this.state) {
+      try {
+        const result = await chrome.storage.local.get(this.storageKey);
+        this.state = result[this.storageKey] || { until: 0, failures: 0 };
+      } catch (error) {
+        console.error('Backoff state error:', error);
+        this.state = { until: 0, failures: 0 };
+      }
+    }
+    return this.state;
+  }
+
+  /**
+   * Check whether requests are currently paused
+   */
+  async isOpen() {
+    return (await this.getState()).until > Date.now();
+  }
+
+  /**
+   * Start (or extend) a pause after a throttled response
+   * @param {number} [retryAfterMs] - Server-requested delay, used if longer than the backoff
+   * @returns {Promise<Object>} New state
+   */
+  async trip(retryAfterMs = 0) {
+    const state = await this.getState();
+
+    // Responses already in flight when we tripped shouldn't double the backoff
+    if (state.until > Date.now()) return state;
+
+    const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** state.failures);
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+
+    this.state = {
+      failures: state.failures + 1,
+      until: Date.now() + Math.max(jittered, retryAfterMs)
+    };
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+    return this.state;
+  }
+
+  /**
+   * Close the breaker after a successful request
+   */
+  async reset() {
+    const state = await this.getState();
+    if (state.failures === 0 && state.until === 0) return;
+
+    this.state = { until: 0, failures: 0 };
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+}
+
+/**
+ * Manual match corrections, keyed by site and the beer name on the page
+ * Kept apart from the cache so they survive "Clear Cache".
+ */
+class MatchOverrides {
+  constructor() {
+    this.storageKey = 'matchOverrides';
+
+    // Saves and removals are read-modify-write, so they are chained to avoid clobbering
+    this.write = Promise.resolve();
+  }
+
+  /**
+   * Queue a write after any pending ones
+   * @param {Function} fn - Async function performing the write
+   */
+  queueWrite(fn) {
+    const write = this.write.then(fn);
+    this.write = write.catch(error => console.error('Match override write error:', error));
+    return write;
+  }
+
+  /**
+   * Generate the override id for a beer on a site
+   * @param {string} site - Hostname without www.
+   * @param {string} beerName - Cleaned name from the page
+   */
+  generateKey(site, beerName) {
+    return `${site}|${normalizeForMatch(beerName)}`;
+  }
+
+  /**
+   * Get all overrides
+   * @returns {Promise<Object>} Overrides by id
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || {};
+  }
+
+  /**
+   * Get the override for a beer on a site
+   * @returns {Promise<Object|null>}
+   */
+  async get(site, beerName) {
+    const overrides = await this.getAll();
+    return overrides[this.generateKey(site, beerName)] || null;
+  }
+
+  /**
+   * Save an override
+   * @param {string} site
+   * @param {string} beerName
+   * @param {Object} override - { brewery, match } or { brewery, notOnUntappd: true }
+   * @returns {Promise<Object>} Stored override
+   */
+  set(site, beerName, override) {
+    return this.queueWrite(async () => {
+      const overrides = await this.getAll();
+      const entry = {
+        site,
+        beerName,
+        brewery: override.brewery,
+        match: override.notOnUntappd ? null : override.match,
+        notOnUntappd: !!override.notOnUntappd,
+        createdAt: Date.now(),
+        // Orders corrections saved within the same millisecond
+        sequence: Math.max(0, ...Object.values(overrides).map(existing => existing.sequence || 0)) + 1
+      };
+
+      overrides[this.generateKey(site, beerName)] = entry;
+      await chrome.storage.local.set({ [this.storageKey]: overrides });
+      return entry;
+    });
+  }
+
+  /**
+   * Remove an override
+   * @param {string} id - Key from generateKey()
+   */
+  remove(id) {
+    return this.queueWrite(async () => {
+      const overrides = await this.getAll();
+      delete overrides[id];
+      await chrome.storage.local.set({ [this.storageKey]: overrides });
+    });
+  }
+
+  /**
+   * List overrides, newest first
+   * @returns {Promise<Object[]>} Overrides with their id
+   */
+  async list() {
+    const overrides = await this.getAll();
+    return Object.entries(overrides)
+      .map(([id, override]) => ({ id, ...override }))
+      .sort((a, b) => b.createdAt - a.createdAt || (b.sequence || 0) - (a.sequence || 0));
+  }
+}
+
+/**
+ * Beers the content script has rated on each tab, for the popup's list
+ * Held in memory and mirrored to chrome.storage.session, so the list
+ * survives service worker restarts but not the browser session.
+ */
+class TabBeerLists {
+  constructor() {
+    this.keyPrefix = 'tabBeers:';
+    // Tab id -> Promise<{ url, beers }>, so concurrent reports share one load
+    this.lists = new Map();
+  }
+
+  /**
+   * Get a tab's list, loading it from session storage the first time
+   * @param {number} tabId
+   * @returns {Promise<Object>} { url, beers, health } with beers keyed by page name
+   */
+  load(tabId) {
+    if (!this.lists.has(tabId)) {
+      const key = this.keyPrefix + tabId;
+      this.lists.set(tabId, chrome.storage.session.get(key)
+        .then(result => result[key] || { url: null, beers: {}, health: null }));
+    }
+    return this.lists.get(tabId);
+  }
+
+  /**
+   * Start a new list when the tab's page changed
+   */
+  startPage(list, url) {
+    if (list.url === url) return;
+    list.url = url;
+    list.beers = {};
+    list.health = null;
+  }
+
+  /**
+   * Record a beer's latest result, starting a new list when the tab's page changed
+   * @param {number} tabId
+   * @param {string} url - Page the beer was found on
+   * @param {string} beerName - Cleaned name from the page
+   * @param {Object} ratingData - Lookup result
+   */
+  async record(tabId, url, beerName, ratingData) {
+    const list = await this.load(tabId);
+    this.startPage(list, url);
+
+    list.beers[beerName] = {
+      pageName: beerName,
+      beerName: ratingData.found ? ratingData.beerName : null,
+      breweryName: ratingData.found ? ratingData.breweryName : null,
+      rating: ratingData.found && !ratingData.uncertain ? ratingData.rating ?? null : null,
+      ratingCount: ratingData.found && !ratingData.uncertain ? ratingData.ratingCount ?? null : null,
+      beerUrl: ratingData.found ? ratingData.beerUrl : null,
+      status: describeResultStatus(ratingData)
+    };
+
+    await chrome.storage.session.set({ [this.keyPrefix + tabId]: list });
+  }
+
+  /**
+   * Record how many of the page's cards got a badge
+   * @param {number} tabId
+   * @param {string} url - Page the cards are on
+   * @param {Object} health - { cards, names, injected, failed, failures }
+   */
+  async recordHealth(tabId, url, health) {
+    const list = await this.load(tabId);
+    this.startPage(list, url);
+    list.health = health;
+
+    await chrome.storage.session.set({ [this.keyPrefix + tabId]: list });
+  }
+
+  /**
+   * List a tab's beers in the order they were rated
+   * @param {number} tabId
+   * @returns {Promise<Object>} { url, beers: Object[], health } - health is
+   *   null until the content script has reported
+   */
+  async get(tabId) {
+    const list = await this.load(tabId);
+    return { url: list.url, beers: Object.values(list.beers), health: list.health || null };
+  }
+
+  /**
+   * Forget a closed tab
+   * @param {number} tabId
+   */
+  async clear(tabId) {
+    this.lists.delete(tabId);
+    await chrome.storage.session.remove(this.keyPrefix + tabId);
+  }
+}
+
+/**
+ * Pick a brewery's best-rated beers from search results, for a product
+ * page's "more from this brewery" list
+ * @param {Object[]} candidates - Search candidates
+ * @param {string} breweryName - Untappd brewery name of the page's beer
+ * @param {Object} [options]
+ * @param {string} [options.exclude] - Beer URL to leave out (the page's own beer)
+ * @param {number} [options.limit]
+ * @returns {Object[]} { beerName, style, rating, ratingCount, beerUrl }, highest rated first
+ */
+function pickBreweryBeers(candidates, breweryName, { exclude, limit = 5 } = {}) {
+  const brewery = normalizeForMatch(breweryName);
+
+  return candidates
+    .filter(candidate =>
+      candidate.breweryName && normalizeForMatch(candidate.breweryName) === brewery &&
+      typeof candidate.rating === 'number' && candidate.ratingCount !== 0 &&
+      candidate.beerUrl !== exclude
+    )
+    .sort((a, b) => b.rating - a.rating)
+    .slice(0, limit)
+    .map(({ beerName, style, rating, ratingCount, beerUrl }) => ({ beerName, style, rating, ratingCount, beerUrl }));
+}
+
+/**
+ * Summarise a lookup result as one status word for lists and exports
+ * @param {Object} ratingData
+ * @returns {string} 'rated', 'unrated', 'uncertain', 'not found' or 'corrected'
+ */
+function describeResultStatus(ratingData) {
+  if (ratingData.overridden) return ratingData.found ? 'corrected' : 'not found';
+  if (!ratingData.found) return 'not found';
+  if (ratingData.uncertain) return 'uncertain';
+  if (ratingData.unrated || ratingData.rating === null) return 'unrated';
+  return 'rated';
+}
+
+/**
+ * Normalize a name for comparison: lowercase, strip punctuation, collapse whitespace
+ */
+function normalizeForMatch(str) {
+  return str
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .replace(/['’]/g, '')                              // "Polly's" -> "pollys"
+    .replace(/[^a-z0-9]+/g, ' ')                       // Punctuation to spaces
+    .trim();
+}
+
 /**
  * Simple fuzzy string matching for beer names
  * Returns a score between 0 and 1
  */
 function fuzzyMatch(str1, str2) {
-  const s1 = str1.toLowerCase().trim();
-  const s2 = str2.toLowerCase().trim();
+  const s1 = normalizeForMatch(str1);
+  const s2 = normalizeForMatch(str2);
 
   // Exact match
   if (s1 === s2) return 1;
 
-  // One contains the other
-  if (s1.includes(s2) || s2.includes(s1)) return 0.9;
+  // One contains the other as whole words (so "Hum" doesn't match "Humdinger")
+  if (s1 && s2 && (` ${s1} `.includes(` ${s2} `) || ` ${s2} `.includes(` ${s1} `))) return 0.9;
 
   // Calculate Levenshtein distance based similarity
   const maxLen = Math.max(s1.length, s2.length);
@@ -216,6 +912,68 @@ function fuzzyMatch(str1, str2) {
   return 1 - (distance / maxLen);
 }
 
+/**
+ * Compare beer names as written, and again without the style, size and ABV
+ * words either side may carry ("Kinetic IPA" vs "Kinetic")
+ * @returns {number} Score between 0 and 1
+ */
+function nameSimilarity(name1, name2) {
+  const score = fuzzyMatch(name1, name2);
+  if (score === 1) return score;
+
+  const { comparableName } = globalThis.BeerNames;
+  return Math.max(score, fuzzyMatch(comparableName(name1), comparableName(name2)));
+}
+
+/**
+ * A lookup's brewery as a list: lookups take one brewery name, or every
+ * brewery a beer may be from (collaborations, bottle shop vendors) with the
+ * one to search Untappd with first
+ * @param {string|string[]} brewery
+ * @returns {string[]}
+ */
+function breweryNames(brewery) {
+  return (Array.isArray(brewery) ? brewery : [brewery]).filter(Boolean);
+}
+
+/**
+ * Score an Untappd search candidate against the beer we searched for.
+ * Name similarity dominates; brewery similarity separates same-named
+ * beers from different breweries. With several breweries the candidate's
+ * brewery only has to match one of them.
+ * @param {Object} candidate - { beerName, breweryName }
+ * @param {string} beerName - Cleaned beer name from the brewery page
+ * @param {string|string[]} brewery - Brewery name(s), see breweryNames()
+ * @returns {number} Score between 0 and 1
+ */
+function scoreCandidate(candidate, beerName, brewery) {
+  const nameScore = candidate.beerName ? nameSimilarity(candidate.beerName, beerName) : 0;
+  const breweries = breweryNames(brewery);
+
+  if (breweries.length === 0 || !candidate.breweryName) {
+    return nameScore;
+  }
+
+  const breweryScore = Math.max(...breweries.map(name => fuzzyMatch(candidate.breweryName, name)));
+  return nameScore * 0.75 + breweryScore * 0.25;
+}
+
+/**
+ * Score and sort search candidates, best match first
+ * @param {Object[]} candidates
+ * @param {string} beerName
+ * @param {string|string[]} brewery - See breweryNames()
+ * @returns {Object[]} Candidates with a matchScore, sorted descending
+ */
+function rankCandidates(candidates, beerName, brewery) {
+  return candidates
+    .map(candidate => ({
+      ...candidate,
+      matchScore: Math.round(scoreCandidate(candidate, beerName, brewery) * 100) / 100
+    }))
+    .sort((a, b) => b.matchScore - a.matchScore);
+}
+
 /**
  * Calculate Levenshtein distance between two strings
  */
@@ -245,7 +1003,63 @@ function levenshteinDistance(str1, str2) {
   return dp[m][n];
 }
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CacheManager, RateLimiter, fuzzyMatch };
+/**
+ * Build the lookup result from ranked candidates.
+ * Below MIN_MATCH_CONFIDENCE the best candidate is reported as an
+ * uncertain match instead of a rating.
+ * @param {Object[]} ranked - Output of rankCandidates
+ * @param {string} originalBeerName
+ * @param {string} source - 'scrape' or 'api'
+ * @returns {Object} Rating data
+ */
+function buildMatchResult(ranked, originalBeerName, source) {
+  const [best, runnerUp] = ranked;
+
+  const result = {
+    found: true,
+    rating: best.rating,
+    ratingCount: best.ratingCount,
+    beerName: best.beerName || originalBeerName,
+    breweryName: best.breweryName,
+    beerUrl: best.beerUrl,
+    style: best.style ?? null,
+    abv: best.abv ?? null,
+    matchScore: best.matchScore,
+    runnerUp: runnerUp ? {
+      beerName: runnerUp.beerName,
+      breweryName: runnerUp.breweryName,
+      rating: runnerUp.rating,
+      beerUrl: runnerUp.beerUrl,
+      matchScore: runnerUp.matchScore
+    } : null,
+    source
+  };
+
+  if (best.matchScore < MIN_MATCH_CONFIDENCE) {
+    return { ...result, rating: null, uncertain: true };
+  }
+
+  if (best.unrated) {
+    return { ...result, rating: null, ratingCount: 0, unrated: true };
+  }
+
+  return result;
 }
+
+export {
+  CacheManager,
+  RateLimiter,
+  CircuitBreaker,
+  MatchOverrides,
+  TabBeerLists,
+  pickBreweryBeers,
+  fuzzyMatch,
+  levenshteinDistance,
+  rankCandidates,
+  breweryNames,
+  buildMatchResult,
+  normalizeForMatch,
+  MIN_MATCH_CONFIDENCE,
+  DEFAULT_CACHE_TTLS,
+  DEFAULT_MAX_CACHE_ENTRIES
+};